@@ -1,3 +1,5 @@
 #!/usr/bin/env node
 // CLI entrypoint for ink-notex (ESM)
-import '../src/index.js';
+import {run} from '../src/cli.js';
+
+process.exitCode = await run(process.argv.slice(2));
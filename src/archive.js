@@ -0,0 +1,80 @@
+// Archived tasks live in the storage file's `archive` list, out of the main
+// list. Each keeps its fields plus `archivedAt`, and its parent link, so a
+// subtask goes back under its parent when restored.
+import {subtreeEnd} from './tree.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The archive list from a storage file's top-level keys
+export function savedArchive(extra) {
+  return Array.isArray(extra && extra.archive) ? extra.archive.filter(t => t && typeof t === 'object') : [];
+}
+
+// Move done tasks into the archive, each with its subtree; a task with open
+// subtasks stays. `before` limits it to tasks completed before that time.
+// Returns {tasks, archive, count}.
+export function archiveDone(tasks, archive = [], before = Infinity, now = Date.now()) {
+  const kept = [];
+  const moved = [];
+  for (let i = 0; i < tasks.length;) {
+    const end = subtreeEnd(tasks, i);
+    const block = tasks.slice(i, end);
+    if (tasks[i].done && (tasks[i].completedAt || 0) <= before && block.every(t => t.done)) {
+      moved.push(...block.map(t => ({...t, archivedAt: now})));
+      i = end;
+    } else {
+      kept.push(tasks[i]);
+      i++;
+    }
+  }
+  return {tasks: kept, archive: archive.concat(moved), count: moved.length};
+}
+
+// Archived tasks whose parent is not archived with them, newest first, with
+// how many subtasks each carries.
+export function archiveEntries(archive) {
+  const ids = new Set(archive.map(t => String(t.id)));
+  const below = new Map();
+  const rootOf = new Map();
+  const entries = [];
+  archive.forEach((task, index) => {
+    const parent = task.parentId == null ? null : String(task.parentId);
+    if (parent != null && ids.has(parent) && rootOf.has(parent)) {
+      const root = rootOf.get(parent);
+      rootOf.set(String(task.id), root);
+      below.set(root, (below.get(root) || 0) + 1);
+      return;
+    }
+    rootOf.set(String(task.id), String(task.id));
+    entries.push({task, index});
+  });
+  return entries
+    .map(e => ({...e, subtasks: below.get(String(e.task.id)) || 0}))
+    .sort((a, b) => (b.task.archivedAt || 0) - (a.task.archivedAt || 0) || b.index - a.index);
+}
+
+// Put an archived task and its archived subtasks back: under its parent when
+// that is still in the list, otherwise at the end. Returns {tasks, archive}.
+export function restoreArchived(tasks, archive, id) {
+  const taken = new Set();
+  const block = [];
+  const rest = [];
+  for (const t of archive) {
+    const take = (!block.length && String(t.id) === String(id)) || (t.parentId != null && taken.has(String(t.parentId)));
+    if (!take) {
+      rest.push(t);
+      continue;
+    }
+    taken.add(String(t.id));
+    const {archivedAt, ...task} = t;
+    block.push(task);
+  }
+  if (!block.length) return {tasks, archive};
+  const parentIndex = block[0].parentId == null ? -1 : tasks.findIndex(t => String(t.id) === String(block[0].parentId));
+  if (parentIndex < 0) {
+    block[0] = {...block[0], parentId: null};
+    return {tasks: tasks.concat(block), archive: rest};
+  }
+  const at = subtreeEnd(tasks, parentIndex);
+  return {tasks: tasks.slice(0, at).concat(block, tasks.slice(at)), archive: rest};
+}
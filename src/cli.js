@@ -0,0 +1,420 @@
+import fs from 'fs';
+import path from 'path';
+import {parseArgs} from 'util';
+import {loadTasks, loadStore, saveTasks, appendTasks, defaultStorage, storageFile, storageLabel, storageByName, storageForFile, scanRoot, isListName, listNames, currentBranch, withLock, SCHEMA_VERSION} from './persist.js';
+import {createTask, editTask, parseInput, editableText, findTaskIndex} from './tasks.js';
+import {setTasksDone, editedRule} from './recur.js';
+import {depths, insertChild, removeTask, takeTasks} from './tree.js';
+import {FORMATS, detectFormat, exportTasks, importTasks} from './formats.js';
+import {DAY_MS, archiveDone, savedArchive} from './archive.js';
+import {newEntry, appendEntry, diffState} from './journal.js';
+import {parseSince, timeReport} from './timer.js';
+import {formatDuration} from './stats.js';
+import {scanTree, applyScan, formatSource} from './scan.js';
+import {fireHook, fireTaskHooks} from './hooks.js';
+
+const USAGE = `Usage: notex [command] [options]
+
+Without a command, opens the interactive UI.
+
+Commands:
+  add <text...>          Add a task (--parent <ref> to add a subtask)
+  ls                     List tasks (--done / --pending to narrow)
+  done <ref...>          Mark tasks done (--undo to reopen)
+  rm <ref...>            Delete tasks and their subtasks
+  edit <ref> <text...>   Replace a task's text; its due date and recurrence
+                         stay unless the new text sets them
+  export --format <fmt>  Print all tasks as todotxt, md, csv or json
+  import <file>          Append tasks from a file (format from --format or
+                         detected from the file)
+  archive                Move done tasks to the archive (--days <n>: only
+                         those completed at least n days ago)
+  scan [dir]             Add a task for each TODO, FIXME and HACK comment
+                         under dir (default: the list's project root), skipping
+                         .gitignored files; rescans update and mark stale
+  lists                  Show the named lists and how many tasks each holds
+  report                 Time tracked per task and per tag, archive included
+                         (--since <when>, default: week)
+  move <ref...> --to <list>
+                         Move tasks (with subtasks) to another list
+  copy <ref...> --to <list>
+                         Copy tasks (with subtasks) to another list
+
+<ref> is the 1-based position shown by "notex ls", or a task id.
+<list> is a list name, "project", "global", "branch" or a path to a .json file.
+Task text may include a due date: due:tomorrow, due:fri, due:2026-11-03, due:3d.
+<when> is today, yesterday, week (since Monday), month, all, a date
+(2026-10-01) or a span back from today (3d, 2w, 1m).
+
+Options:
+  -p, --project          Use project storage (.notex.json at the repository
+                         root, or the nearest one above)
+  -b, --branch           Use the list of the checked-out git branch
+  -g, --global           Use global storage (~/.notex-global.json)
+  -l, --list <name>      Use a named list (~/.notex-lists/<name>.json)
+  -f, --file <path>      Use any file as storage
+      --json             Print machine-readable JSON
+      --format <fmt>     todotxt, md, csv or json (export, import)
+      --since <when>     Start of the report period
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+  project: {type: 'boolean', short: 'p'},
+  global: {type: 'boolean', short: 'g'},
+  branch: {type: 'boolean', short: 'b'},
+  json: {type: 'boolean'},
+  done: {type: 'boolean'},
+  pending: {type: 'boolean'},
+  parent: {type: 'string'},
+  undo: {type: 'boolean'},
+  format: {type: 'string'},
+  days: {type: 'string'},
+  since: {type: 'string'},
+  list: {type: 'string', short: 'l'},
+  file: {type: 'string', short: 'f'},
+  to: {type: 'string'},
+  help: {type: 'boolean', short: 'h'}
+};
+
+// Exit codes: 0 success, 1 runtime failure (missing task, save error), 2 usage error.
+class UsageError extends Error {}
+class CommandError extends Error {}
+
+function resolveStorage(opts) {
+  const chosen = ['project', 'global', 'branch', 'list', 'file'].filter(o => opts[o] != null && opts[o] !== false);
+  if (chosen.length > 1) throw new UsageError(chosen.map(o => '--' + o).join(' and ') + ' are mutually exclusive');
+  if (opts.global) return 'global';
+  if (opts.project) return 'project';
+  if (opts.branch) {
+    const branch = currentBranch();
+    if (!branch) throw new UsageError('--branch needs a checked-out git branch');
+    return 'branch:' + branch;
+  }
+  if (opts.list != null) {
+    if (!isListName(opts.list)) throw new UsageError('"' + opts.list + '" is not a valid list name');
+    return 'list:' + opts.list;
+  }
+  if (opts.file != null) return storageForFile(opts.file);
+  return defaultStorage();
+}
+
+function formatTask(task, index, depth = 0) {
+  const source = task.source ? '  (' + formatSource(task.source) + (task.source.stale ? ', stale' : '') + ')' : '';
+  return String(index + 1).padStart(3, ' ') + '. ' + '  '.repeat(depth) + (task.done ? '[x] ' : '[ ] ') + editableText(task) + source;
+}
+
+function checkInput(text) {
+  const {errors} = parseInput(text);
+  if (errors.length) throw new CommandError(errors.join('; '));
+}
+
+function resolveRefs(tasks, refs) {
+  if (!refs.length) throw new UsageError('missing task reference');
+  const indexes = refs.map(ref => {
+    const i = findTaskIndex(tasks, ref);
+    if (i < 0) throw new CommandError('no task matches "' + ref + '"');
+    return i;
+  });
+  return Array.from(new Set(indexes));
+}
+
+// Load tasks for a command that will write them back.
+function loadForUpdate(file) {
+  return loadStoreForUpdate(file).tasks;
+}
+
+function loadStoreForUpdate(file) {
+  const store = loadStore(file);
+  if (store.readOnly) {
+    throw new CommandError(file + ' uses storage version ' + store.version + ', newer than this notex supports (' + SCHEMA_VERSION + '); refusing to modify it');
+  }
+  return store;
+}
+
+// Hooks started by the command; run() waits for them before exiting
+const hookRuns = [];
+
+function save(tasks, file, extra) {
+  saveTasks(tasks, file, extra);
+  hookRuns.push(fireHook('save', {file, tasks}, file));
+}
+
+// Journal a saved change so the UI can undo it, and fire its task hooks;
+// `before` and `after` are {tasks, archive}
+function record(file, before, after) {
+  const ops = diffState(before, after);
+  if (!ops.length) return;
+  appendEntry(file, newEntry({ops}));
+  hookRuns.push(fireTaskHooks(ops, after.tasks, file));
+}
+
+const commands = {
+  add(args, opts, file) {
+    const text = args.join(' ').trim();
+    if (!text) throw new UsageError('add needs task text');
+    checkInput(text);
+    const tasks = loadForUpdate(file);
+    const parentIndex = opts.parent == null ? null : resolveRefs(tasks, [opts.parent])[0];
+    const [next, index] = insertChild(tasks, parentIndex, createTask(text, tasks));
+    save(next, file);
+    record(file, {tasks}, {tasks: next});
+    return {json: next[index], text: 'Added ' + formatTask(next[index], index).trim()};
+  },
+
+  ls(args, opts, file) {
+    if (args.length) throw new UsageError('ls takes no arguments');
+    const tasks = loadTasks(file);
+    const depth = depths(tasks);
+    const rows = tasks
+      .map((task, index) => ({task, index}))
+      .filter(({task}) => (opts.done ? task.done : opts.pending ? !task.done : true));
+    return {
+      json: rows.map(({task, index}) => ({index: index + 1, ...task})),
+      text: rows.map(({task, index}) => formatTask(task, index, depth[index])).join('\n')
+    };
+  },
+
+  done(args, opts, file) {
+    const tasks = loadForUpdate(file);
+    const indexes = resolveRefs(tasks, args);
+    const ids = indexes.map(i => tasks[i].id);
+    const next = setTasksDone(tasks, ids, !opts.undo);
+    save(next, file);
+    record(file, {tasks}, {tasks: next});
+    // Next occurrences of recurring tasks are listed after the tasks themselves
+    const shown = ids.map(id => next.findIndex(t => t.id === id))
+      .concat(next.map((t, i) => i).filter(i => !tasks.some(t => t.id === next[i].id)));
+    return {
+      json: shown.map(i => next[i]),
+      text: shown.map(i => formatTask(next[i], i)).join('\n')
+    };
+  },
+
+  rm(args, opts, file) {
+    const tasks = loadForUpdate(file);
+    const indexes = resolveRefs(tasks, args);
+    // Remove by id so earlier removals don't shift later references; a task
+    // already removed along with its parent is skipped
+    const ids = new Set(indexes.map(i => tasks[i].id));
+    let next = tasks;
+    for (const id of ids) {
+      const at = next.findIndex(t => t.id === id);
+      if (at >= 0) next = removeTask(next, at);
+    }
+    save(next, file);
+    record(file, {tasks}, {tasks: next});
+    return {
+      json: indexes.map(i => tasks[i]),
+      text: indexes.map(i => 'Deleted ' + formatTask(tasks[i], i).trim()).join('\n')
+    };
+  },
+
+  edit(args, opts, file) {
+    const [ref, ...rest] = args;
+    const text = rest.join(' ').trim();
+    if (!text) throw new UsageError('edit needs a task reference and new text');
+    checkInput(text);
+    const tasks = loadForUpdate(file);
+    const [index] = resolveRefs(tasks, [ref]);
+    // Unlike the edit field, the new text does not start from the old one
+    const {fields} = parseInput(text);
+    const keep = t => {
+      const due = fields.due ?? t.due ?? null;
+      return {due, recur: editedRule(t, fields.recur ?? t.recur ?? null, due)};
+    };
+    const next = tasks.map((t, i) => (i === index ? {...editTask(t, text), ...keep(t)} : t));
+    save(next, file);
+    record(file, {tasks}, {tasks: next});
+    return {json: next[index], text: formatTask(next[index], index)};
+  },
+
+  export(args, opts, file) {
+    if (args.length) throw new UsageError('export takes no arguments');
+    if (!opts.format) throw new UsageError('export needs --format (' + FORMATS.join(', ') + ')');
+    const content = exportTasks(loadTasks(file), checkFormat(opts.format));
+    return {json: {format: opts.format, content}, text: content};
+  },
+
+  import(args, opts, file) {
+    if (args.length !== 1) throw new UsageError('import needs exactly one file');
+    let content;
+    try {
+      content = fs.readFileSync(args[0], 'utf8');
+    } catch (err) {
+      throw new CommandError('cannot read ' + args[0] + ': ' + err.message);
+    }
+    const format = opts.format ? checkFormat(opts.format) : detectFormat(args[0], content);
+    const tasks = loadForUpdate(file);
+    const added = importTasks(content, format, tasks, args[0]);
+    save(tasks.concat(added), file);
+    record(file, {tasks}, {tasks: tasks.concat(added)});
+    return {json: added, text: 'Imported ' + added.length + ' task' + (added.length === 1 ? '' : 's') + ' (' + format + ') from ' + args[0]};
+  },
+
+  archive(args, opts, file) {
+    if (args.length) throw new UsageError('archive takes no arguments');
+    if (opts.days != null && !/^\d+$/.test(opts.days)) throw new UsageError('--days needs a whole number of days');
+    const store = loadStoreForUpdate(file);
+    const before = opts.days == null ? Infinity : Date.now() - Number(opts.days) * DAY_MS;
+    const archive = savedArchive(store.extra);
+    const result = archiveDone(store.tasks, archive, before);
+    if (result.count) {
+      save(result.tasks, file, {archive: result.archive});
+      record(file, {tasks: store.tasks, archive}, result);
+    }
+    const archived = result.archive.slice(result.archive.length - result.count);
+    return {json: archived, text: 'Archived ' + result.count + ' task' + (result.count === 1 ? '' : 's')};
+  },
+
+  report(args, opts, file) {
+    if (args.length) throw new UsageError('report takes no arguments');
+    const since = parseSince(opts.since ?? 'week');
+    if (since == null) throw new UsageError('cannot read --since "' + opts.since + '"');
+    const store = loadStore(file);
+    const report = timeReport(store.tasks.concat(savedArchive(store.extra)), since);
+    const line = (ms, label) => formatDuration(ms).padStart(8, ' ') + '  ' + label;
+    const heading = since ? 'Since ' + new Date(since).toDateString() : 'All time';
+    return {
+      json: {
+        since: since ? new Date(since).toISOString() : null,
+        total: report.total,
+        tasks: report.tasks.map(r => ({id: r.task.id, text: r.task.text, tags: r.task.tags || [], ms: r.ms})),
+        tags: report.tags
+      },
+      text: report.tasks.length
+        ? [heading + ': ' + formatDuration(report.total), '', 'Per task', ...report.tasks.map(r => line(r.ms, r.task.text)), '', 'Per tag', ...report.tags.map(r => line(r.ms, r.tag))].join('\n')
+        : heading + ': no time tracked'
+    };
+  },
+
+  scan(args, opts, file) {
+    if (args.length > 1) throw new UsageError('scan takes at most one directory');
+    const root = args.length ? path.resolve(args[0]) : scanRoot(storageForFile(file));
+    if (!root) throw new CommandError(storageLabel(storageForFile(file)) + ' belongs to no project; give the directory to scan');
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) throw new CommandError(root + ' is not a directory');
+    const store = loadStoreForUpdate(file);
+    const {files, comments} = scanTree(root);
+    const result = applyScan(store.tasks, savedArchive(store.extra), comments, file, root);
+    if (result.added.length || result.moved || result.stale) {
+      save(result.tasks, file);
+      record(file, {tasks: store.tasks}, {tasks: result.tasks});
+    }
+    const summary = 'Scanned ' + files + ' file' + (files === 1 ? '' : 's') + ': ' + result.added.length + ' new, ' + result.moved + ' moved, ' + result.stale + ' stale';
+    return {
+      json: {files, comments: comments.length, added: result.added, moved: result.moved, stale: result.stale},
+      text: [summary, ...result.added.map(t => '  + ' + formatSource(t.source) + '  ' + t.text)].join('\n')
+    };
+  },
+
+  lists(args) {
+    if (args.length) throw new UsageError('lists takes no arguments');
+    const lists = listNames().map(name => {
+      let count = null;
+      try {
+        count = loadTasks(storageFile('list:' + name)).length;
+      } catch {
+        // Shown as unreadable
+      }
+      return {name, file: storageFile('list:' + name), tasks: count};
+    });
+    return {
+      json: lists,
+      text: lists.length
+        ? lists.map(l => l.name.padEnd(20, ' ') + ' ' + (l.tasks == null ? 'unreadable' : l.tasks + ' task' + (l.tasks === 1 ? '' : 's'))).join('\n')
+        : 'No named lists yet (create one with: notex add --list <name> <text>)'
+    };
+  },
+
+  move(args, opts, file) {
+    return transfer(args, opts, file, false);
+  },
+
+  copy(args, opts, file) {
+    return transfer(args, opts, file, true);
+  }
+};
+
+// Move or copy tasks with their subtasks to the list given with --to
+function transfer(args, opts, file, copy) {
+  if (opts.to == null) throw new UsageError((copy ? 'copy' : 'move') + ' needs --to <list>');
+  let target;
+  try {
+    target = storageByName(opts.to);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const targetFile = storageFile(target);
+  if (targetFile === file) throw new UsageError('the tasks are already in ' + storageLabel(target));
+  const tasks = loadForUpdate(file);
+  const indexes = resolveRefs(tasks, args);
+  const {taken, rest} = takeTasks(tasks, indexes.map(i => tasks[i].id));
+  // Moved tasks leave this list only once the target has them, and the
+  // target lets them go again when this list cannot be saved
+  const added = appendTasks(taken, targetFile, copy ? null : () => save(rest, file));
+  if (!copy) record(file, {tasks}, {tasks: rest});
+  return {
+    json: added,
+    text: (copy ? 'Copied ' : 'Moved ') + taken.length + ' task' + (taken.length === 1 ? '' : 's') + ' to ' + storageLabel(target)
+  };
+}
+
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) throw new UsageError('unknown format "' + format + '" (use ' + FORMATS.join(', ') + ')');
+  return format;
+}
+
+// Run the CLI with argv (without node and script path). Resolves to the
+// process exit code; with no command it hands over to the interactive UI.
+export async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+  } catch (err) {
+    process.stderr.write('notex: ' + err.message + '\n\n' + USAGE + '\n');
+    return 2;
+  }
+  const {values: opts, positionals} = parsed;
+  if (opts.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  const [name, ...args] = positionals;
+  if (!name) {
+    // The UI opens the storage chosen here through the same variables a
+    // user can set
+    try {
+      if (opts.project || opts.global || opts.branch || opts.list != null || opts.file != null) {
+        process.env.NOTEX_FILE = storageFile(resolveStorage(opts));
+      }
+    } catch (err) {
+      process.stderr.write('notex: ' + err.message + '\n\n' + USAGE + '\n');
+      return 2;
+    }
+    const {startApp} = await import('./ui.js');
+    startApp();
+    return 0;
+  }
+  const command = Object.hasOwn(commands, name) ? commands[name] : null;
+  if (!command) {
+    process.stderr.write('notex: unknown command "' + name + '"\n\n' + USAGE + '\n');
+    return 2;
+  }
+  try {
+    const file = storageFile(resolveStorage(opts));
+    // Hold the storage lock across load and save so a concurrent notex
+    // cannot slip a write in between
+    const result = withLock(file, () => command(args, opts, file));
+    const out = opts.json ? JSON.stringify(result.json, null, 2) : result.text;
+    if (out) process.stdout.write(out + '\n');
+    // A failed hook does not undo the command; it is only reported
+    for (const message of (await Promise.all(hookRuns)).flat()) process.stderr.write('notex: ' + message + '\n');
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      process.stderr.write('notex: ' + err.message + '\n\n' + USAGE + '\n');
+      return 2;
+    }
+    process.stderr.write('notex: ' + err.message + '\n');
+    return 1;
+  }
+}
@@ -0,0 +1,34 @@
+// User configuration: config.json in the notex config directory
+// ($XDG_CONFIG_HOME/notex, by default ~/.config/notex). It is read once at
+// startup; a missing file means defaults, a broken one is reported rather
+// than fatal.
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+export function configFile() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir ? os.homedir() : process.env.HOME || '', '.config');
+  return path.join(base, 'notex', 'config.json');
+}
+
+// Returns {config, error}: the parsed object ({} when there is none) and a
+// message when the file exists but cannot be used.
+export function loadConfig(file = configFile()) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {config: {}, error: null};
+    return {config: {}, error: 'Cannot read ' + file + ': ' + err.message};
+  }
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (err) {
+    return {config: {}, error: file + ' is not valid JSON: ' + err.message};
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return {config: {}, error: file + ' must contain a JSON object'};
+  }
+  return {config, error: null};
+}
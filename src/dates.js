@@ -0,0 +1,110 @@
+// Due dates. Stored as local calendar dates ('YYYY-MM-DD') and typed inline
+// in task text as `due:<when>`, e.g. due:tomorrow, due:fri, due:2026-11-03,
+// due:3d or due:in 3d.
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function startOfDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+export function addDays(d, n) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+// Clamped to the end of shorter months (Jan 31 + 1 month -> Feb 28)
+export function addMonths(d, n) {
+  const out = new Date(d.getFullYear(), d.getMonth() + n, d.getDate());
+  if (out.getDate() !== d.getDate()) out.setDate(0);
+  return out;
+}
+
+export function toISODate(d) {
+  const pad = n => String(n).padStart(2, '0');
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+}
+
+export function fromISODate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ''));
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  // Reject dates JavaScript rolled over, like 2026-02-31
+  return d.getMonth() === Number(m[2]) - 1 && d.getDate() === Number(m[3]) ? d : null;
+}
+
+// Parse a due expression relative to `now`; returns 'YYYY-MM-DD' or null.
+export function parseDue(expr, now = new Date()) {
+  const s = String(expr || '').trim().toLowerCase();
+  const today = startOfDay(now);
+  if (!s) return null;
+  if (s === 'today' || s === 'tod') return toISODate(today);
+  if (s === 'tomorrow' || s === 'tmr' || s === 'tom') return toISODate(addDays(today, 1));
+  const iso = fromISODate(s);
+  if (iso) return toISODate(iso);
+  // Weekday names (any prefix from three letters): the next one, counting today
+  const wd = s.length >= 3 ? WEEKDAYS.findIndex(w => w.startsWith(s)) : -1;
+  if (wd >= 0) return toISODate(addDays(today, (wd - today.getDay() + 7) % 7));
+  // Offsets: 3d, +3d, in 3d, in 2 weeks, 1m
+  const rel = /^(?:in\s*|\+)?(\d+)\s*(d|day|days|w|wk|week|weeks|m|mo|month|months)$/.exec(s);
+  if (rel) {
+    const n = Number(rel[1]);
+    const unit = rel[2][0];
+    if (unit === 'd') return toISODate(addDays(today, n));
+    if (unit === 'w') return toISODate(addDays(today, n * 7));
+    return toISODate(addMonths(today, n));
+  }
+  return null;
+}
+
+const DUE_TOKEN = /(^|\s)due:(in\s+\d+\s*[a-z]+|\S+)/i;
+
+// Pull a `due:` token out of typed text. Returns {text, due} where due is
+// 'YYYY-MM-DD', or null when there is no token. An expression that cannot be
+// parsed is left in the text and reported as `invalid`.
+export function extractDue(input, now = new Date()) {
+  const m = DUE_TOKEN.exec(input);
+  if (!m) return {text: input, due: null};
+  const due = parseDue(m[2], now);
+  if (!due) return {text: input, due: null, invalid: m[2]};
+  const text = (input.slice(0, m.index) + m[1] + input.slice(m.index + m[0].length)).replace(/\s{2,}/g, ' ').trim();
+  return {text, due};
+}
+
+// Days from today to the due date (negative when overdue).
+export function daysUntil(due, now = new Date()) {
+  const d = fromISODate(due);
+  if (!d) return null;
+  return Math.round((d - startOfDay(now)) / DAY_MS);
+}
+
+// 'overdue' | 'today' | 'upcoming', or null without a due date.
+export function dueStatus(due, now = new Date()) {
+  const days = daysUntil(due, now);
+  if (days == null) return null;
+  return days < 0 ? 'overdue' : days === 0 ? 'today' : 'upcoming';
+}
+
+// Short human label: "today", "tomorrow", "fri", the date, or the date with
+// how many days it is overdue.
+export function formatDue(due, now = new Date()) {
+  const days = daysUntil(due, now);
+  if (days == null) return '';
+  if (days < 0) return due + ' (' + -days + 'd overdue)';
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days < 7) return WEEKDAYS[fromISODate(due).getDay()].slice(0, 3);
+  return due;
+}
+
+export const AGENDA_GROUPS = ['Overdue', 'Today', 'This week', 'Later'];
+
+// Agenda bucket for a due date; "This week" is the next seven days.
+export function agendaGroup(due, now = new Date()) {
+  const days = daysUntil(due, now);
+  if (days == null) return null;
+  if (days < 0) return 'Overdue';
+  if (days === 0) return 'Today';
+  if (days <= 7) return 'This week';
+  return 'Later';
+}
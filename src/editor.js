@@ -0,0 +1,47 @@
+// Handing text over to the user's own editor ($VISUAL, $EDITOR, else vi).
+// The editor runs in the foreground on the same terminal, so the caller has
+// to give up raw mode first; the calls block until it exits.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {spawnSync} from 'child_process';
+
+export function editorCommand() {
+  return process.env.VISUAL || process.env.EDITOR || 'vi';
+}
+
+// Run the editor on `file`. The command goes through the shell so settings
+// like EDITOR="code --wait" work. Returns an error message or null.
+export function runEditor(file, extraArgs = []) {
+  const quote = s => "'" + String(s).replace(/'/g, "'\\''") + "'";
+  const command = [editorCommand(), ...extraArgs.map(quote), quote(file)].join(' ');
+  const result = spawnSync(command, {stdio: 'inherit', shell: true});
+  if (result.error) return 'Cannot run ' + editorCommand() + ': ' + result.error.message;
+  if (result.status !== 0) return editorCommand() + ' exited with status ' + result.status;
+  return null;
+}
+
+// Open `file` at `line`. Most terminal editors take +<line>; VS Code and
+// Sublime-style editors want file:line instead.
+export function editFileAt(file, line) {
+  const name = path.basename(editorCommand().trim().split(/\s+/)[0]);
+  if (['code', 'code-insiders', 'codium'].includes(name)) return runEditor(file + ':' + line, ['--goto']);
+  if (['subl', 'zed', 'hx'].includes(name)) return runEditor(file + ':' + line);
+  return runEditor(file, ['+' + line]);
+}
+
+// Edit `text` in a temporary file. Returns {text} with the saved contents,
+// or {error}.
+export function editText(text, name = 'notes.md') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-'));
+  const file = path.join(dir, name);
+  try {
+    fs.writeFileSync(file, text);
+    const error = runEditor(file);
+    return error ? {error} : {text: fs.readFileSync(file, 'utf8')};
+  } catch (err) {
+    return {error: err.message};
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+}
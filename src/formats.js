@@ -0,0 +1,315 @@
+// Import and export in other task formats:
+//   todotxt  todo.txt lines: `x 2026-10-18 2026-10-01 text pri:A`, `(A) 2026-10-01 text due:2026-11-03`
+//   md       Markdown checklists (`- [ ]` / `- [x]`), nested by indentation,
+//            with Obsidian Tasks style fields: ⏫ 🔼 🔽 priority, 🔁 recurrence,
+//            ➕ created, 📅 due, ✅ done
+//   csv      one row per task, with id/parent columns for subtasks and the
+//            recurrence as typed (`every:2w`)
+//   json     the storage document itself
+// notex has three priorities; todo.txt letters below C import as priority 3.
+import path from 'path';
+import {SCHEMA_VERSION, parseStore} from './persist.js';
+import {nextId, parseInput, editableText} from './tasks.js';
+import {stripPriority} from './tokens.js';
+import {depths, normalizeTree} from './tree.js';
+import {WEEKDAYS, toISODate, fromISODate} from './dates.js';
+import {parseRecur, formatRecur} from './recur.js';
+
+export const FORMATS = ['todotxt', 'md', 'csv', 'json'];
+
+export const FORMAT_LABELS = {todotxt: 'todo.txt', md: 'Markdown', csv: 'CSV', json: 'JSON'};
+
+export const FORMAT_EXTENSIONS = {todotxt: '.txt', md: '.md', csv: '.csv', json: '.json'};
+
+export class FormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormatError';
+  }
+}
+
+const EXTENSIONS = {'.txt': 'todotxt', '.todo': 'todotxt', '.md': 'md', '.markdown': 'md', '.csv': 'csv', '.json': 'json'};
+
+// Guess a file's format from its extension, then from its content.
+export function detectFormat(fileName, content) {
+  const byExt = EXTENSIONS[path.extname(String(fileName || '')).toLowerCase()];
+  if (byExt) return byExt;
+  const s = String(content || '').trimStart();
+  if (s.startsWith('{') || s.startsWith('[')) return 'json';
+  if (/^\s*[-*+]\s+\[[ xX]\]/m.test(s)) return 'md';
+  if (/^[^\n]*\btext\b[^\n]*,/i.test(s)) return 'csv';
+  return 'todotxt';
+}
+
+const LETTERS = {1: 'A', 2: 'B', 3: 'C'};
+const MD_PRIORITY = {1: '⏫', 2: '🔼', 3: '🔽'};
+const MD_PRIORITY_IN = {'🔺': 1, '⏫': 1, '🔼': 2, '🔽': 3, '⏬': 3};
+
+function day(ms) {
+  return ms ? toISODate(new Date(ms)) : null;
+}
+
+function fromDay(s) {
+  const d = fromISODate(s);
+  return d ? d.getTime() : null;
+}
+
+function letterPriority(letter) {
+  return Math.min(letter.toUpperCase().charCodeAt(0) - 64, 3);
+}
+
+// Text as notex stores it with the due date written back in, minus the
+// priority marker, which each format carries its own way.
+function bareText(task, withDue = true) {
+  return stripPriority(withDue ? editableText(task) : task.text);
+}
+
+function toTodoTxt(tasks) {
+  return tasks.map(task => {
+    const letter = LETTERS[task.priority];
+    const created = day(task.createdAt);
+    if (task.done) {
+      // A creation date is only valid after a completion date
+      const completed = day(task.completedAt);
+      return ['x', completed, completed && created, bareText(task), letter && 'pri:' + letter].filter(Boolean).join(' ');
+    }
+    return [letter && '(' + letter + ')', created, bareText(task)].filter(Boolean).join(' ');
+  });
+}
+
+// A rule in Obsidian Tasks words: "every 2 weeks", "every Monday, Thursday",
+// "every week when done"
+function recurWords(rule) {
+  if (rule.days) return 'every ' + rule.days.map(d => WEEKDAYS[d][0].toUpperCase() + WEEKDAYS[d].slice(1)).join(', ');
+  return 'every ' + (rule.every === 1 ? rule.unit : rule.every + ' ' + rule.unit + 's') + (rule.after ? ' when done' : '');
+}
+
+function fromRecurWords(words) {
+  const m = /^every\s+(.+?)(\s+when done)?$/i.exec(words.trim());
+  return m ? parseRecur(m[1].replace(/\s+/g, ''), Boolean(m[2])) : null;
+}
+
+function toMarkdown(tasks) {
+  const d = depths(tasks);
+  return tasks.map((task, i) => [
+    '  '.repeat(d[i]) + '- [' + (task.done ? 'x' : ' ') + ']',
+    bareText(task, false),
+    MD_PRIORITY[task.priority],
+    task.recur && '🔁 ' + recurWords(task.recur),
+    task.createdAt && '➕ ' + day(task.createdAt),
+    task.due && '📅 ' + task.due,
+    task.done && task.completedAt && '✅ ' + day(task.completedAt)
+  ].filter(Boolean).join(' '));
+}
+
+const CSV_COLUMNS = ['id', 'parent', 'text', 'done', 'priority', 'due', 'created', 'completed', 'recur'];
+
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCsv(tasks) {
+  const iso = ms => (ms ? new Date(ms).toISOString() : '');
+  return [CSV_COLUMNS.join(',')].concat(tasks.map(t => [
+    t.id, t.parentId, t.text, t.done, t.priority, t.due, iso(t.createdAt), iso(t.completedAt), formatRecur(t.recur)
+  ].map(csvField).join(',')));
+}
+
+export function exportTasks(tasks, format) {
+  if (format === 'json') return JSON.stringify({version: SCHEMA_VERSION, tasks}, null, 2);
+  const lines = format === 'todotxt' ? toTodoTxt(tasks)
+    : format === 'md' ? toMarkdown(tasks)
+    : format === 'csv' ? toCsv(tasks)
+    : null;
+  if (!lines) throw new FormatError('unknown format "' + format + '" (use ' + FORMATS.join(', ') + ')');
+  return lines.join('\n');
+}
+
+// Importers turn content into records: {ref, parentRef, input, done,
+// createdAt, completedAt, keep}. `input` is text as typed in notex (markers,
+// due:), `keep` any other fields to carry over.
+
+const DATE = /^(\d{4}-\d{2}-\d{2})\s+/;
+
+function fromTodoTxt(content) {
+  return content.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+    let rest = line.trim();
+    let done = false;
+    let completed = null;
+    let letter = null;
+    let m;
+    if ((m = /^x\s+/.exec(rest))) {
+      done = true;
+      rest = rest.slice(m[0].length);
+    }
+    // Some tools keep the priority after the "x"
+    if ((m = /^\(([A-Z])\)\s+/.exec(rest))) {
+      letter = m[1];
+      rest = rest.slice(m[0].length);
+    }
+    if (done && (m = DATE.exec(rest))) {
+      completed = m[1];
+      rest = rest.slice(m[0].length);
+    }
+    let created = null;
+    if ((m = DATE.exec(rest))) {
+      created = m[1];
+      rest = rest.slice(m[0].length);
+    }
+    // Completed tasks keep their priority as pri:X
+    rest = rest.replace(/(^|\s)pri:([A-Za-z])(?=\s|$)/, (all, lead, p) => {
+      letter = letter || p;
+      return lead;
+    }).trim();
+    const input = letter ? '(' + LETTERS[letterPriority(letter)] + ') ' + rest : rest;
+    return {ref: i, parentRef: null, input, done, createdAt: fromDay(created), completedAt: fromDay(completed)};
+  });
+}
+
+const MD_TASK = /^(\s*)[-*+]\s+\[([ xX])\]\s?(.*)$/;
+const MD_FIELD = /\s*(➕|📅|📆|🗓️?|✅)\s*(\d{4}-\d{2}-\d{2})/gu;
+// The words after 🔁 run up to the next field
+const MD_RECUR = /\s*🔁\s*([^🔺⏫🔼🔽⏬➕📅📆🗓✅]*)/u;
+
+function fromMarkdown(content) {
+  const records = [];
+  const stack = []; // open parents: {indent, ref}
+  for (const line of content.split(/\r?\n/)) {
+    const m = MD_TASK.exec(line);
+    if (!m) continue;
+    const indent = m[1].replace(/\t/g, '    ').length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    const fields = {};
+    let text = m[3].replace(MD_FIELD, (all, sign, date) => {
+      fields[sign === '➕' ? 'created' : sign === '✅' ? 'completed' : 'due'] = date;
+      return '';
+    });
+    let recur = null;
+    text = text.replace(MD_RECUR, (all, words) => {
+      recur = fromRecurWords(words);
+      return '';
+    });
+    let priority = null;
+    text = text.replace(/\s*(🔺|⏫|🔼|🔽|⏬)️?/gu, (all, sign) => {
+      priority = priority || MD_PRIORITY_IN[sign];
+      return '';
+    }).trim();
+    const input = [text, priority && '!' + priority, fields.due && 'due:' + fields.due, recur && formatRecur(recur)].filter(Boolean).join(' ');
+    const ref = records.length;
+    records.push({
+      ref,
+      parentRef: stack.length ? stack[stack.length - 1].ref : null,
+      input,
+      done: m[2] !== ' ',
+      createdAt: fromDay(fields.created),
+      completedAt: fromDay(fields.completed)
+    });
+    stack.push({indent, ref});
+  }
+  return records;
+}
+
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+    if (quoted) {
+      if (c === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push(row.concat([field]));
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function fromCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  const cols = (header || []).map(h => h.trim().toLowerCase());
+  if (!cols.includes('text')) throw new FormatError('CSV has no "text" column');
+  const timestamp = s => {
+    const ms = s ? Date.parse(s) : NaN;
+    return Number.isNaN(ms) ? null : ms;
+  };
+  return rows.map((cells, i) => {
+    const get = name => (cols.includes(name) ? (cells[cols.indexOf(name)] || '').trim() : '');
+    const text = get('text');
+    const priority = /^[1-3]$/.test(get('priority')) && parseInput(text).fields.priority == null ? '!' + get('priority') : null;
+    return {
+      ref: get('id') || 'row' + i,
+      parentRef: get('parent') || null,
+      input: [text, priority, get('due') && 'due:' + get('due'), /^(every|after):\S+$/i.test(get('recur')) && get('recur')].filter(Boolean).join(' '),
+      done: /^(true|yes|x|1)$/i.test(get('done')),
+      createdAt: timestamp(get('created')),
+      completedAt: timestamp(get('completed'))
+    };
+  });
+}
+
+function fromJson(content, source) {
+  const store = parseStore(content, source);
+  if (store.readOnly) throw new FormatError(source + ' was written by a newer notex (storage version ' + store.version + ')');
+  return store.tasks.map(t => ({
+    ref: t.id,
+    parentRef: t.parentId,
+    input: editableText(t),
+    done: t.done,
+    createdAt: t.createdAt,
+    completedAt: t.completedAt,
+    keep: t
+  }));
+}
+
+// Parse `content` into new tasks ready to append to `existing`: fresh ids,
+// subtasks linked to their imported parents. `source` names the input in
+// error messages.
+export function importTasks(content, format, existing = [], source = 'input') {
+  const records = format === 'todotxt' ? fromTodoTxt(content)
+    : format === 'md' ? fromMarkdown(content)
+    : format === 'csv' ? fromCsv(content)
+    : format === 'json' ? fromJson(content, source)
+    : null;
+  if (!records) throw new FormatError('unknown format "' + format + '" (use ' + FORMATS.join(', ') + ')');
+  const now = Date.now();
+  const first = nextId(existing);
+  const ids = new Map();
+  records.forEach((r, i) => {
+    if (!ids.has(String(r.ref))) ids.set(String(r.ref), first + i);
+  });
+  return normalizeTree(records.map((r, i) => {
+    const {text, fields} = parseInput(r.input);
+    const parent = r.parentRef == null ? undefined : ids.get(String(r.parentRef));
+    return {
+      ...r.keep,
+      id: first + i,
+      text,
+      done: Boolean(r.done),
+      createdAt: r.createdAt || now,
+      completedAt: r.done ? r.completedAt || r.createdAt || now : null,
+      parentId: parent ?? null,
+      ...fields
+    };
+  }));
+}
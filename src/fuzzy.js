@@ -0,0 +1,55 @@
+// Fuzzy matching for incremental search: every query character must appear
+// in order in the text (case-insensitive). Matches at word starts and runs of
+// consecutive characters score higher.
+
+function isWordStart(text, i) {
+  return i === 0 || /[\s\-_/#@+.(]/.test(text[i - 1]);
+}
+
+function scan(q, t, lower, preferWordStart) {
+  const positions = [];
+  let from = 0;
+  for (const ch of q) {
+    let pick = lower.indexOf(ch, from);
+    if (pick < 0) return null;
+    if (preferWordStart) {
+      for (let i = pick; i < lower.length; i++) {
+        if (lower[i] === ch && isWordStart(t, i)) {
+          pick = i;
+          break;
+        }
+      }
+    }
+    positions.push(pick);
+    from = pick + 1;
+  }
+  return positions;
+}
+
+// Returns {score, positions} (indexes into text of the matched characters),
+// or null when the query does not match. An empty query matches everything.
+export function fuzzyMatch(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const t = String(text || '');
+  const lower = t.toLowerCase();
+  if (!q) return {score: 0, positions: []};
+
+  // Prefer a contiguous hit: it is what people usually type
+  const direct = lower.indexOf(q);
+  if (direct >= 0) {
+    const positions = Array.from({length: q.length}, (_, k) => direct + k);
+    return {score: 100 + q.length * 2 + (isWordStart(t, direct) ? 10 : 0), positions};
+  }
+
+  // Jumping ahead to word starts reads better ("fl" in "fix login" marks
+  // the L of login), but can consume characters a later query character
+  // needs; fall back to the plain leftmost match then
+  const positions = scan(q, t, lower, true) || scan(q, t, lower, false);
+  if (!positions) return null;
+  let score = 0;
+  positions.forEach((p, k) => {
+    if (isWordStart(t, p)) score += 5;
+    if (k > 0 && p === positions[k - 1] + 1) score += 3;
+  });
+  return {score: score - (positions[positions.length - 1] - positions[0]) / 10, positions};
+}
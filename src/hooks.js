@@ -0,0 +1,177 @@
+// Lifecycle hooks: shell commands or Node modules from the user config that
+// run when tasks are added, completed or deleted and when a list is saved.
+//
+//   "hooks": {
+//     "task:done": "cat >> ~/done.jsonl",
+//     "task:add": ["./notify.sh", {"module": "./hooks/post.mjs", "timeout": 2000}],
+//     "save": {"command": "git commit -qm notex .notex.json"}
+//   }
+//
+// A command runs through the shell in the storage file's directory with the
+// payload as JSON on stdin (the task for task events, {file, tasks} for
+// save) and NOTEX_EVENT and NOTEX_FILE set. A module (relative paths are
+// resolved from the config directory) runs in its own node process too, so a
+// timeout can stop it; its default export is called with the payload and
+// {event, file}. Hooks run one at a time in the order they were fired,
+// after the change is saved; what they print is discarded, and a non-zero
+// exit, a timeout or a throw is reported as a failure.
+import {spawn} from 'child_process';
+import path from 'path';
+import {pathToFileURL} from 'url';
+import {loadConfig, configFile} from './config.js';
+
+export const HOOK_EVENTS = ['task:add', 'task:done', 'task:delete', 'save'];
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Imports the module, feeds it stdin and awaits its default export
+const MODULE_RUNNER = `
+const [url, event, file] = process.argv.slice(1);
+let input = '';
+for await (const chunk of process.stdin) input += chunk;
+const mod = await import(url);
+if (typeof mod.default !== 'function') throw new Error('no default export function');
+await mod.default(JSON.parse(input), {event, file});
+`;
+
+// The hooks configured for each event: {event: [{command} | {module},
+// with timeout]}, and messages about entries that cannot be used
+export function parseHooks(config = {}, base = path.dirname(configFile())) {
+  const hooks = {};
+  const problems = [];
+  const spec = config.hooks == null ? {} : config.hooks;
+  if (typeof spec !== 'object' || Array.isArray(spec)) return {hooks, problems: ['"hooks" must be an object of event names']};
+  for (const [event, entries] of Object.entries(spec)) {
+    if (!HOOK_EVENTS.includes(event)) {
+      problems.push('Unknown hook event "' + event + '" (use ' + HOOK_EVENTS.join(', ') + ')');
+      continue;
+    }
+    hooks[event] = [];
+    for (const entry of [].concat(entries)) {
+      const hook = typeof entry === 'string' ? {command: entry} : entry && typeof entry === 'object' ? entry : {};
+      const timeout = hook.timeout == null ? DEFAULT_TIMEOUT_MS : hook.timeout;
+      if (!(typeof timeout === 'number' && timeout > 0)) {
+        problems.push('Hook timeout for "' + event + '" must be a positive number of milliseconds');
+      } else if (typeof hook.command === 'string' && hook.command.trim()) {
+        hooks[event].push({command: hook.command, timeout});
+      } else if (typeof hook.module === 'string' && hook.module.trim()) {
+        hooks[event].push({module: path.resolve(base, hook.module), timeout});
+      } else {
+        problems.push('A "' + event + '" hook needs a command or a module');
+      }
+    }
+  }
+  return {hooks, problems};
+}
+
+// Read once per process, on the first event. A config file that cannot be
+// read runs no hooks, and says so.
+let configured = null;
+
+function configuredHooks() {
+  if (!configured) {
+    const {config, error} = loadConfig();
+    configured = error ? {hooks: {}, problems: [error + '; no hooks run']} : parseHooks(config);
+  }
+  return configured;
+}
+
+// The task events in a change's journal operations, [{event, task}]. Tasks
+// moving between the list and its archive are neither added nor deleted.
+export function taskEvents(ops, tasks) {
+  const archived = new Set(ops.filter(o => o.list === 'archive' && (o.op === 'add' || o.op === 'delete')).map(o => String(o.task.id)));
+  const events = [];
+  for (const o of ops) {
+    if (o.list === 'archive') continue;
+    if (o.op === 'add' || o.op === 'delete') {
+      if (!archived.has(String(o.task.id))) events.push({event: o.op === 'add' ? 'task:add' : 'task:delete', task: o.task});
+    } else if ((o.op === 'toggle' || o.op === 'edit') && o.after.done === true) {
+      const task = tasks.find(t => String(t.id) === String(o.id));
+      if (task) events.push({event: 'task:done', task});
+    }
+  }
+  return events;
+}
+
+function describe(hook) {
+  const name = hook.command || path.basename(hook.module);
+  return name.length > 40 ? name.slice(0, 39) + '…' : name;
+}
+
+// Run one hook. Resolves to null or a failure message.
+function runHook(hook, event, payload, file) {
+  return new Promise(resolve => {
+    const env = {...process.env, NOTEX_EVENT: event, NOTEX_FILE: file};
+    // In a process group of its own, so a timeout stops whatever it started
+    const options = {cwd: path.dirname(file), env, stdio: ['pipe', 'ignore', 'pipe'], detached: true};
+    let child;
+    try {
+      child = hook.command
+        ? spawn(hook.command, {...options, shell: true})
+        : spawn(process.execPath, ['--input-type=module', '-e', MODULE_RUNNER, pathToFileURL(hook.module).href, event, file], options);
+    } catch (err) {
+      resolve(err.message);
+      return;
+    }
+    let stderr = '';
+    let finished = false;
+    const finish = message => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      resolve(message);
+    };
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+      } catch {
+        child.kill();
+      }
+      // Whatever survives the signal must not hold up notex
+      child.stderr.destroy();
+      child.unref();
+      finish('timed out after ' + hook.timeout / 1000 + 's');
+    }, hook.timeout);
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    // A hook that does not read its input closes the pipe early
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload) + '\n');
+    child.on('error', err => finish(err.message));
+    child.on('close', (code, signal) => {
+      if (code === 0) finish(null);
+      else {
+        // For a module that threw, the error line rather than the end of the
+        // stack trace
+        const lines = stderr.split('\n').map(l => l.trim()).filter(Boolean);
+        const reason = (hook.module && lines.find(l => /^\w*Error\b/.test(l))) || lines.at(-1);
+        finish((signal ? 'killed by ' + signal : 'exit ' + code) + (reason ? ': ' + reason : ''));
+      }
+    });
+  });
+}
+
+let queue = Promise.resolve();
+
+// Run the hooks of `event` for the list in `file`, after any fired
+// earlier. Resolves to the failures, as messages.
+export function fireHook(event, payload, file) {
+  const {hooks, problems} = configuredHooks();
+  const list = hooks[event] || [];
+  if (!list.length && !problems.length) return Promise.resolve([]);
+  const run = queue.then(async () => {
+    const failures = problems.splice(0).map(p => 'Hooks: ' + p);
+    for (const hook of list) {
+      const error = await runHook(hook, event, payload, file);
+      if (error) failures.push('Hook ' + event + ' (' + describe(hook) + ') failed: ' + error);
+    }
+    return failures;
+  });
+  queue = run;
+  return run;
+}
+
+// Fire the task events of a change and resolve to all their failures
+export function fireTaskHooks(ops, tasks, file) {
+  return Promise.all(taskEvents(ops, tasks).map(e => fireHook(e.event, e.task, file))).then(lists => lists.flat());
+}
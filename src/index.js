@@ -1,15 +1,5 @@
-import React from 'react';
-import {render} from 'ink';
-import {App} from './ui.js';
-import {loadTasks} from './persist.js';
-
-const initial = loadTasks();
-
-const canUseRawMode = Boolean(process.stdin && typeof process.stdin.setRawMode === 'function');
-render(
-  React.createElement(App, {initialTasks: initial}),
-  {
-    isRawModeSupported: canUseRawMode,
-    exitOnCtrlC: false // handle Ctrl+C ourselves (double-press to exit)
-  }
-);
+// The package entry point, for scripts and Node tools: the headless task
+// store (see store.js) and what it takes to find a list. Importing it
+// renders nothing; the interactive UI is the notex command.
+export {TaskStore} from './store.js';
+export {StorageError, defaultStorage, storageByName, storageFile, storageLabel, DEFAULT_FILE, GLOBAL_FILE} from './persist.js';
@@ -0,0 +1,269 @@
+// Every change to a storage file is recorded as a few small operations in an
+// append-only journal next to it (`<file>.journal`, one JSON entry per line),
+// so undo and redo survive restarts and can be shared by several notex
+// instances. Entries:
+//   {id, at, ops: [...]}         a change
+//   {id, at, undo: <entry id>}   that change undone
+//   {id, at, redo: <entry id>}   and redone
+// Operations, tagged {list: 'archive'} when they touch the archive:
+//   {op: 'add' | 'delete', task, after, index}
+//   {op: 'edit' | 'toggle', id, text, before, after}   changed fields only
+//   {op: 'move', id, text, from, to}                   from/to: {after, parentId, index}
+// `after` is the id of the task a task follows (null at the top), which
+// keeps operations applicable when the list has changed around them;
+// `index` only orders insertions.
+import fs from 'fs';
+import {normalizeTree} from './tree.js';
+
+const key = id => String(id);
+
+// Entries read back from the end of the journal; older ones are no longer
+// offered for undo and are dropped by compactJournal()
+const JOURNAL_LIMIT = 1000;
+// Entries past the limit before the journal is rewritten, so that does not
+// happen on every change
+const COMPACT_SLACK = 200;
+
+export function journalFile(filePath) {
+  return filePath + '.journal';
+}
+
+export function newEntry(fields) {
+  return {id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), at: Date.now(), ...fields};
+}
+
+// Returns false when the journal cannot be written; the change itself is
+// saved regardless, it just cannot be undone after a restart.
+export function appendEntry(filePath, entry) {
+  try {
+    fs.appendFileSync(journalFile(filePath), JSON.stringify(entry) + '\n');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function readJournal(filePath, limit = JOURNAL_LIMIT) {
+  let raw;
+  try {
+    raw = fs.readFileSync(journalFile(filePath), 'utf8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split('\n').slice(-limit - 1)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry === 'object' && entry.id) entries.push(entry);
+    } catch {
+      // A torn last line from a crash; skip it
+    }
+  }
+  return entries;
+}
+
+// Rewrite the journal down to its last `limit` entries once it has grown
+// past them. Call it under the storage file's lock. Returns whether the
+// journal was rewritten.
+export function compactJournal(filePath, limit = JOURNAL_LIMIT) {
+  const file = journalFile(filePath);
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  } catch {
+    return false;
+  }
+  if (lines.length <= limit + COMPACT_SLACK) return false;
+  const tmp = file + '.' + process.pid + '.tmp';
+  try {
+    fs.writeFileSync(tmp, lines.slice(-limit).join('\n') + '\n');
+    fs.renameSync(tmp, file);
+    return true;
+  } catch {
+    try {
+      fs.unlinkSync(tmp);
+    } catch {}
+    return false;
+  }
+}
+
+// Replay the journal into {done, undone}: the changes that can be undone
+// (oldest first) and those that can be redone (the next redo last).
+export function undoStacks(entries) {
+  let done = [];
+  let undone = [];
+  for (const entry of entries) {
+    if (entry.ops) {
+      done.push(entry);
+      undone = [];
+    } else if (entry.undo) {
+      const hit = done.find(e => e.id === entry.undo);
+      if (!hit) continue;
+      done = done.filter(e => e !== hit);
+      undone.push(hit);
+    } else if (entry.redo) {
+      const hit = undone.find(e => e.id === entry.redo);
+      if (!hit) continue;
+      undone = undone.filter(e => e !== hit);
+      done.push(hit);
+    }
+  }
+  return {done, undone};
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Indexes (into `seq`) of a longest strictly increasing subsequence
+function longestIncreasing(seq) {
+  const tails = [];
+  const prev = new Array(seq.length);
+  seq.forEach((v, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < v) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+  const out = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) out.add(i);
+  return out;
+}
+
+function diffList(prev, next, list) {
+  const prevIndex = new Map(prev.map((t, i) => [key(t.id), i]));
+  const nextIndex = new Map(next.map((t, i) => [key(t.id), i]));
+  const anchor = (arr, i) => (i > 0 ? arr[i - 1].id : null);
+  const ops = [];
+  prev.forEach((t, i) => {
+    if (!nextIndex.has(key(t.id))) ops.push({op: 'delete', task: t, after: anchor(prev, i), index: i});
+  });
+  // Tasks that kept their order relative to each other stay put; the rest moved
+  const common = next.filter(t => prevIndex.has(key(t.id)));
+  const kept = longestIncreasing(common.map(t => prevIndex.get(key(t.id))));
+  const stays = new Set([...kept].map(i => key(common[i].id)));
+  next.forEach((t, i) => {
+    if (!prevIndex.has(key(t.id))) {
+      ops.push({op: 'add', task: t, after: anchor(next, i), index: i});
+      return;
+    }
+    const j = prevIndex.get(key(t.id));
+    const old = prev[j];
+    if (old === t && stays.has(key(t.id))) return;
+    if (!stays.has(key(t.id)) || (old.parentId ?? null) !== (t.parentId ?? null)) {
+      ops.push({
+        op: 'move',
+        id: t.id,
+        text: t.text,
+        from: {after: anchor(prev, j), parentId: old.parentId ?? null, index: j},
+        to: {after: anchor(next, i), parentId: t.parentId ?? null, index: i}
+      });
+    }
+    const before = {};
+    const after = {};
+    for (const f of new Set([...Object.keys(old), ...Object.keys(t)])) {
+      if (f === 'id' || f === 'parentId' || sameValue(old[f], t[f])) continue;
+      before[f] = old[f] ?? null;
+      after[f] = t[f] ?? null;
+    }
+    const fields = Object.keys(after);
+    if (fields.length) {
+      // Completing a task also clears its workflow state
+      const toggle = fields.every(f => f === 'done' || f === 'completedAt' || (f === 'state' && fields.includes('done')));
+      ops.push({op: toggle ? 'toggle' : 'edit', id: t.id, text: t.text, before, after});
+    }
+  });
+  return list ? ops.map(o => ({...o, list})) : ops;
+}
+
+// Operations turning {tasks, archive} `prev` into `next`
+export function diffState(prev, next) {
+  const ops = diffList(prev.tasks, next.tasks);
+  if (prev.archive === next.archive) return ops;
+  return ops.concat(diffList(prev.archive || [], next.archive || [], 'archive'));
+}
+
+export function invertOps(ops) {
+  return ops.map(o => {
+    if (o.op === 'add') return {...o, op: 'delete'};
+    if (o.op === 'delete') return {...o, op: 'add'};
+    if (o.op === 'move') return {...o, from: o.to, to: o.from};
+    return {...o, before: o.after, after: o.before};
+  });
+}
+
+function applyOps(tasks, ops, tree) {
+  if (!ops.length) return tasks;
+  const gone = new Set(ops.filter(o => o.op === 'delete').map(o => key(o.task.id)));
+  const moves = new Map(ops.filter(o => o.op === 'move').map(o => [key(o.id), o]));
+  const edits = new Map(ops.filter(o => o.op === 'edit' || o.op === 'toggle').map(o => [key(o.id), o]));
+  const pulled = new Map();
+  const out = [];
+  for (const t of tasks) {
+    const k = key(t.id);
+    if (gone.has(k)) continue;
+    const task = edits.has(k) ? {...t, ...edits.get(k).after} : t;
+    if (moves.has(k)) pulled.set(k, {...task, parentId: moves.get(k).to.parentId});
+    else out.push(task);
+  }
+  const inserts = ops
+    .filter(o => o.op === 'add' || o.op === 'move')
+    .map(o => (o.op === 'add' ? {...o, task: o.task} : {...o.to, task: pulled.get(key(o.id))}))
+    .filter(ins => ins.task)
+    .sort((a, b) => a.index - b.index);
+  for (const ins of inserts) {
+    if (out.some(t => key(t.id) === key(ins.task.id))) continue;
+    const a = ins.after == null ? -1 : out.findIndex(t => key(t.id) === key(ins.after));
+    const at = ins.after == null ? 0 : a >= 0 ? a + 1 : out.length;
+    out.splice(at, 0, ins.task);
+  }
+  // Archived tasks keep links to parents that are not archived, so only the
+  // task list is repaired into a tree
+  return tree ? normalizeTree(out) : out;
+}
+
+// Apply operations (or their inverse, for undo) to {tasks, archive}. A list
+// no operation touches comes back as the same array.
+export function applyEntry(state, ops) {
+  return {
+    tasks: applyOps(state.tasks, ops.filter(o => o.list !== 'archive'), true),
+    archive: applyOps(state.archive, ops.filter(o => o.list === 'archive'), false)
+  };
+}
+
+function quote(text) {
+  const s = String(text || '');
+  return '"' + (s.length > 40 ? s.slice(0, 39) + '…' : s) + '"';
+}
+
+// One-line summary for the history screen, e.g. 'Done "Write notes"' or
+// 'Delete "Release" and 2 more'
+export function describeEntry(entry) {
+  const ops = entry.ops || [];
+  const main = ops.filter(o => o.list !== 'archive');
+  const archived = ops.filter(o => o.list === 'archive');
+  const count = n => (n > 1 ? ' and ' + (n - 1) + ' more' : '');
+  if (archived.some(o => o.op === 'add')) {
+    const added = archived.filter(o => o.op === 'add');
+    return 'Archive ' + quote(added[0].task.text) + count(added.length);
+  }
+  if (archived.some(o => o.op === 'delete')) {
+    const restored = archived.filter(o => o.op === 'delete');
+    return 'Restore ' + quote(restored[0].task.text) + count(restored.length);
+  }
+  if (!main.length) return 'No change';
+  // Name the change after its most common kind of operation
+  const kinds = ['delete', 'add', 'move', 'toggle', 'edit'];
+  const kind = kinds.reduce((best, k) => (main.filter(o => o.op === k).length > main.filter(o => o.op === best).length ? k : best));
+  const same = main.filter(o => o.op === kind);
+  const first = same[0];
+  const text = first.task ? first.task.text : first.text;
+  const verb = kind === 'toggle' ? (first.after.done ? 'Done' : 'Reopen') : kind[0].toUpperCase() + kind.slice(1);
+  return verb + ' ' + quote(text) + count(same.length);
+}
@@ -0,0 +1,305 @@
+// Keybindings. Every action the list, board, settings and global key handlers know
+// has a list of keys, taken from a preset (default, vim or emacs) and
+// overridden per action in the user config:
+//   {"keymap": "vim", "keys": {"delete": ["x", "d d"], "help": "?"}}
+// A key is a character ("a", "A", "?"), a named key (enter, esc, space, tab,
+// up, down, left, right, pageup, pagedown, backspace, delete) or either of
+// those with ctrl+, alt+ or shift+ in front. Several keys separated by spaces
+// form a sequence ("g g", "ctrl+x u"); a run of plain characters ("dd") is
+// read as one too.
+//
+// The other screens (agenda, filter, archive, history, list picker, import
+// and export, stats, time report, conflict and recovery prompts) read fixed
+// keys, shown at their foot; the global actions work on those that do not
+// take text or ask about a conflict or recovery.
+import {loadConfig, configFile} from './config.js';
+
+// Scopes: 'global' keys work on every screen that is not taking text input,
+// 'nav' ones in the list and in settings, 'list' ones in the list only and
+// 'board' ones on the board.
+export const ACTIONS = [
+  {id: 'up', scope: 'nav', section: 'Navigation', label: 'Move selection up', keys: ['up', 'k']},
+  {id: 'down', scope: 'nav', section: 'Navigation', label: 'Move selection down', keys: ['down', 'j']},
+  {id: 'fold', scope: 'nav', section: 'Navigation', label: 'Fold subtasks / go to parent', keys: ['left']},
+  {id: 'unfold', scope: 'nav', section: 'Navigation', label: 'Unfold / go to first subtask', keys: ['right']},
+  {id: 'first', scope: 'list', section: 'Navigation', label: 'Go to first task', keys: []},
+  {id: 'last', scope: 'list', section: 'Navigation', label: 'Go to last task', keys: []},
+  {id: 'toggle', scope: 'list', section: 'Navigation', label: 'Toggle done', keys: ['space']},
+  {id: 'agenda', scope: 'list', section: 'Views', label: 'Agenda (tasks by due date)', keys: ['A']},
+  {id: 'transfer', scope: 'list', section: 'Views', label: 'Import / export (todo.txt, Markdown, CSV, JSON)', keys: ['X']},
+  {id: 'archiveView', scope: 'list', section: 'Views', label: 'Archive (browse / restore)', keys: ['Z']},
+  {id: 'lists', scope: 'list', section: 'Views', label: 'Switch list (project, global, named lists)', keys: ['L']},
+  {id: 'stats', scope: 'list', section: 'Views', label: 'Stats', keys: ['i']},
+  {id: 'history', scope: 'list', section: 'Views', label: 'History (jump back or forward)', keys: ['H']},
+  {id: 'details', scope: 'list', section: 'Views', label: 'Show / hide the detail pane', keys: ['p']},
+  {id: 'timeReport', scope: 'list', section: 'Views', label: 'Time report (per task and tag)', keys: ['R']},
+  {id: 'board', scope: 'list', section: 'Views', label: 'Board (tasks by workflow state)', keys: ['b']},
+  {id: 'filter', scope: 'list', section: 'Find', label: 'Filter by #tag @context +project !1', keys: ['f']},
+  {id: 'clearFilter', scope: 'list', section: 'Find', label: 'Clear the filter', keys: ['F']},
+  {id: 'search', scope: 'list', section: 'Find', label: 'Search (fuzzy)', keys: ['/']},
+  {id: 'nextHit', scope: 'list', section: 'Find', label: 'Next search hit', keys: ['n']},
+  {id: 'prevHit', scope: 'list', section: 'Find', label: 'Previous search hit', keys: ['N']},
+  {id: 'sort', scope: 'list', section: 'Find', label: 'Cycle sort (manual, created, completed, A–Z, …)', keys: ['S']},
+  {id: 'add', scope: 'list', section: 'Editing', label: 'Add task', keys: ['a']},
+  {id: 'addBelow', scope: 'list', section: 'Editing', label: 'Add task below the selected one', keys: []},
+  {id: 'addAbove', scope: 'list', section: 'Editing', label: 'Add task above the selected one', keys: []},
+  {id: 'edit', scope: 'list', section: 'Editing', label: 'Edit task', keys: ['e', 'enter']},
+  {id: 'notes', scope: 'list', section: 'Editing', label: 'Edit notes', keys: ['E']},
+  {id: 'notesEditor', scope: 'list', section: 'Editing', label: 'Edit notes in $EDITOR', keys: ['ctrl+e']},
+  {id: 'openSource', scope: 'list', section: 'Editing', label: 'Open a code comment task at its line in $EDITOR', keys: ['ctrl+g']},
+  {id: 'delete', scope: 'list', section: 'Editing', label: 'Delete task (and subtasks)', keys: ['d']},
+  {id: 'indent', scope: 'list', section: 'Editing', label: 'Indent under previous task', keys: ['tab', '>']},
+  {id: 'outdent', scope: 'list', section: 'Editing', label: 'Outdent', keys: ['shift+tab', '<']},
+  {id: 'moveUp', scope: 'list', section: 'Editing', label: 'Move task up', keys: ['K', 'shift+up']},
+  {id: 'moveDown', scope: 'list', section: 'Editing', label: 'Move task down', keys: ['J', 'shift+down']},
+  {id: 'moveTop', scope: 'list', section: 'Editing', label: 'Move task to top', keys: ['T']},
+  {id: 'moveBottom', scope: 'list', section: 'Editing', label: 'Move task to bottom', keys: ['B']},
+  {id: 'tag', scope: 'list', section: 'Editing', label: 'Add / remove #tags, @contexts, +projects', keys: ['#']},
+  {id: 'send', scope: 'list', section: 'Editing', label: 'Move task to another list', keys: ['M']},
+  {id: 'copy', scope: 'list', section: 'Editing', label: 'Copy task to another list', keys: ['C']},
+  {id: 'archive', scope: 'list', section: 'Editing', label: 'Archive finished tasks', keys: ['z']},
+  {id: 'scan', scope: 'list', section: 'Editing', label: 'Scan the project for TODO / FIXME / HACK comments', keys: ['c']},
+  {id: 'timer', scope: 'list', section: 'Editing', label: 'Start / stop the timer', keys: ['t']},
+  {id: 'mark', scope: 'list', section: 'Selection', label: 'Mark / unmark task', keys: ['m']},
+  {id: 'visual', scope: 'list', section: 'Selection', label: 'Start / end a visual range', keys: ['V']},
+  {id: 'undo', scope: 'global', section: 'History', label: 'Undo', keys: ['u', 'ctrl+z']},
+  {id: 'redo', scope: 'global', section: 'History', label: 'Redo', keys: ['r', 'ctrl+y']},
+  {id: 'settings', scope: 'global', section: 'Settings', label: 'Open settings', keys: ['o']},
+  {id: 'save', scope: 'list', section: 'Settings', label: 'Save now (autosave on)', keys: ['s']},
+  {id: 'help', scope: 'global', section: 'App', label: 'Toggle help', keys: ['h', '?']},
+  {id: 'quit', scope: 'list', section: 'App', label: 'Save & quit', keys: ['q']},
+  {id: 'boardLeft', scope: 'board', section: 'Board', label: 'Select the column on the left', keys: ['left']},
+  {id: 'boardRight', scope: 'board', section: 'Board', label: 'Select the column on the right', keys: ['right']},
+  {id: 'boardUp', scope: 'board', section: 'Board', label: 'Select the task above', keys: ['up', 'k']},
+  {id: 'boardDown', scope: 'board', section: 'Board', label: 'Select the task below', keys: ['down', 'j']},
+  {id: 'boardMoveLeft', scope: 'board', section: 'Board', label: 'Move task to the column on the left', keys: ['shift+left', '<']},
+  {id: 'boardMoveRight', scope: 'board', section: 'Board', label: 'Move task to the column on the right', keys: ['shift+right', '>']},
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => ({id: 'boardColumn' + n, scope: 'board', section: 'Board', label: 'Move task to column ' + n, keys: [String(n)]})),
+  {id: 'boardDone', scope: 'board', section: 'Board', label: 'Move task to the last column and back', keys: ['space']},
+  {id: 'boardShow', scope: 'board', section: 'Board', label: 'Show the task in the list', keys: ['enter']},
+  {id: 'boardClose', scope: 'board', section: 'Board', label: 'Back to the list', keys: ['b', 'q']}
+];
+
+export const SECTIONS = ['Navigation', 'Views', 'Find', 'Editing', 'Selection', 'Board', 'History', 'Settings', 'App'];
+
+// The scopes each screen reads keys from. Keys only clash between actions
+// that share a screen, so the board can reuse keys of the list.
+const SCREENS = [['global', 'nav', 'list'], ['global', 'board']];
+
+// Presets list only the actions they change
+const PRESETS = {
+  default: {},
+  vim: {
+    up: ['k', 'up'],
+    down: ['j', 'down'],
+    fold: ['h', 'left'],
+    unfold: ['l', 'right'],
+    first: ['g g'],
+    last: ['G'],
+    toggle: ['x', 'space'],
+    addBelow: ['o'],
+    addAbove: ['O'],
+    delete: ['d d'],
+    redo: ['ctrl+r'],
+    settings: [','],
+    help: ['?'],
+    boardLeft: ['h', 'left'],
+    boardRight: ['l', 'right'],
+    boardMoveLeft: ['H', 'shift+left', '<'],
+    boardMoveRight: ['L', 'shift+right', '>']
+  },
+  emacs: {
+    up: ['ctrl+p', 'up'],
+    down: ['ctrl+n', 'down'],
+    fold: ['ctrl+b', 'left'],
+    unfold: ['ctrl+f', 'right'],
+    first: ['ctrl+x ['],
+    last: ['ctrl+x ]'],
+    search: ['ctrl+s', '/'],
+    addBelow: ['ctrl+o'],
+    delete: ['ctrl+d', 'd'],
+    undo: ['ctrl+x u', 'u', 'ctrl+z'],
+    save: ['ctrl+x ctrl+s', 's'],
+    boardLeft: ['ctrl+b', 'left'],
+    boardRight: ['ctrl+f', 'right'],
+    boardUp: ['ctrl+p', 'up'],
+    boardDown: ['ctrl+n', 'down']
+  }
+};
+
+export const PRESET_NAMES = Object.keys(PRESETS);
+
+// Keys handled before the keymap is consulted
+const RESERVED = ['esc', 'ctrl+c'];
+
+const NAMED = {
+  enter: 'enter', return: 'enter', esc: 'esc', escape: 'esc', space: 'space', tab: 'tab',
+  up: 'up', down: 'down', left: 'left', right: 'right', pageup: 'pageup', pagedown: 'pagedown',
+  backspace: 'backspace', delete: 'delete'
+};
+const MODIFIERS = {ctrl: 'ctrl', control: 'ctrl', alt: 'meta', meta: 'meta', option: 'meta', shift: 'shift'};
+
+// One key as written in the config, in the canonical form keyName() produces
+function parseStroke(s) {
+  const m = /^((?:[a-z]+\+)*)(.+)$/i.exec(s);
+  if (!m) return null;
+  const mods = new Set();
+  for (const mod of m[1].split('+').filter(Boolean)) {
+    if (!MODIFIERS[mod.toLowerCase()]) return null;
+    mods.add(MODIFIERS[mod.toLowerCase()]);
+  }
+  let base = NAMED[m[2].toLowerCase()];
+  if (!base) {
+    if ([...m[2]].length !== 1) return null;
+    base = m[2];
+    // Shift only shows on letters, as their capital
+    if (mods.has('shift') && !mods.has('ctrl')) {
+      if (!/^[a-z]$/i.test(base)) return null;
+      mods.delete('shift');
+      base = base.toUpperCase();
+    }
+    if (mods.has('ctrl')) base = base.toLowerCase();
+  }
+  return ['ctrl', 'meta', 'shift'].filter(mod => mods.has(mod)).map(mod => mod + '+').join('') + base;
+}
+
+// A key or sequence from the config as canonical strokes joined by spaces,
+// or null when it cannot be read
+export function parseKeys(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) return null;
+  let tokens = spec.trim().split(/\s+/);
+  if (tokens.length === 1 && !tokens[0].includes('+') && !NAMED[tokens[0].toLowerCase()]) tokens = [...tokens[0]];
+  const strokes = tokens.map(parseStroke);
+  return strokes.every(Boolean) ? strokes.join(' ') : null;
+}
+
+// The canonical name of a key event from Ink's useInput
+export function keyName(input, key) {
+  if (key.escape) return 'esc';
+  const named = key.upArrow ? 'up' : key.downArrow ? 'down' : key.leftArrow ? 'left' : key.rightArrow ? 'right'
+    : key.pageUp ? 'pageup' : key.pageDown ? 'pagedown' : key.return ? 'enter' : key.tab ? 'tab'
+    : key.backspace ? 'backspace' : key.delete ? 'delete' : input === ' ' ? 'space' : null;
+  const mods = (key.ctrl ? 'ctrl+' : '') + (key.meta ? 'meta+' : '');
+  if (named) return mods + (key.shift ? 'shift+' : '') + named;
+  if (!input) return null;
+  if (key.ctrl) return mods + (key.shift ? 'shift+' : '') + input.toLowerCase();
+  return mods + input;
+}
+
+const LABELS = {
+  up: '↑', down: '↓', left: '←', right: '→', enter: 'Enter', esc: 'Esc', space: 'Space', tab: 'Tab',
+  pageup: 'PgUp', pagedown: 'PgDn', backspace: 'Backspace', delete: 'Delete'
+};
+const MOD_LABELS = {ctrl: 'Ctrl', meta: 'Alt', shift: 'Shift'};
+
+// How a key or sequence is shown in help and hints: "Ctrl+Z", "Shift+↑", "gg"
+export function keyLabel(keys) {
+  const strokes = keys.split(' ');
+  const labels = strokes.map(stroke => {
+    const m = /^((?:(?:ctrl|meta|shift)\+)*)(.+)$/.exec(stroke);
+    const mods = m[1].split('+').filter(Boolean).map(mod => MOD_LABELS[mod] + '+').join('');
+    const base = LABELS[m[2]] || (mods.startsWith('Ctrl') ? m[2].toUpperCase() : m[2]);
+    return mods + base;
+  });
+  return labels.join(strokes.every(s => [...s].length === 1) ? '' : ' ');
+}
+
+function actionLabel(id) {
+  return ACTIONS.find(a => a.id === id).label;
+}
+
+function shareScreen(a, b) {
+  const scope = id => ACTIONS.find(action => action.id === id).scope;
+  return SCREENS.some(screen => screen.includes(scope(a)) && screen.includes(scope(b)));
+}
+
+// Keys that would fire two actions at once, or a key that fires before a
+// longer sequence starting with it can be typed
+function findConflicts(bindings) {
+  const all = [];
+  for (const [id, keys] of bindings) for (const keys1 of new Set(keys)) all.push({id, keys: keys1});
+  const problems = [];
+  all.forEach((a, i) => {
+    for (const b of all.slice(i + 1)) {
+      if (a.id === b.id || !shareScreen(a.id, b.id)) continue;
+      if (a.keys === b.keys) {
+        problems.push('Key ' + keyLabel(a.keys) + ' is bound to both "' + actionLabel(a.id) + '" and "' + actionLabel(b.id) + '"');
+      } else if (b.keys.startsWith(a.keys + ' ') || a.keys.startsWith(b.keys + ' ')) {
+        const [short, long] = a.keys.length < b.keys.length ? [a, b] : [b, a];
+        problems.push('Key ' + keyLabel(short.keys) + ' ("' + actionLabel(short.id) + '") makes ' + keyLabel(long.keys) + ' ("' + actionLabel(long.id) + '") unreachable');
+      }
+    }
+  });
+  return problems;
+}
+
+// Build the keymap from a config object: {preset, bindings: Map of action id
+// to key sequences, problems: messages about the config and conflicts}
+export function buildKeymap(config = {}) {
+  const problems = [];
+  let preset = config.keymap == null ? 'default' : config.keymap;
+  if (!PRESETS[preset]) {
+    problems.push('Unknown keymap "' + preset + '" (use ' + PRESET_NAMES.join(', ') + ')');
+    preset = 'default';
+  }
+  const bindings = new Map(ACTIONS.map(a => [a.id, PRESETS[preset][a.id] || a.keys]));
+  const overrides = config.keys == null ? {} : config.keys;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    problems.push('"keys" must map action names to keys');
+  } else {
+    for (const [id, value] of Object.entries(overrides)) {
+      if (!bindings.has(id)) {
+        problems.push('Unknown action "' + id + '" in "keys"');
+        continue;
+      }
+      const keys = [];
+      for (const spec of Array.isArray(value) ? value : [value]) {
+        const parsed = parseKeys(spec);
+        if (!parsed) problems.push('Cannot read key ' + JSON.stringify(spec) + ' for "' + id + '"');
+        else if (parsed.split(' ').some(s => RESERVED.includes(s))) problems.push(keyLabel(parsed) + ' is reserved and cannot be bound to "' + id + '"');
+        else keys.push(parsed);
+      }
+      bindings.set(id, keys);
+    }
+  }
+  return {preset, bindings, problems: problems.concat(findConflicts(bindings))};
+}
+
+// The keymap from the user config file, with any problem reading it and
+// the file's path
+export function loadKeymap() {
+  const {config, error} = loadConfig();
+  const keymap = buildKeymap(config);
+  if (error) keymap.problems.unshift(error);
+  return {...keymap, file: configFile()};
+}
+
+// Labels for an action's keys, e.g. ['e', 'Enter']
+export function keysFor(keymap, id) {
+  return (keymap.bindings.get(id) || []).map(keyLabel);
+}
+
+// Turns key events into actions of the given scopes. A key that does not
+// continue the pending sequence starts a new one; while a sequence is
+// incomplete the matcher returns null.
+export function keyMatcher(keymap, scopes) {
+  const entries = [];
+  for (const a of ACTIONS) {
+    if (scopes.includes(a.scope)) for (const keys of keymap.bindings.get(a.id)) entries.push({keys, id: a.id});
+  }
+  let pending = '';
+  const lookup = keys => {
+    const hit = entries.find(e => e.keys === keys);
+    pending = !hit && entries.some(e => e.keys.startsWith(keys + ' ')) ? keys : '';
+    return hit ? hit.id : pending ? null : undefined;
+  };
+  return (input, key) => {
+    const stroke = keyName(input, key);
+    if (!stroke) return null;
+    if (pending) {
+      const id = lookup(pending + ' ' + stroke);
+      if (id !== undefined) return id;
+    }
+    return lookup(stroke) || null;
+  };
+}
@@ -0,0 +1,216 @@
+// Line editing for the text inputs, readline style. Positions are UTF-16
+// indexes into the value that always sit on grapheme boundaries, so an emoji
+// or a letter with combining marks moves and deletes as one character, and
+// widths come from string-width, so CJK text and emoji take the two columns
+// the terminal gives them.
+//
+// Keys are decoded from the raw input chunks rather than taken from Ink's
+// useInput, which drops Home/End and does not know bracketed paste. Where
+// the raw chunks are not to be had, inkKeyEvents() makes do with useInput.
+import stringWidth from 'string-width';
+
+const segmenter = new Intl.Segmenter(undefined, {granularity: 'grapheme'});
+
+// [{text, index}] for each grapheme of `s`
+export function graphemes(s) {
+  return [...segmenter.segment(s)].map(g => ({text: g.segment, index: g.index}));
+}
+
+export function prevBoundary(s, i) {
+  let last = 0;
+  for (const g of segmenter.segment(s)) {
+    if (g.index >= i) break;
+    last = g.index;
+  }
+  return last;
+}
+
+export function nextBoundary(s, i) {
+  for (const g of segmenter.segment(s)) {
+    if (g.index >= i) return g.index + g.segment.length;
+  }
+  return s.length;
+}
+
+const WORD_CHAR = /[\p{L}\p{N}\p{M}_]/u;
+
+// Alt+B / Alt+F: to the start of this or the previous word, to the end of
+// this or the next one
+export function wordLeft(s, i) {
+  let j = i;
+  while (j > 0 && !WORD_CHAR.test(s.slice(prevBoundary(s, j), j))) j = prevBoundary(s, j);
+  while (j > 0 && WORD_CHAR.test(s.slice(prevBoundary(s, j), j))) j = prevBoundary(s, j);
+  return j;
+}
+
+export function wordRight(s, i) {
+  let j = i;
+  while (j < s.length && !WORD_CHAR.test(s.slice(j, nextBoundary(s, j)))) j = nextBoundary(s, j);
+  while (j < s.length && WORD_CHAR.test(s.slice(j, nextBoundary(s, j)))) j = nextBoundary(s, j);
+  return j;
+}
+
+// Ctrl+W: back over whitespace, then to the previous whitespace
+export function ruboutStart(s, i) {
+  let j = i;
+  while (j > 0 && /\s/.test(s[j - 1])) j--;
+  while (j > 0 && !/\s/.test(s[j - 1])) j--;
+  return j;
+}
+
+// Start and end of the line holding position `i`
+export function lineBounds(s, i) {
+  const start = i === 0 ? 0 : s.lastIndexOf('\n', i - 1) + 1;
+  const end = s.indexOf('\n', i);
+  return {start, end: end < 0 ? s.length : end};
+}
+
+// Up/down in multi-line text, keeping the display column. Returns null on
+// the first or last line.
+export function moveVertical(s, i, dir) {
+  const line = lineBounds(s, i);
+  if (dir < 0 ? line.start === 0 : line.end === s.length) return null;
+  const target = lineBounds(s, dir < 0 ? line.start - 1 : line.end + 1);
+  const column = stringWidth(s.slice(line.start, i));
+  let j = target.start;
+  let width = 0;
+  while (j < target.end) {
+    const next = nextBoundary(s, j);
+    width += stringWidth(s.slice(j, next));
+    if (width > column) break;
+    j = next;
+  }
+  return j;
+}
+
+// The part of a one-line value to show in `width` columns with the cursor
+// in view: {before, at, after} around the cursor cell, and whether text is
+// cut off on the left or right (shown as "…").
+export function inputWindow(value, cursor, width) {
+  const gs = graphemes(value);
+  let ci = gs.findIndex(g => g.index >= cursor);
+  if (ci < 0) ci = gs.length;
+  const at = ci < gs.length ? gs[ci].text : ' ';
+  let room = Math.max(1, width) - stringWidth(at);
+  let from = ci;
+  while (from > 0) {
+    const w = stringWidth(gs[from - 1].text);
+    if (room - w < (from - 1 > 0 ? 1 : 0)) break;
+    room -= w;
+    from--;
+  }
+  if (from > 0) room--;
+  let to = Math.min(ci + 1, gs.length);
+  while (to < gs.length) {
+    const w = stringWidth(gs[to].text);
+    if (room - w < (to + 1 < gs.length ? 1 : 0)) break;
+    room -= w;
+    to++;
+  }
+  const join = list => list.map(g => g.text).join('');
+  return {left: from > 0, before: join(gs.slice(from, ci)), at, after: join(gs.slice(ci + 1, to)), right: to < gs.length};
+}
+
+const TILDE_KEYS = {1: 'home', 2: 'insert', 3: 'delete', 4: 'end', 5: 'pageup', 6: 'pagedown', 7: 'home', 8: 'end'};
+const LETTER_KEYS = {A: 'up', B: 'down', C: 'right', D: 'left', H: 'home', F: 'end', Z: 'tab'};
+const PASTE_START = '\x1b[200~';
+const PASTE_END = '\x1b[201~';
+
+// Modifier parameter of a CSI sequence (1 + shift 1, alt 2, ctrl 4)
+function modifiers(param, name) {
+  const m = Math.max(0, (Number(param) || 1) - 1);
+  return {name, shift: Boolean(m & 1) || name === 'tab', meta: Boolean(m & 2), ctrl: Boolean(m & 4)};
+}
+
+// A decoder turns raw input chunks into events:
+//   {text}                     typed characters
+//   {paste}                    pasted text, newlines included
+//   {name, ctrl, meta, shift}  a key: enter, escape, backspace, delete,
+//                              tab, up, down, left, right, home, end, pageup,
+//                              pagedown, or a letter with ctrl/meta
+// Bracketed paste may span chunks, so the decoder keeps state.
+export function createDecoder() {
+  let pasting = null;
+  return chunk => {
+    const events = [];
+    let s = String(chunk);
+    // Without bracketed paste, several lines arriving at once are a paste too
+    if (pasting == null && !s.startsWith('\x1b') && /[\r\n]./.test(s)) {
+      return [{paste: s.replace(/[\r\n]+$/, '')}];
+    }
+    while (s) {
+      if (pasting != null) {
+        const end = s.indexOf(PASTE_END);
+        if (end < 0) {
+          pasting += s;
+          break;
+        }
+        events.push({paste: pasting + s.slice(0, end)});
+        pasting = null;
+        s = s.slice(end + PASTE_END.length);
+        continue;
+      }
+      if (s.startsWith(PASTE_START)) {
+        pasting = '';
+        s = s.slice(PASTE_START.length);
+        continue;
+      }
+      let m;
+      if ((m = /^\x1b\[(\d*)(?:;(\d+))?([~A-DHFZ])/.exec(s))) {
+        const name = m[3] === '~' ? TILDE_KEYS[m[1]] : LETTER_KEYS[m[3]];
+        if (name) events.push(modifiers(m[3] === '~' ? m[2] : m[2] || m[1], name));
+        s = s.slice(m[0].length);
+      } else if ((m = /^\x1bO([A-DHF])/.exec(s))) {
+        events.push(modifiers(1, LETTER_KEYS[m[1]]));
+        s = s.slice(m[0].length);
+      } else if ((m = /^\x1b\x1b\[([A-D])/.exec(s))) {
+        // Alt+arrow in some terminals
+        events.push({...modifiers(1, LETTER_KEYS[m[1]]), meta: true});
+        s = s.slice(m[0].length);
+      } else if (s[0] === '\x1b') {
+        const next = s[1];
+        if (next === '\x7f' || next === '\b') events.push({name: 'backspace', meta: true});
+        else if (next === '\r') events.push({name: 'enter', meta: true});
+        else if (next && next >= ' ') events.push({name: next.toLowerCase(), meta: true, shift: next !== next.toLowerCase()});
+        else events.push({name: 'escape'});
+        s = s.slice(next && (next >= ' ' || next === '\x7f' || next === '\b' || next === '\r') ? 2 : 1);
+      } else if (s[0] === '\r' || s[0] === '\n') {
+        events.push({name: 'enter'});
+        s = s.slice(1);
+      } else if (s[0] === '\t') {
+        events.push({name: 'tab'});
+        s = s.slice(1);
+      } else if (s[0] === '\x7f' || s[0] === '\b') {
+        events.push({name: 'backspace'});
+        s = s.slice(1);
+      } else if (s[0] < ' ') {
+        const code = s.charCodeAt(0);
+        if (code >= 1 && code <= 26) events.push({name: String.fromCharCode(code + 96), ctrl: true});
+        s = s.slice(1);
+      } else {
+        m = /^[^\x00-\x1f\x7f]+/.exec(s);
+        events.push({text: m[0]});
+        s = s.slice(m[0].length);
+      }
+    }
+    return events;
+  };
+}
+
+const INK_KEYS = [['upArrow', 'up'], ['downArrow', 'down'], ['leftArrow', 'left'], ['rightArrow', 'right'], ['pageUp', 'pageup'], ['pageDown', 'pagedown'], ['tab', 'tab']];
+
+// The same events for a key Ink's useInput has parsed already. Ink reports
+// Backspace as delete and has no Home or End, so Delete erases backwards
+// here and Ctrl+D, Ctrl+A and Ctrl+E stand in for the others.
+export function inkKeyEvents(input, key) {
+  // Ink flags Escape as meta too
+  const mods = {ctrl: Boolean(key.ctrl), meta: Boolean(key.meta) && !key.escape, shift: Boolean(key.shift)};
+  if (key.escape) return [{name: 'escape'}];
+  if (key.return) return [{name: 'enter', meta: mods.meta}];
+  if (key.backspace || key.delete) return [{name: 'backspace', meta: mods.meta}];
+  const named = INK_KEYS.find(([flag]) => key[flag]);
+  if (named) return [{...mods, name: named[1]}];
+  if (!input) return [];
+  if (mods.ctrl || mods.meta) return [{...mods, name: input.toLowerCase()}];
+  return createDecoder()(input);
+}
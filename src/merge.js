@@ -0,0 +1,115 @@
+import {nextId} from './tasks.js';
+
+// Three-way merge of task lists, used when the storage file changed on disk
+// while notex also had edits. Tasks are matched by id; `base` is the list as
+// it was when we last read or wrote the file.
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function sameTask(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    if (!sameValue(a[k], b[k])) return false;
+  }
+  return true;
+}
+
+export function sameTaskList(a, b) {
+  if (a === b) return true;
+  if (a.length !== b.length) return false;
+  return a.every((t, i) => sameTask(t, b[i]));
+}
+
+function byId(list) {
+  const map = new Map();
+  for (const t of list) map.set(String(t.id), t);
+  return map;
+}
+
+// Merge two edited copies of one task field by field. Returns null when
+// both sides changed the same field to different values.
+function mergeFields(b, o, t) {
+  const out = {};
+  const keys = new Set([...Object.keys(b), ...Object.keys(o), ...Object.keys(t)]);
+  for (const k of keys) {
+    if (sameValue(o[k], t[k]) || sameValue(t[k], b[k])) {
+      if (o[k] !== undefined) out[k] = o[k];
+    } else if (sameValue(o[k], b[k])) {
+      if (t[k] !== undefined) out[k] = t[k];
+    } else {
+      return null;
+    }
+  }
+  return out;
+}
+
+function mergeOne(b, o, t) {
+  if (sameTask(o, t)) return {task: o};
+  if (sameTask(o, b)) return {task: t};
+  if (sameTask(t, b)) return {task: o};
+  // Both sides touched it: a delete against an edit, an id added twice, or
+  // two edits that may still combine cleanly
+  if (b && o && t) {
+    const merged = mergeFields(b, o, t);
+    if (merged) return {task: merged};
+  }
+  return {conflict: true};
+}
+
+// Returns {tasks, conflicts}. Conflicting tasks stay in `tasks` in their
+// "ours" form (or "theirs" when we deleted them) until resolveConflicts()
+// applies a choice; each conflict is {id, ours, theirs}, either may be null.
+export function mergeTasks(base, ours, theirs) {
+  const b = byId(base);
+  const o = byId(ours);
+  const t = byId(theirs);
+
+  // Keep their order, slotting in tasks only we have after their
+  // predecessor in our order.
+  const order = theirs.map(x => String(x.id));
+  let prev = null;
+  for (const x of ours) {
+    const id = String(x.id);
+    if (!t.has(id)) {
+      const at = prev == null ? 0 : order.indexOf(prev) + 1;
+      order.splice(at, 0, id);
+    }
+    prev = id;
+  }
+
+  const tasks = [];
+  const conflicts = [];
+  for (const id of order) {
+    const res = mergeOne(b.get(id), o.get(id), t.get(id));
+    if (res.conflict) {
+      conflicts.push({id, ours: o.get(id) || null, theirs: t.get(id) || null});
+      tasks.push(o.get(id) || t.get(id));
+    } else if (res.task) {
+      tasks.push(res.task);
+    }
+  }
+  return {tasks, conflicts};
+}
+
+// Apply per-conflict choices ('ours' | 'theirs' | 'both') to a merge result.
+// Keeping both gives their copy a fresh id so the two can coexist.
+export function resolveConflicts(tasks, conflicts) {
+  const byConflict = new Map(conflicts.map(c => [String(c.id), c]));
+  const out = [];
+  for (const task of tasks) {
+    const c = byConflict.get(String(task.id));
+    if (!c) {
+      out.push(task);
+      continue;
+    }
+    const choice = c.choice || 'ours';
+    if ((choice === 'ours' || choice === 'both') && c.ours) out.push(c.ours);
+    if (choice === 'theirs' && c.theirs) out.push(c.theirs);
+    if (choice === 'both' && c.theirs) out.push(c.ours ? {...c.theirs, id: nextId(tasks.concat(out))} : c.theirs);
+  }
+  return out;
+}
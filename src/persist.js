@@ -1,9 +1,63 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import {normalizeTree} from './tree.js';
+import {parseTokens} from './tokens.js';
+import {nextId} from './tasks.js';
+import {loadConfig} from './config.js';
+import {newEntry, appendEntry, diffState} from './journal.js';
 
-const DEFAULT_FILE = path.join(process.cwd(), '.notex.json');
-const GLOBAL_FILE = path.join(os.homedir ? os.homedir() : process.env.HOME || '', '.notex-global.json');
+const VCS_MARKERS = ['.git', '.hg', '.svn', '.jj'];
+
+// Project storage is the nearest .notex.json found walking up from `from`,
+// stopping at the repository root (the first directory holding .git, .hg,
+// .svn or .jj), the way git finds its repository. Outside a repository and
+// without a .notex.json above, it goes in `from` itself.
+export function findProjectFile(from = process.cwd()) {
+  const start = path.resolve(from);
+  for (let dir = start; ; dir = path.dirname(dir)) {
+    const file = path.join(dir, '.notex.json');
+    if (fileExists(file) || VCS_MARKERS.some(m => fileExists(path.join(dir, m)))) return file;
+    if (path.dirname(dir) === dir) return path.join(start, '.notex.json');
+  }
+}
+
+const HOME = os.homedir ? os.homedir() : process.env.HOME || '';
+const DEFAULT_FILE = findProjectFile();
+const GLOBAL_FILE = path.join(HOME, '.notex-global.json');
+// Named lists, one file each
+const LISTS_DIR = path.join(HOME, '.notex-lists');
+// Per-branch lists, next to the project file
+const BRANCHES_DIR = path.join(path.dirname(DEFAULT_FILE), '.notex-branches');
+
+// The HEAD file of the git repository around `from`, or null. A .git file
+// (worktrees, submodules) points at the real git directory.
+export function gitHeadFile(from = process.cwd()) {
+  for (let dir = path.resolve(from); ; dir = path.dirname(dir)) {
+    const dotGit = path.join(dir, '.git');
+    try {
+      if (fs.statSync(dotGit).isDirectory()) return path.join(dotGit, 'HEAD');
+      const m = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, 'utf8'));
+      return m ? path.join(path.resolve(dir, m[1].trim()), 'HEAD') : null;
+    } catch {
+      // No .git here
+    }
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+// The checked-out git branch, read straight from HEAD; null outside a
+// repository or on a detached HEAD
+export function currentBranch(from = process.cwd()) {
+  const head = gitHeadFile(from);
+  if (!head) return null;
+  try {
+    const m = /^ref:\s*refs\/heads\/(.+)$/m.exec(fs.readFileSync(head, 'utf8'));
+    return m ? m[1].trim() : null;
+  } catch {
+    return null;
+  }
+}
 
 export function fileExists(filePath) {
   try {
@@ -13,37 +67,426 @@ export function fileExists(filePath) {
   }
 }
 
-export function loadTasks(filePath = DEFAULT_FILE) {
+// A storage is 'project', 'global', 'list:<name>' for a named list,
+// 'branch:<name>' for the list of a git branch or 'file:<absolute path>' for
+// any other file.
+//
+// Pick the storage the app opens by default: the file in NOTEX_FILE (which
+// the CLI sets for --file, --list, --branch, -p and -g) or the list in
+// NOTEX_LIST; the current branch's list when `branchLists` is on in the user
+// config; otherwise project if present, otherwise global if present,
+// otherwise project.
+export function defaultStorage() {
+  if (process.env.NOTEX_FILE) return storageForFile(process.env.NOTEX_FILE);
+  if (process.env.NOTEX_LIST && isListName(process.env.NOTEX_LIST)) return 'list:' + process.env.NOTEX_LIST;
+  const branch = loadConfig().config.branchLists === true ? currentBranch() : null;
+  if (branch) return 'branch:' + branch;
+  if (fileExists(DEFAULT_FILE)) return 'project';
+  if (fileExists(GLOBAL_FILE)) return 'global';
+  return 'project';
+}
+
+export function storageFile(storage) {
+  if (storage.startsWith('list:')) return path.join(LISTS_DIR, storage.slice(5) + '.json');
+  // Branch names may contain slashes
+  if (storage.startsWith('branch:')) return path.join(BRANCHES_DIR, encodeURIComponent(storage.slice(7)) + '.json');
+  if (storage.startsWith('file:')) return storage.slice(5);
+  return storage === 'global' ? GLOBAL_FILE : DEFAULT_FILE;
+}
+
+// The storage a file path belongs to, so that the project file given as a
+// path still shows as Project
+export function storageForFile(filePath) {
+  const file = path.resolve(filePath);
+  if (file === DEFAULT_FILE) return 'project';
+  if (file === GLOBAL_FILE) return 'global';
+  if (path.dirname(file) === BRANCHES_DIR && file.endsWith('.json')) return 'branch:' + decodeURIComponent(path.basename(file, '.json'));
+  const name = path.dirname(file) === LISTS_DIR && file.endsWith('.json') ? path.basename(file, '.json') : null;
+  return name && isListName(name) ? 'list:' + name : 'file:' + file;
+}
+
+// The directory whose code comments belong in a storage's list: the project
+// for the project list and branch lists, its own directory for any other
+// file, and none for the global and named lists, which have no project
+export function scanRoot(storage) {
+  if (storage === 'project' || storage.startsWith('branch:')) return path.dirname(DEFAULT_FILE);
+  if (storage.startsWith('file:')) return path.dirname(storage.slice(5));
+  return null;
+}
+
+// How a storage is named in the UI: Project, Global, the list name or the
+// file name
+export function storageLabel(storage) {
+  if (storage.startsWith('list:')) return storage.slice(5);
+  if (storage.startsWith('branch:')) return 'Branch ' + storage.slice(7);
+  if (storage.startsWith('file:')) return path.basename(storage.slice(5));
+  return storage === 'global' ? 'Global' : 'Project';
+}
+
+// List names double as file names; "project" and "global" are taken
+export function isListName(name) {
+  return /^[\p{L}\p{N}][\p{L}\p{N}_.-]*$/u.test(name) && !/\.json$/i.test(name) && !['project', 'global'].includes(name.toLowerCase());
+}
+
+// Named lists found in the lists directory, sorted by name
+export function listNames() {
+  let files;
   try {
-    if (!fs.existsSync(filePath)) return [];
-    const raw = fs.readFileSync(filePath, 'utf8');
-    if (!raw.trim()) return [];
-    const data = JSON.parse(raw);
-    let tasks = [];
-    if (Array.isArray(data)) tasks = data;
-    else if (data && Array.isArray(data.tasks)) tasks = data.tasks;
-    else tasks = [];
-    // Coerce/upgrade tasks to include timestamps
+    files = fs.readdirSync(LISTS_DIR);
+  } catch {
+    return [];
+  }
+  return files
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.slice(0, -'.json'.length))
+    .filter(isListName)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// Every storage there is to pick from: project, global, the current branch's
+// list, the named lists and `current` when it is some other file
+export function knownStorages(current) {
+  const branch = currentBranch();
+  const all = ['project', 'global', ...(branch ? ['branch:' + branch] : []), ...listNames().map(name => 'list:' + name)];
+  return current && !all.includes(current) ? all.concat([current]) : all;
+}
+
+// Resolve a storage given by name on the command line: project, global,
+// branch (the checked-out branch's list), a list name, or a path to a file
+// (anything with a slash or a .json ending)
+export function storageByName(name) {
+  if (name === 'project' || name === 'global') return name;
+  if (name === 'branch') {
+    const branch = currentBranch();
+    if (!branch) throw new StorageError('there is no checked-out git branch');
+    return 'branch:' + branch;
+  }
+  if (/[\\/]/.test(name) || /\.json$/i.test(name)) return storageForFile(name);
+  if (!isListName(name)) throw new StorageError('"' + name + '" is not a valid list name');
+  return 'list:' + name;
+}
+
+export class StorageError extends Error {
+  constructor(message, {filePath, cause} = {}) {
+    super(message, {cause});
+    this.name = 'StorageError';
+    this.filePath = filePath;
+  }
+}
+
+// Storage schema. Files carry a `version`; MIGRATIONS[n] upgrades a document
+// from version n to n + 1. Unversioned files (a bare array or `{tasks}`) are
+// version 0. Keys a migration doesn't know about, on the document or on a
+// task, are passed through untouched so newer data survives a round trip.
+export const SCHEMA_VERSION = 3;
+
+const MIGRATIONS = [
+  // 0 -> 1: fill in ids and creation/completion timestamps
+  doc => {
     const now = Date.now();
-    return tasks.map(t => ({
-      id: typeof t.id === 'number' || typeof t.id === 'string' ? t.id : now,
-      text: String(t.text || ''),
-      done: Boolean(t.done),
-      createdAt: t.createdAt || now,
-      completedAt: t.done ? (t.completedAt || now) : null
-    }));
+    return {
+      ...doc,
+      tasks: doc.tasks.map((t, i) => ({
+        ...t,
+        id: typeof t.id === 'number' || typeof t.id === 'string' ? t.id : now + i,
+        createdAt: t.createdAt || now,
+        completedAt: t.done ? (t.completedAt || now) : null
+      }))
+    };
+  },
+  // 1 -> 2: subtasks; every task gets an explicit parent link
+  doc => ({...doc, tasks: doc.tasks.map(t => ({...t, parentId: t.parentId ?? null}))}),
+  // 2 -> 3: priority, tags, contexts and projects parsed out of the text
+  doc => ({...doc, tasks: doc.tasks.map(t => ({...t, ...parseTokens(t.text)}))})
+];
+
+function normalizeTask(t) {
+  return {...t, text: String(t.text || ''), done: Boolean(t.done)};
+}
+
+function readDocument(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
   } catch (err) {
-    return [];
+    throw new StorageError('Cannot read ' + filePath + ': ' + err.message, {filePath, cause: err});
   }
+  return parseDocument(raw, filePath);
 }
 
-export function saveTasks(tasks, filePath = DEFAULT_FILE) {
+function parseDocument(raw, filePath) {
+  if (!raw.trim()) return null;
+  let data;
   try {
-    const payload = JSON.stringify({ tasks }, null, 2);
-    fs.writeFileSync(filePath, payload);
-    return true;
+    data = JSON.parse(raw);
   } catch (err) {
+    throw new StorageError('Cannot parse ' + filePath + ': ' + err.message, {filePath, cause: err});
+  }
+  if (Array.isArray(data)) data = {tasks: data};
+  if (!data || typeof data !== 'object' || !Array.isArray(data.tasks)) {
+    throw new StorageError('Unexpected content in ' + filePath + ': no task list found', {filePath});
+  }
+  const version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new StorageError('Unexpected content in ' + filePath + ': bad version ' + JSON.stringify(data.version), {filePath});
+  }
+  return {...data, version, tasks: data.tasks.filter(t => t && typeof t === 'object')};
+}
+
+// Load a storage file as {version, tasks, extra, readOnly}. `version` is what
+// the file was written with; `extra` holds its other top-level keys. A file
+// from a newer notex is returned as-is with readOnly set, since migrating it
+// down could lose data.
+//
+// A missing or empty file is a fresh list; anything else that cannot be read
+// or parsed throws a StorageError so callers never mistake it for "no tasks"
+// and autosave over it.
+export function loadStore(filePath = DEFAULT_FILE) {
+  return openDocument(readDocument(filePath));
+}
+
+// The same for storage JSON that is not in a file (e.g. being imported);
+// `source` names it in error messages.
+export function parseStore(raw, source) {
+  return openDocument(parseDocument(raw, source));
+}
+
+function openDocument(doc) {
+  if (!doc) return {version: SCHEMA_VERSION, tasks: [], extra: {}, readOnly: false};
+  let current = doc;
+  for (let v = doc.version; v < SCHEMA_VERSION; v++) current = MIGRATIONS[v](current);
+  const {version, tasks, ...extra} = current;
+  return {version: doc.version, tasks: normalizeTree(tasks.map(normalizeTask)), extra, readOnly: doc.version > SCHEMA_VERSION};
+}
+
+export function loadTasks(filePath = DEFAULT_FILE) {
+  return loadStore(filePath).tasks;
+}
+
+const BACKUP_COUNT = 3;
+
+function backupPath(filePath, n) {
+  return filePath + '.bak.' + n;
+}
+
+// Shift <file>.bak.1 … .bak.N down by one and copy the current file into
+// .bak.1, so the last few saved states are always recoverable.
+function rotateBackups(filePath) {
+  if (!fs.existsSync(filePath)) return;
+  for (let n = BACKUP_COUNT - 1; n >= 1; n--) {
+    const from = backupPath(filePath, n);
+    if (fs.existsSync(from)) fs.renameSync(from, backupPath(filePath, n + 1));
+  }
+  fs.copyFileSync(filePath, backupPath(filePath, 1));
+}
+
+// Existing rotating backups, newest first.
+export function listBackups(filePath) {
+  const found = [];
+  for (let n = 1; n <= BACKUP_COUNT; n++) {
+    const p = backupPath(filePath, n);
+    if (fileExists(p)) found.push(p);
+  }
+  return found;
+}
+
+// Copy an unreadable storage file aside before anything can overwrite it.
+// Returns the backup path, or null when there was nothing to copy.
+export function backupBrokenFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const dest = filePath + '.broken-' + stamp;
+    fs.copyFileSync(filePath, dest);
+    return dest;
+  } catch {
+    return null;
+  }
+}
+
+// Advisory lock: <file>.lock is created exclusively and holds the owner's pid
+// and host. Every notex process takes it around writes (the CLI around its
+// whole read-modify-write), so concurrent instances queue instead of
+// interleaving. A lock is only broken when its owner is gone: a dead pid on
+// this host, or on another host (a shared drive), a lock past the age limit.
+const LOCK_WAIT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const HOST = os.hostname();
+const heldLocks = new Map(); // filePath -> depth, so withLock can nest
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function lockIsStale(lockPath) {
+  let lock = null;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    // Unreadable (e.g. being written right now)
+  }
+  if (!lock || !Number.isInteger(lock.pid)) {
+    // Without an owner to ask, judge by age only
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    } catch {
+      return true;
+    }
+  }
+  if (lock.host && lock.host !== HOST) return Date.now() - lock.at > LOCK_STALE_MS;
+  try {
+    process.kill(lock.pid, 0);
     return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+function acquireLock(filePath) {
+  const lockPath = filePath + '.lock';
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({pid: process.pid, host: HOST, at: Date.now()}), {flag: 'wx'});
+      return;
+    } catch (err) {
+      // The first save to a new list creates the lists directory
+      if (err.code === 'ENOENT') {
+        fs.mkdirSync(path.dirname(lockPath), {recursive: true});
+        continue;
+      }
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (lockIsStale(lockPath)) {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch {}
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new StorageError('Timed out waiting for lock on ' + filePath, {filePath});
+    }
+    sleepSync(25);
+  }
+}
+
+export function withLock(filePath, fn) {
+  const depth = heldLocks.get(filePath) || 0;
+  if (!depth) acquireLock(filePath);
+  heldLocks.set(filePath, depth + 1);
+  try {
+    return fn();
+  } finally {
+    if (depth) heldLocks.set(filePath, depth);
+    else {
+      heldLocks.delete(filePath);
+      try {
+        fs.unlinkSync(filePath + '.lock');
+      } catch {}
+    }
+  }
+}
+
+// Cheap change detector for the storage file: differs whenever the file is
+// replaced, rewritten or removed.
+export function fileSignature(filePath) {
+  try {
+    const st = fs.statSync(filePath);
+    return st.mtimeMs + ':' + st.size + ':' + st.ino;
+  } catch {
+    return null;
   }
 }
-export { DEFAULT_FILE, GLOBAL_FILE };
+
+// Write to a temp file in the same directory and rename it over the target,
+// so readers only ever see the old or the new file, never half of one.
+function writeAtomic(filePath, payload) {
+  const tmp = filePath + '.' + process.pid + '.tmp';
+  try {
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeFileSync(fd, payload);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, filePath);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tmp);
+    } catch {}
+    throw err;
+  }
+}
+
+// Write tasks, keeping the file's other top-level keys; `extra` overrides
+// individual keys. Refuses to touch a file written by a newer notex, or one
+// that cannot be read unless `replaceBroken` is set to recover from it (the
+// broken file, copied aside when it failed to load, then does not push a
+// good snapshot out of the backups). Throws a StorageError, with the
+// underlying error as its cause, when the file is not written.
+export function saveTasks(tasks, filePath = DEFAULT_FILE, extra = {}, {replaceBroken = false} = {}) {
+  try {
+    withLock(filePath, () => {
+      let existing = null;
+      let broken = false;
+      try {
+        existing = readDocument(filePath);
+      } catch (err) {
+        if (!replaceBroken) throw err;
+        broken = true;
+      }
+      if (existing && existing.version > SCHEMA_VERSION) {
+        throw new StorageError(filePath + ' was written by a newer notex', {filePath});
+      }
+      const {version, tasks: _old, ...kept} = existing || {};
+      const payload = JSON.stringify({version: SCHEMA_VERSION, ...kept, ...extra, tasks}, null, 2);
+      try {
+        if (!broken) rotateBackups(filePath);
+      } catch {
+        // A failed snapshot should not block the save itself
+      }
+      writeAtomic(filePath, payload);
+    });
+  } catch (err) {
+    if (err instanceof StorageError) throw err;
+    throw new StorageError('Cannot write ' + filePath + ': ' + err.message, {filePath, cause: err});
+  }
+}
+
+// Append tasks (a preorder list, as from takeTasks) to another storage file,
+// as one journaled step there. Ids already used there are replaced, with
+// parent links following, so the same task can be sent back and forth.
+// `then`, when given, runs once they are written, still under the file's
+// lock, to take moved tasks out of their own list; when it throws, the file
+// is put back as it was. Returns the added tasks. Throws a StorageError when
+// the file cannot be read or written.
+export function appendTasks(tasks, filePath, then = null) {
+  return withLock(filePath, () => {
+    const store = loadStore(filePath);
+    if (store.readOnly) throw new StorageError(filePath + ' was written by a newer notex', {filePath});
+    const used = new Set(store.tasks.map(t => String(t.id)));
+    const renamed = new Map();
+    let fresh = nextId(store.tasks.concat(tasks));
+    const added = tasks.map(t => {
+      if (!used.has(String(t.id))) return t;
+      renamed.set(String(t.id), fresh);
+      return {...t, id: fresh++};
+    }).map(t => (t.parentId != null && renamed.has(String(t.parentId)) ? {...t, parentId: renamed.get(String(t.parentId))} : t));
+    const after = store.tasks.concat(added);
+    saveTasks(after, filePath, store.extra);
+    if (then) {
+      try {
+        then();
+      } catch (err) {
+        saveTasks(store.tasks, filePath, store.extra);
+        throw err;
+      }
+    }
+    appendEntry(filePath, newEntry({ops: diffState({tasks: store.tasks}, {tasks: after})}));
+    return added;
+  });
+}
+
+export { DEFAULT_FILE, GLOBAL_FILE, LISTS_DIR, BRANCHES_DIR };
@@ -0,0 +1,141 @@
+// Recurring tasks. A rule is typed inline like a due date and stored as the
+// task's `recur` field:
+//   every:day, every:week, every:month       daily, weekly, monthly
+//   every:3d, every:2w, every:6m             every n days, weeks or months
+//   every:mon,thu, every:weekday             on given weekdays
+//   after:10d                                n days (weeks, months) after
+//                                            it was last done
+// Stored as {every: n, unit: 'day' | 'week' | 'month'}, plus `days`
+// (weekday numbers, 0 is Sunday) or `after: true`. Once a monthly rule has
+// recurred it also keeps `day`, the day of month it falls on, so that
+// 01-31 goes to 02-28 and then back to 03-31.
+//
+// Completing a recurring task adds its next occurrence right after it; the
+// rule moves on to the new task, so reopening and completing the old one
+// again does not add another.
+import {WEEKDAYS, startOfDay, addDays, toISODate, fromISODate} from './dates.js';
+import {nextId, setDone} from './tasks.js';
+import {insertSibling} from './tree.js';
+
+const UNITS = {d: 'day', w: 'week', m: 'month'};
+const NAMES = {day: 'day', daily: 'day', week: 'week', weekly: 'week', month: 'month', monthly: 'month'};
+const WORKDAYS = [1, 2, 3, 4, 5];
+
+function isWorkdays(days) {
+  return days.length === WORKDAYS.length && days.every((d, i) => d === WORKDAYS[i]);
+}
+
+function parseInterval(s) {
+  if (NAMES[s]) return {every: 1, unit: NAMES[s]};
+  const m = /^(\d+)\s*(d|days?|w|wks?|weeks?|m|mos?|months?)$/.exec(s);
+  const n = m ? Number(m[1]) : 0;
+  return n >= 1 ? {every: n, unit: UNITS[m[2][0]]} : null;
+}
+
+// Parse the part after `every:` or `after:`; returns a rule or null.
+export function parseRecur(expr, after = false) {
+  const s = String(expr || '').trim().toLowerCase();
+  const interval = parseInterval(s);
+  if (interval) return after ? {...interval, after: true} : interval;
+  if (after) return null;
+  if (s === 'weekday' || s === 'weekdays') return {every: 1, unit: 'week', days: WORKDAYS};
+  const days = s.split(',').map(w => (w.length >= 3 ? WEEKDAYS.findIndex(d => d.startsWith(w)) : -1));
+  if (!days.length || days.includes(-1)) return null;
+  return {every: 1, unit: 'week', days: [...new Set(days)].sort((a, b) => a - b)};
+}
+
+// The token that gives `rule` back when typed, e.g. 'every:mon,thu'
+export function formatRecur(rule) {
+  if (!rule) return '';
+  if (rule.days) return 'every:' + (isWorkdays(rule.days) ? 'weekday' : rule.days.map(d => WEEKDAYS[d].slice(0, 3)).join(','));
+  const interval = rule.every === 1 && !rule.after ? rule.unit : rule.every + rule.unit[0];
+  return (rule.after ? 'after:' : 'every:') + interval;
+}
+
+// Short label for the task line: "daily", "every 2 weeks", "Mon, Thu",
+// "10d after done"
+export function describeRecur(rule) {
+  if (!rule) return '';
+  if (rule.days && isWorkdays(rule.days)) return 'weekdays';
+  if (rule.days) return rule.days.map(d => WEEKDAYS[d][0].toUpperCase() + WEEKDAYS[d].slice(1, 3)).join(', ');
+  if (rule.after) return rule.every + rule.unit[0] + ' after done';
+  if (rule.every === 1) return {day: 'daily', week: 'weekly', month: 'monthly'}[rule.unit];
+  return 'every ' + rule.every + ' ' + rule.unit + 's';
+}
+
+const RECUR_TOKEN = /(^|\s)(every|after):(\S+)/i;
+
+// The rule a task edited to `rule` and `due` keeps. Typing back the same
+// rule and due date keeps the day a monthly rule falls on; otherwise it
+// starts again from the new due date.
+export function editedRule(task, rule, due) {
+  if (!rule) return rule;
+  if (due === task.due && task.recur && formatRecur(rule) === formatRecur(task.recur)) return task.recur;
+  const {day, ...fresh} = rule;
+  return fresh;
+}
+
+// Pull an `every:`/`after:` token out of typed text, like extractDue.
+export function extractRecur(input) {
+  const m = RECUR_TOKEN.exec(input);
+  if (!m) return {text: input, recur: null};
+  const recur = parseRecur(m[3], m[2].toLowerCase() === 'after');
+  if (!recur) return {text: input, recur: null, invalid: m[2] + ':' + m[3]};
+  const text = (input.slice(0, m.index) + m[1] + input.slice(m.index + m[0].length)).replace(/\s{2,}/g, ' ').trim();
+  return {text, recur};
+}
+
+function advance(date, rule, day) {
+  if (rule.days) {
+    for (let i = 1; i <= 7; i++) {
+      const d = addDays(date, i);
+      if (rule.days.includes(d.getDay())) return d;
+    }
+  }
+  if (rule.unit === 'day') return addDays(date, rule.every);
+  if (rule.unit === 'week') return addDays(date, rule.every * 7);
+  // On `day`, or the last day of a shorter month
+  const month = new Date(date.getFullYear(), date.getMonth() + rule.every, 1);
+  const last = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  return new Date(month.getFullYear(), month.getMonth(), Math.min(day, last));
+}
+
+// Due date ('YYYY-MM-DD') of the occurrence after `task`. Fixed schedules
+// count from the due date (today without one) and skip occurrences that are
+// already past; `after:` rules count from today.
+export function nextDue(task, now = new Date()) {
+  const rule = task.recur;
+  const today = startOfDay(now);
+  if (rule.after) return toISODate(advance(today, rule, today.getDate()));
+  let d = fromISODate(task.due) || today;
+  const day = rule.day || d.getDate();
+  do d = advance(d, rule, day); while (d <= today);
+  return toISODate(d);
+}
+
+// The rule an occurrence of `task` gets: a monthly one remembers the day
+// it was first due on
+function anchored(task, now) {
+  const rule = task.recur;
+  if (rule.unit !== 'month' || rule.after || rule.day) return rule;
+  return {...rule, day: (fromISODate(task.due) || startOfDay(now)).getDate()};
+}
+
+// Mark the tasks with the given ids done (or reopen them). Each recurring
+// task that gets completed is followed by its next occurrence.
+export function setTasksDone(tasks, ids, done, now = new Date()) {
+  const chosen = new Set(ids.map(String));
+  let next = tasks.map(t => (chosen.has(String(t.id)) ? setDone(t, done) : t));
+  if (!done) return next;
+  for (const task of tasks) {
+    if (!chosen.has(String(task.id)) || task.done || !task.recur) continue;
+    const index = next.findIndex(t => t.id === task.id);
+    // Tracked time stays with the occurrence it was spent on, and the next
+    // one starts in the first workflow state
+    const {time, state, ...fields} = task;
+    const occurrence = {...fields, id: nextId(next), done: false, createdAt: Date.now(), completedAt: null, due: nextDue(task, now), recur: anchored(task, now)};
+    next = insertSibling(next, index, occurrence);
+    next[index] = {...next[index], recur: null};
+  }
+  return next;
+}
@@ -0,0 +1,224 @@
+// Code comments marked TODO, FIXME or HACK as tasks. A scan walks the
+// project tree, skipping whatever .gitignore files exclude, and keeps one
+// task per comment. The task remembers where its comment is in `source`:
+// {file, line, kind, text}, with `file` relative to the storage file's
+// directory. Rescanning matches comments to tasks by file, kind and text, so
+// a comment that moved only updates `line`, and a task whose comment is gone
+// gets `source.stale`.
+import fs from 'fs';
+import path from 'path';
+import {Worker, isMainThread, parentPort, workerData} from 'worker_threads';
+import {createTask} from './tasks.js';
+
+const SKIP_DIRS = ['.git', '.hg', '.svn', '.jj'];
+// Larger files are most likely generated or data
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// A comment marker (//, /*, *, #, --, ;, %, <!--), then the keyword, an
+// optional (owner) and colon, and the comment text
+const COMMENT = /(?:^|[^\w:])(?:\/\/+|\/\*+|\*|#+|--|;+|%+|<!--)\s*(TODO|FIXME|HACK)\b(?:\([^)]*\))?:?(.*)$/;
+
+// A .gitignore glob as a regular expression source
+function globSource(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" is any number of directories, a trailing "**" everything inside
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && glob.indexOf(']', i + 2) > 0) {
+      const end = glob.indexOf(']', i + 2);
+      re += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else {
+      if (c === '\\' && i + 1 < glob.length) i++;
+      re += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return re;
+}
+
+// The rules of one .gitignore: [{regex, negate, dirOnly}], paths relative
+// to its directory. A pattern with a slash other than a trailing one is
+// anchored there; one without matches at any depth.
+export function parseIgnore(content) {
+  const rules = [];
+  for (const raw of content.split(/\r?\n/)) {
+    let p = raw.replace(/(?<!\\)\s+$/, '');
+    if (!p || p.startsWith('#')) continue;
+    const negate = p.startsWith('!');
+    if (negate || p.startsWith('\\!') || p.startsWith('\\#')) p = p.slice(1);
+    const dirOnly = p.endsWith('/');
+    if (dirOnly) p = p.replace(/\/+$/, '');
+    const anchored = p.includes('/');
+    p = p.replace(/^\//, '');
+    if (!p) continue;
+    rules.push({regex: new RegExp((anchored ? '^' : '(?:^|/)') + globSource(p) + '$'), negate, dirOnly});
+  }
+  return rules;
+}
+
+function readIgnore(dir) {
+  try {
+    return parseIgnore(fs.readFileSync(path.join(dir, '.gitignore'), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// The last matching rule wins, the deepest .gitignore last
+function isIgnored(scopes, full, isDir) {
+  let ignored = false;
+  for (const {base, rules} of scopes) {
+    const rel = path.relative(base, full).split(path.sep).join('/');
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.regex.test(rel)) ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+// Comments in one file: [{file, line, kind, text}] with the absolute path.
+// Binary and oversized files give none.
+export function scanFile(file) {
+  let buffer;
+  try {
+    if (fs.statSync(file).size > MAX_FILE_BYTES) return [];
+    buffer = fs.readFileSync(file);
+  } catch {
+    return [];
+  }
+  if (buffer.subarray(0, 8000).includes(0)) return [];
+  const comments = [];
+  buffer.toString('utf8').split(/\r?\n/).forEach((line, i) => {
+    const m = COMMENT.exec(line);
+    if (!m) return;
+    const text = m[2].replace(/\s*(\*+\/|-->)\s*$/, '').trim();
+    comments.push({file, line: i + 1, kind: m[1], text: text || m[1]});
+  });
+  return comments;
+}
+
+// Walk `root` for comments. Symlinks, VCS directories and notex's own files
+// are skipped. Returns {files, comments}.
+export function scanTree(root) {
+  let files = 0;
+  const comments = [];
+  const walk = (dir, scopes) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, {withFileTypes: true});
+    } catch {
+      return;
+    }
+    const rules = readIgnore(dir);
+    const inner = rules.length ? scopes.concat([{base: dir, rules}]) : scopes;
+    for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+      if (SKIP_DIRS.includes(entry.name) || entry.name.startsWith('.notex')) continue;
+      const isDir = entry.isDirectory();
+      if (!isDir && !entry.isFile()) continue;
+      const full = path.join(dir, entry.name);
+      if (isIgnored(inner, full, isDir)) continue;
+      if (isDir) {
+        walk(full, inner);
+      } else {
+        files++;
+        comments.push(...scanFile(full));
+      }
+    }
+  };
+  walk(path.resolve(root), []);
+  return {files, comments};
+}
+
+// scanTree() in a worker thread, so that walking a large tree does not hold
+// up the caller's event loop (the UI keeps drawing). Resolves to the same
+// {files, comments}.
+export function scanTreeInBackground(root) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), {workerData: {scanRoot: root}});
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error('scan stopped (exit ' + code + ')')));
+  });
+}
+
+if (!isMainThread && workerData && workerData.scanRoot) parentPort.postMessage(scanTree(workerData.scanRoot));
+
+// Where a task's comment is, as an absolute path
+export function sourcePath(task, storageFile) {
+  return path.resolve(path.dirname(storageFile), task.source.file);
+}
+
+// "src/app.js:12"
+export function formatSource(source) {
+  return source.file + ':' + source.line;
+}
+
+// Bring the tasks in line with the comments found: update the line of
+// comments that moved, add tasks for new ones (tagged #todo, #fixme or
+// #hack) and mark those under `root` whose comment is gone as stale.
+// Archived tasks count as known, so archiving one does not bring it back.
+// Returns {tasks, added, moved, stale}.
+export function applyScan(tasks, archive, comments, storageFile, root) {
+  const base = path.dirname(storageFile);
+  const inRoot = file => !path.relative(path.resolve(root), path.resolve(base, file)).startsWith('..');
+  const keyOf = (file, kind, text) => [file, kind, text].join('\0');
+  const open = new Map(); // key -> indexes of unmatched tasks
+  tasks.forEach((t, i) => {
+    if (!t.source) return;
+    const key = keyOf(path.resolve(base, t.source.file), t.source.kind, t.source.text);
+    if (!open.has(key)) open.set(key, []);
+    open.get(key).push(i);
+  });
+  const archived = new Map();
+  for (const t of archive) {
+    if (!t.source) continue;
+    const key = keyOf(path.resolve(base, t.source.file), t.source.kind, t.source.text);
+    archived.set(key, (archived.get(key) || 0) + 1);
+  }
+
+  const next = tasks.slice();
+  const matched = new Set();
+  const added = [];
+  let moved = 0;
+  for (const c of comments) {
+    const key = keyOf(c.file, c.kind, c.text);
+    const candidates = open.get(key) || [];
+    if (candidates.length) {
+      // The nearest task when the same comment appears more than once
+      const pick = candidates.reduce((best, i) => (Math.abs(next[i].source.line - c.line) < Math.abs(next[best].source.line - c.line) ? i : best));
+      candidates.splice(candidates.indexOf(pick), 1);
+      matched.add(pick);
+      const {stale, ...source} = next[pick].source;
+      if (source.line !== c.line || stale) {
+        if (source.line !== c.line) moved++;
+        next[pick] = {...next[pick], source: {...source, line: c.line}};
+      }
+    } else if (archived.get(key)) {
+      archived.set(key, archived.get(key) - 1);
+    } else {
+      const file = path.relative(base, c.file).split(path.sep).join('/');
+      const task = {...createTask(c.text + ' #' + c.kind.toLowerCase(), next.concat(added)), source: {file, line: c.line, kind: c.kind, text: c.text}};
+      added.push(task);
+    }
+  }
+  let stale = 0;
+  next.forEach((t, i) => {
+    if (!t.source || matched.has(i) || t.source.stale || !inRoot(t.source.file)) return;
+    next[i] = {...t, source: {...t.source, stale: true}};
+    stale++;
+  });
+  return {tasks: next.concat(added), added, moved, stale};
+}
@@ -0,0 +1,43 @@
+// Sort modes for the list view. Sorting only changes what is shown: the
+// stored (manual) order is untouched and breaks ties.
+
+export const SORT_MODES = ['manual', 'created', 'completed', 'alpha', 'done-last', 'priority', 'due'];
+
+export const SORT_LABELS = {
+  manual: 'Manual',
+  created: 'Created',
+  completed: 'Completed',
+  alpha: 'A–Z',
+  'done-last': 'Done last',
+  priority: 'Priority',
+  due: 'Due date'
+};
+
+// Missing values sort after present ones whatever the direction
+function by(get, dir = 1) {
+  return (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x == null || y == null) return (x == null) - (y == null);
+    return x < y ? -dir : x > y ? dir : 0;
+  };
+}
+
+const COMPARATORS = {
+  created: by(t => t.createdAt),
+  // Most recently completed first; open tasks after
+  completed: by(t => t.completedAt, -1),
+  alpha: (a, b) => a.text.localeCompare(b.text, undefined, {sensitivity: 'base', numeric: true}),
+  'done-last': by(t => (t.done ? 1 : 0)),
+  priority: by(t => t.priority),
+  due: by(t => t.due)
+};
+
+// Comparator for a mode, or null for manual order.
+export function sortComparator(mode) {
+  return COMPARATORS[mode] || null;
+}
+
+export function nextSortMode(mode) {
+  return SORT_MODES[(SORT_MODES.indexOf(mode) + 1) % SORT_MODES.length];
+}
@@ -0,0 +1,51 @@
+// Completion statistics from the createdAt/completedAt timestamps, over the
+// list and the archive together.
+import {toISODate, addDays} from './dates.js';
+
+// {total, today, perDay: [{date, count}], perWeek: [{start, count}],
+// averageMs, streak}. Days and weeks (starting Monday) run oldest first and
+// end with the current one; averageMs is null without completed tasks.
+export function completionStats(tasks, now = new Date(), {days = 14, weeks = 8} = {}) {
+  const done = tasks.filter(t => t.done && t.completedAt);
+  const byDay = new Map();
+  for (const t of done) {
+    const date = toISODate(new Date(t.completedAt));
+    byDay.set(date, (byDay.get(date) || 0) + 1);
+  }
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const count = d => byDay.get(toISODate(d)) || 0;
+
+  const perDay = [];
+  for (let k = days - 1; k >= 0; k--) {
+    const d = addDays(today, -k);
+    perDay.push({date: toISODate(d), count: count(d)});
+  }
+
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  const perWeek = [];
+  for (let k = weeks - 1; k >= 0; k--) {
+    const start = addDays(monday, -7 * k);
+    let n = 0;
+    for (let j = 0; j < 7; j++) n += count(addDays(start, j));
+    perWeek.push({start: toISODate(start), count: n});
+  }
+
+  const spans = done.filter(t => t.createdAt && t.completedAt >= t.createdAt).map(t => t.completedAt - t.createdAt);
+  const averageMs = spans.length ? spans.reduce((a, b) => a + b, 0) / spans.length : null;
+
+  // A streak still counts when nothing is done yet today
+  let streak = 0;
+  for (let d = count(today) ? today : addDays(today, -1); count(d); d = addDays(d, -1)) streak++;
+
+  return {total: done.length, today: count(today), perDay, perWeek, averageMs, streak};
+}
+
+// "3d 4h", "5h 10m", "12m" or "<1m"
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days) return days + 'd' + (hours ? ' ' + hours + 'h' : '');
+  if (hours) return hours + 'h' + (minutes % 60 ? ' ' + (minutes % 60) + 'm' : '');
+  return minutes ? minutes + 'm' : '<1m';
+}
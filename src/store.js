@@ -0,0 +1,457 @@
+// A task list without the UI: the tasks and archive of one storage file,
+// the operations the app offers on them, journaled undo and redo, and
+// saving. The app is built on it and scripts can use it the same way:
+//
+//   import {TaskStore} from 'ink-notex';
+//   const store = new TaskStore('todo.json');
+//   store.on('change', () => console.log(store.tasks.length + ' tasks'));
+//   const task = store.add('Write release notes due:fri');
+//   store.toggle(task.id);
+//   store.undo();
+//
+// Every change is saved right away, under the file lock, and journaled (see
+// journal.js) once it is. A change that cannot be saved is taken back and
+// throws a StorageError saying why. When the file changed on disk since it
+// was read, the two sides are merged (see merge.js); edits of the same task
+// on both sides leave `conflict` set, and nothing is saved or changed,
+// until resolveConflict().
+//
+// Events:
+//   change  the tasks, archive, history or options changed
+//   save    the file was written
+//   sync    the file changed outside the store: {result} is 'reloaded',
+//           'merged', 'conflict', 'unreadable' (left alone) or 'failed'
+//   unsaved a change could not be written and was taken back: {message}
+//   hook    a configured hook failed (see hooks.js): {message}
+import {EventEmitter} from 'events';
+import fs from 'fs';
+import path from 'path';
+import {loadStore, loadTasks, saveTasks, withLock, fileSignature, listBackups, backupBrokenFile, StorageError, DEFAULT_FILE} from './persist.js';
+import {createTask, editTask, parseInput, setNotes} from './tasks.js';
+import {setTasksDone} from './recur.js';
+import {startTimer, stopTimer} from './timer.js';
+import {loadStates, setTasksState} from './workflow.js';
+import {normalizeTree, insertChild, insertSibling, indentTask, outdentTask, moveTasks, takeTasks} from './tree.js';
+import {savedArchive, archiveDone, restoreArchived} from './archive.js';
+import {mergeTasks, resolveConflicts, sameTaskList} from './merge.js';
+import {newEntry, appendEntry, readJournal, compactJournal, undoStacks, diffState, invertOps, applyEntry} from './journal.js';
+import {fireHook, fireTaskHooks} from './hooks.js';
+
+export class TaskStore extends EventEmitter {
+  constructor(file = DEFAULT_FILE) {
+    super();
+    this.file = path.resolve(file);
+    this.conflict = null; // {tasks, conflicts} while a merge waits for choices
+    this.watcher = null;
+    this.replaceBroken = false; // after recover(), until the unreadable file is replaced
+    this.saveError = null; // why the last save failed
+    this.load();
+  }
+
+  // Read the file and its journal. A file that cannot be read is copied
+  // aside; the store then starts empty with `loadError` ({message,
+  // brokenCopy}) set and saves nothing until recover().
+  load() {
+    const signature = fileSignature(this.file);
+    try {
+      withLock(this.file, () => compactJournal(this.file));
+    } catch {
+      // Busy; the journal is compacted on a later load
+    }
+    this.readHistory();
+    try {
+      const store = loadStore(this.file);
+      this.tasks = store.tasks;
+      this.archive = savedArchive(store.extra);
+      this.extra = store.extra;
+      this.readOnly = store.readOnly ? store.version : null; // schema version of a file from a newer notex
+      this.loadError = null;
+    } catch (err) {
+      if (!(err instanceof StorageError)) throw err;
+      this.tasks = [];
+      this.archive = [];
+      this.extra = {};
+      this.readOnly = null;
+      this.loadError = {message: err.message, brokenCopy: backupBrokenFile(this.file)};
+    }
+    // What the file held when last read or written: the common ancestor for
+    // merges, and the signature that tells us it changed since
+    this.synced = {base: this.tasks, signature};
+  }
+
+  // Journal entries that can be undone (newest last) and redone (next
+  // redo last)
+  readHistory() {
+    const {done, undone} = undoStacks(readJournal(this.file));
+    this.history = done;
+    this.future = undone;
+  }
+
+  // Throws a StorageError when changes cannot be saved
+  checkWritable() {
+    if (this.readOnly) throw new StorageError(this.file + ' was written by a newer notex (storage version ' + this.readOnly + ')', {filePath: this.file});
+    if (this.loadError) throw new StorageError(this.loadError.message + ' (recover the list first)', {filePath: this.file});
+    if (this.conflict) throw new StorageError(this.file + ' has a merge conflict to resolve first', {filePath: this.file});
+  }
+
+  // Make `tasks` (and `archive`) the new state as one undo step. Returns
+  // the journal entry, or null when nothing changed. Fires the task hooks;
+  // undo and redo do not.
+  change(tasks, archive = this.archive) {
+    this.checkWritable();
+    const ops = diffState({tasks: this.tasks, archive: this.archive}, {tasks, archive});
+    if (!this.commit({tasks, archive})) throw this.saveError;
+    if (!ops.length) return null;
+    const entry = newEntry({ops});
+    appendEntry(this.file, entry);
+    this.history = this.history.concat([entry]);
+    this.future = [];
+    this.emit('change');
+    this.reportHooks(fireTaskHooks(ops, tasks, this.file));
+    return entry;
+  }
+
+  // Show and save `snap`, going back to the previous state when it cannot
+  // be written. A change caught in a merge conflict counts as made: it is
+  // saved with the resolution. Returns whether the change stands.
+  commit(snap) {
+    const before = {tasks: this.tasks, archive: this.archive};
+    if (this.show(snap) || this.conflict) return true;
+    this.tasks = before.tasks;
+    this.archive = before.archive;
+    this.emit('change');
+    return false;
+  }
+
+  reportHooks(run) {
+    run.then(
+      failures => failures.forEach(message => this.emit('hook', {message})),
+      err => this.emit('hook', {message: 'Hooks failed: ' + err.message})
+    );
+  }
+
+  // The archive is only written when it changed, to leave archiving done
+  // elsewhere alone
+  show(snap) {
+    const archiveChanged = snap.archive !== this.archive;
+    this.tasks = snap.tasks;
+    this.archive = snap.archive;
+    const ok = this.save(archiveChanged ? {archive: snap.archive} : {});
+    this.emit('change');
+    return ok;
+  }
+
+  // Write the tasks; `extra` sets other top-level keys of the file. Never
+  // writes while the file failed to load (it would replace whatever is left
+  // of the user's data with the empty placeholder list) or while a conflict
+  // is unresolved. Returns whether the file was written; when it was not
+  // for an error, `saveError` holds it.
+  save(extra = {}) {
+    this.saveError = null;
+    if (this.loadError || this.conflict || this.readOnly) return false;
+    try {
+      return withLock(this.file, () => {
+        if (fileSignature(this.file) !== this.synced.signature) return this.reconcile(extra);
+        return this.write(this.tasks, extra);
+      });
+    } catch (err) {
+      this.saveError = err;
+      this.emit('unsaved', {message: err.message});
+      return false;
+    }
+  }
+
+  write(tasks, extra) {
+    try {
+      saveTasks(tasks, this.file, extra, {replaceBroken: this.replaceBroken});
+    } catch (err) {
+      this.saveError = err;
+      this.emit('unsaved', {message: err.message});
+      return false;
+    }
+    this.replaceBroken = false;
+    this.extra = {...this.extra, ...extra};
+    this.synced = {base: tasks, signature: fileSignature(this.file)};
+    this.emit('save');
+    this.reportHooks(fireHook('save', {file: this.file, tasks}, this.file));
+    return true;
+  }
+
+  // Three-way merge our tasks with what is on disk now. Clean merges are
+  // saved straight away; overlapping edits set `conflict`.
+  reconcile(extra) {
+    let theirs;
+    try {
+      theirs = loadTasks(this.file);
+    } catch (err) {
+      this.saveError = new StorageError(this.file + ' changed on disk and cannot be read; not saving', {filePath: this.file, cause: err});
+      this.emit('sync', {result: 'unreadable'});
+      return false;
+    }
+    const signature = fileSignature(this.file);
+    const result = mergeTasks(this.synced.base, this.tasks, theirs);
+    this.tasks = normalizeTree(result.tasks);
+    this.synced = {base: theirs, signature};
+    if (result.conflicts.length) {
+      this.conflict = {tasks: this.tasks, conflicts: result.conflicts};
+      this.emit('sync', {result: 'conflict'});
+      return false;
+    }
+    if (sameTaskList(this.tasks, theirs) && !Object.keys(extra).length) {
+      this.emit('sync', {result: 'reloaded'});
+      return true;
+    }
+    const ok = this.write(this.tasks, extra);
+    this.emit('sync', {result: ok ? 'merged' : 'failed'});
+    return ok;
+  }
+
+  // Settle a conflict: `conflicts` are those of `conflict` with a `choice`
+  // each ('ours', 'theirs' or 'both'). Saved as one undo step; when that
+  // fails the conflict stays.
+  resolveConflict(conflicts) {
+    const {conflict} = this;
+    const resolved = normalizeTree(resolveConflicts(conflict.tasks, conflicts));
+    this.conflict = null;
+    try {
+      return this.change(resolved);
+    } catch (err) {
+      if (!this.conflict) this.conflict = conflict;
+      throw err;
+    }
+  }
+
+  // Pick up a change another notex, a script or an editor made to the
+  // file. Returns whether the store changed.
+  reload() {
+    if (this.loadError || this.conflict) return false;
+    const signature = fileSignature(this.file);
+    if (signature === this.synced.signature) return false; // our own write
+    if (!sameTaskList(this.tasks, this.synced.base)) {
+      // Unsaved changes of ours: merge them in
+      this.save();
+      this.emit('change');
+      return true;
+    }
+    let store;
+    try {
+      store = loadStore(this.file);
+    } catch {
+      return false; // probably mid-write by a non-atomic editor; try again later
+    }
+    this.tasks = store.tasks;
+    this.archive = savedArchive(store.extra);
+    this.extra = store.extra;
+    this.readOnly = store.readOnly ? store.version : null;
+    this.synced = {base: store.tasks, signature};
+    // Whoever changed the file may have journaled it; pick up their steps
+    this.readHistory();
+    this.emit('sync', {result: 'reloaded'});
+    this.emit('change');
+    return true;
+  }
+
+  // Reload whenever the file changes. Polling survives the rename-based
+  // writes that would detach an fs.watch handle. Keeps the process alive
+  // until unwatch().
+  watch(interval = 500) {
+    if (this.watcher) return;
+    this.watcher = () => this.reload();
+    fs.watchFile(this.file, {interval}, this.watcher);
+  }
+
+  unwatch() {
+    if (!this.watcher) return;
+    fs.unwatchFile(this.file, this.watcher);
+    this.watcher = null;
+  }
+
+  // Backups of a file that failed to load: [{file, tasks, archive}]
+  backups() {
+    const found = [];
+    for (const file of listBackups(this.file)) {
+      try {
+        const store = loadStore(file);
+        found.push({file, tasks: store.tasks, archive: savedArchive(store.extra)});
+      } catch {
+        // Skip backups that are broken too
+      }
+    }
+    return found;
+  }
+
+  // Get past a load error: restore `backup` (one of backups()) and save it
+  // right away, or start with an empty list; the broken file then stays in
+  // place until the first change.
+  recover(backup = null) {
+    this.loadError = null;
+    this.replaceBroken = true;
+    this.tasks = backup ? backup.tasks : [];
+    this.archive = backup ? backup.archive : [];
+    if (backup) this.write(this.tasks, {archive: this.archive});
+    this.emit('change');
+  }
+
+  // A top-level key of the file besides the tasks (e.g. `sort`)
+  option(key) {
+    return this.extra[key];
+  }
+
+  // Options are saved but not journaled
+  setOption(key, value) {
+    this.extra = {...this.extra, [key]: value};
+    const ok = this.save({[key]: value});
+    this.emit('change');
+    return ok;
+  }
+
+  // Undo (dir -1) or redo (dir 1) up to `count` journal entries as one
+  // change. Returns how many were applied; throws as change() does.
+  travel(dir, count = 1) {
+    this.checkWritable();
+    let done = this.history;
+    let undone = this.future;
+    let state = {tasks: this.tasks, archive: this.archive};
+    let n = 0;
+    for (; n < count && (dir < 0 ? done : undone).length; n++) {
+      const entry = (dir < 0 ? done : undone).at(-1);
+      state = applyEntry(state, dir < 0 ? invertOps(entry.ops) : entry.ops);
+      if (dir < 0) {
+        done = done.slice(0, -1);
+        undone = undone.concat([entry]);
+      } else {
+        undone = undone.slice(0, -1);
+        done = done.concat([entry]);
+      }
+    }
+    if (!n) return 0;
+    if (!this.commit(state)) throw this.saveError;
+    for (const entry of (dir < 0 ? undone : done).slice(-n)) appendEntry(this.file, newEntry(dir < 0 ? {undo: entry.id} : {redo: entry.id}));
+    this.history = done;
+    this.future = undone;
+    this.emit('change');
+    return n;
+  }
+
+  undo(count = 1) {
+    return this.travel(-1, count);
+  }
+
+  redo(count = 1) {
+    return this.travel(1, count);
+  }
+
+  // Operations by task id. Task input is what the add and edit fields take
+  // (due:…, every:…, #tags); input that cannot be read throws.
+
+  indexOf(id) {
+    const index = this.tasks.findIndex(t => String(t.id) === String(id));
+    if (index < 0) throw new RangeError('No task with id ' + id);
+    return index;
+  }
+
+  get(id) {
+    return this.tasks[this.indexOf(id)];
+  }
+
+  // Add a task at the end, as the last subtask of `parentId`, or next to
+  // the task `near` (before it with `before`). Returns the new task.
+  add(input, {parentId = null, near = null, before = false} = {}) {
+    const {errors} = parseInput(input);
+    if (errors.length) throw new Error(errors.join('; '));
+    const task = createTask(input, this.tasks);
+    const next = near != null
+      ? insertSibling(this.tasks, this.indexOf(near), task, before)
+      : insertChild(this.tasks, parentId == null ? null : this.indexOf(parentId), task)[0];
+    this.change(next);
+    return this.get(task.id);
+  }
+
+  edit(id, input) {
+    const {errors} = parseInput(input);
+    if (errors.length) throw new Error(errors.join('; '));
+    const index = this.indexOf(id);
+    this.change(this.tasks.map((t, i) => (i === index ? editTask(t, input) : t)));
+    return this.tasks[index];
+  }
+
+  // Mark tasks done (or reopen them with done false). Returns the next
+  // occurrences added for recurring ones.
+  setDone(ids, done = true) {
+    const list = [].concat(ids);
+    list.forEach(id => this.indexOf(id));
+    const before = new Set(this.tasks.map(t => String(t.id)));
+    this.change(setTasksDone(this.tasks, list, done));
+    return this.tasks.filter(t => !before.has(String(t.id)));
+  }
+
+  toggle(id) {
+    return this.setDone(id, !this.get(id).done);
+  }
+
+  // Put tasks in the workflow state at `index` of `states` (see
+  // workflow.js); the last one completes them. Returns the next occurrences
+  // added, as setDone() does.
+  setState(ids, index, states = loadStates().states) {
+    if (!Number.isInteger(index) || index < 0 || index >= states.length) throw new RangeError('No workflow state ' + index);
+    const list = [].concat(ids);
+    list.forEach(id => this.indexOf(id));
+    const before = new Set(this.tasks.map(t => String(t.id)));
+    this.change(setTasksState(this.tasks, list, index, states));
+    return this.tasks.filter(t => !before.has(String(t.id)));
+  }
+
+  // Delete tasks with their subtasks. Returns the removed tasks.
+  remove(ids) {
+    const list = [].concat(ids);
+    list.forEach(id => this.indexOf(id));
+    const {taken, rest} = takeTasks(this.tasks, list);
+    this.change(rest);
+    return taken;
+  }
+
+  // Move tasks among their siblings: 'up', 'down', 'top' or 'bottom'
+  move(ids, where) {
+    const list = [].concat(ids);
+    list.forEach(id => this.indexOf(id));
+    this.change(moveTasks(this.tasks, list, where));
+  }
+
+  indent(id) {
+    this.change(indentTask(this.tasks, this.indexOf(id)));
+  }
+
+  outdent(id) {
+    this.change(outdentTask(this.tasks, this.indexOf(id)));
+  }
+
+  setNotes(id, notes) {
+    const index = this.indexOf(id);
+    this.change(this.tasks.map((t, i) => (i === index ? setNotes(t, notes) : t)));
+  }
+
+  // Start timing a task, stopping the one that was running
+  startTimer(id) {
+    this.indexOf(id);
+    this.change(startTimer(this.tasks, id));
+  }
+
+  stopTimer() {
+    this.change(stopTimer(this.tasks));
+  }
+
+  // Archive done tasks (completed before `before`, a timestamp). Returns
+  // how many were archived.
+  archiveDone(before = Infinity) {
+    const result = archiveDone(this.tasks, this.archive, before);
+    if (result.count) this.change(result.tasks, result.archive);
+    return result.count;
+  }
+
+  // Put an archived task (with its archived subtasks) back in the list
+  restore(id) {
+    const result = restoreArchived(this.tasks, this.archive, id);
+    if (result.archive === this.archive) throw new RangeError('No archived task with id ' + id);
+    this.change(result.tasks, result.archive);
+  }
+}
@@ -0,0 +1,74 @@
+// Pure task helpers shared by the Ink UI and the CLI subcommands.
+import {extractDue} from './dates.js';
+import {parseTokens} from './tokens.js';
+import {extractRecur, formatRecur, editedRule} from './recur.js';
+import {stopTask} from './timer.js';
+
+export function nextId(tasks = []) {
+  // Ids are creation timestamps; bump past the newest one so that tasks
+  // created within the same millisecond (e.g. from a script) stay unique.
+  const max = tasks.reduce((m, t) => (typeof t.id === 'number' && t.id > m ? t.id : m), 0);
+  return Math.max(Date.now(), max + 1);
+}
+
+// Split what the user typed into the task text and the structured fields
+// given inline: `due:<when>` and a recurrence (`every:…`, `after:…`, see
+// recur.js) are taken out of the text, while priority, #tags, @contexts and
+// +projects stay in it and are also parsed into fields.
+// Problems are returned as messages rather than thrown; the offending token
+// is left in the text.
+export function parseInput(input) {
+  const errors = [];
+  const {text: rest, due, invalid} = extractDue(String(input).trim());
+  if (invalid) errors.push('Unrecognised due date "' + invalid + '"');
+  const {text, recur, invalid: badRule} = extractRecur(rest);
+  if (badRule) errors.push('Unrecognised recurrence "' + badRule + '"');
+  return {text, fields: {due, recur, ...parseTokens(text)}, errors};
+}
+
+// The text to put in the edit field so that submitting it unchanged keeps
+// every field as it is.
+export function editableText(task) {
+  return task.text + (task.due ? ' due:' + task.due : '') + (task.recur ? ' ' + formatRecur(task.recur) : '');
+}
+
+export function createTask(input, tasks = []) {
+  const now = Date.now();
+  const {text, fields} = parseInput(input);
+  return {id: nextId(tasks), text, done: false, createdAt: now, completedAt: null, parentId: null, ...fields};
+}
+
+export function editTask(task, input) {
+  const {text, fields} = parseInput(input);
+  return {...task, ...fields, recur: editedRule(task, fields.recur, fields.due), text: text || task.text};
+}
+
+// Completing a task stops its timer and takes it out of any workflow state
+// (see workflow.js)
+export function setDone(task, done) {
+  if (Boolean(task.done) === Boolean(done)) return task;
+  if (!done) return {...task, done: false, completedAt: null};
+  const now = Date.now();
+  const {state, ...rest} = stopTask(task, now);
+  return {...rest, done: true, completedAt: now};
+}
+
+// Notes are free text (several lines, links, `- [ ]` checklists); a task
+// without notes has no `notes` key.
+export function setNotes(task, notes) {
+  const text = String(notes || '').replace(/\s+$/, '');
+  if (text === (task.notes || '')) return task;
+  const {notes: old, ...rest} = task;
+  return text ? {...rest, notes: text} : rest;
+}
+
+// Resolve a user-supplied reference to a task index: a 1-based position as
+// printed by `notex ls`, or an exact task id.
+export function findTaskIndex(tasks, ref) {
+  const s = String(ref).trim();
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    if (n >= 1 && n <= tasks.length) return n - 1;
+  }
+  return tasks.findIndex(t => String(t.id) === s);
+}
@@ -0,0 +1,86 @@
+// Time tracking. A task's `time` is a list of intervals {start, end} (ms
+// timestamps); the running one has `end: null`. Only one task runs at a
+// time, and since the intervals live in the task record a timer keeps
+// running while notex is closed.
+import {startOfDay, addDays, addMonths, fromISODate} from './dates.js';
+
+export function isRunning(task) {
+  return Boolean(task.time && task.time.some(i => i.end == null));
+}
+
+// The running task, or undefined
+export function runningTask(tasks) {
+  return tasks.find(isRunning);
+}
+
+// Close a task's running interval; the same task when there is none
+export function stopTask(task, now = Date.now()) {
+  if (!isRunning(task)) return task;
+  return {...task, time: task.time.map(i => (i.end == null ? {...i, end: now} : i))};
+}
+
+export function stopTimer(tasks, now = Date.now()) {
+  return tasks.map(t => stopTask(t, now));
+}
+
+// Start timing the task with `id`, stopping whichever one was running
+export function startTimer(tasks, id, now = Date.now()) {
+  return tasks.map(t => {
+    if (String(t.id) !== String(id)) return stopTask(t, now);
+    if (isRunning(t)) return t;
+    return {...t, time: (t.time || []).concat([{start: now, end: null}])};
+  });
+}
+
+// Time tracked on a task since `since`, counting a running interval up to now
+export function trackedMs(task, since = 0, now = Date.now()) {
+  return (task.time || []).reduce((sum, i) => sum + Math.max(0, Math.min(i.end ?? now, now) - Math.max(i.start, since)), 0);
+}
+
+// Start of a report period: today, yesterday, week (since Monday), month,
+// all, a date (2026-10-01) or a span back from today (3d, 2w, 1m). Returns
+// a timestamp (0 for all) or null when `expr` cannot be read.
+export function parseSince(expr, now = new Date()) {
+  const s = String(expr || '').trim().toLowerCase();
+  const today = startOfDay(now);
+  if (s === 'all') return 0;
+  if (s === 'today') return today.getTime();
+  if (s === 'yesterday') return addDays(today, -1).getTime();
+  if (s === 'week') return addDays(today, -((today.getDay() + 6) % 7)).getTime();
+  if (s === 'month') return new Date(today.getFullYear(), today.getMonth(), 1).getTime();
+  const date = fromISODate(s);
+  if (date) return date.getTime();
+  const rel = /^(\d+)\s*(d|days?|w|weeks?|m|months?)$/.exec(s);
+  if (!rel) return null;
+  const n = Number(rel[1]);
+  if (rel[2][0] === 'd') return addDays(today, -n).getTime();
+  if (rel[2][0] === 'w') return addDays(today, -7 * n).getTime();
+  return addMonths(today, -n).getTime();
+}
+
+// Time per task and per tag since `since`, biggest first:
+// {total, tasks: [{task, ms}], tags: [{tag, ms}]}. A task counts towards
+// each of its tags; tasks without one are grouped as "(untagged)".
+export function timeReport(tasks, since = 0, now = Date.now()) {
+  const rows = tasks.map(task => ({task, ms: trackedMs(task, since, now)})).filter(r => r.ms > 0);
+  const byTag = new Map();
+  for (const {task, ms} of rows) {
+    for (const tag of task.tags && task.tags.length ? task.tags.map(t => '#' + t) : ['(untagged)']) {
+      byTag.set(tag, (byTag.get(tag) || 0) + ms);
+    }
+  }
+  return {
+    total: rows.reduce((sum, r) => sum + r.ms, 0),
+    tasks: rows.sort((a, b) => b.ms - a.ms),
+    tags: [...byTag].map(([tag, ms]) => ({tag, ms})).sort((a, b) => b.ms - a.ms)
+  };
+}
+
+// Running clock for the header: "12:05" or "1:02:09"
+export function formatClock(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const pad = n => String(n).padStart(2, '0');
+  const h = Math.floor(seconds / 3600);
+  const rest = pad(Math.floor((seconds % 3600) / 60)) + ':' + pad(seconds % 60);
+  return h ? h + ':' + rest : rest;
+}
@@ -0,0 +1,114 @@
+// Inline markers in task text, todo.txt style. They stay in the text and are
+// also parsed into structured fields:
+//   !1 .. !3 or a leading (A) .. (C)   priority (1 is highest)
+//   #tag   @context   +project
+
+const WORD = /(^|\s)([#@+])([\p{L}\p{N}_][\p{L}\p{N}_\-/.]*)/gu;
+const BANG_PRIORITY = /(^|\s)!([1-3])(?=\s|$)/;
+const LETTER_PRIORITY = /^\(([A-C])\)(?=\s|$)/;
+
+const KINDS = {'#': 'tag', '@': 'context', '+': 'project'};
+
+// Trailing punctuation belongs to the sentence, not the tag: "#backend,"
+function trimWord(w) {
+  return w.replace(/[.\-/]+$/, '');
+}
+
+export function parseTokens(text) {
+  const s = String(text || '');
+  const fields = {priority: null, tags: [], contexts: [], projects: []};
+  const letter = LETTER_PRIORITY.exec(s);
+  const bang = BANG_PRIORITY.exec(s);
+  if (letter) fields.priority = letter[1].charCodeAt(0) - 64;
+  else if (bang) fields.priority = Number(bang[2]);
+  for (const m of s.matchAll(WORD)) {
+    const word = trimWord(m[3]);
+    const list = fields[KINDS[m[2]] + 's'];
+    if (word && !list.includes(word)) list.push(word);
+  }
+  return fields;
+}
+
+// Split text into [{text, kind}] runs for highlighting; kind is null for
+// plain text, else 'priority' | 'tag' | 'context' | 'project'.
+export function tokenize(text) {
+  const s = String(text || '');
+  const marks = [];
+  const letter = LETTER_PRIORITY.exec(s);
+  if (letter) marks.push({start: 0, end: letter[0].length, kind: 'priority'});
+  const bang = BANG_PRIORITY.exec(s);
+  if (bang) marks.push({start: bang.index + bang[1].length, end: bang.index + bang[0].length, kind: 'priority'});
+  for (const m of s.matchAll(WORD)) {
+    const start = m.index + m[1].length;
+    marks.push({start, end: start + 1 + trimWord(m[3]).length, kind: KINDS[m[2]]});
+  }
+  marks.sort((a, b) => a.start - b.start);
+  const runs = [];
+  let at = 0;
+  for (const mk of marks) {
+    if (mk.start < at) continue;
+    if (mk.start > at) runs.push({text: s.slice(at, mk.start), kind: null});
+    runs.push({text: s.slice(mk.start, mk.end), kind: mk.kind});
+    at = mk.end;
+  }
+  if (at < s.length) runs.push({text: s.slice(at), kind: null});
+  return runs;
+}
+
+// Task text without its priority marker, for formats that store priority
+// separately.
+export function stripPriority(text) {
+  return String(text || '')
+    .replace(LETTER_PRIORITY, '')
+    .replace(BANG_PRIORITY, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Add a '#tag', '@context' or '+project' marker to the end of task text,
+// unless the text already carries it.
+export function addTerm(text, term) {
+  const list = parseTokens(text)[KINDS[term[0]] + 's'];
+  if (list.some(w => w.toLowerCase() === term.slice(1).toLowerCase())) return text;
+  return (text + ' ' + term).trim();
+}
+
+// Remove every occurrence of a marker from task text.
+export function removeTerm(text, term) {
+  const re = new RegExp('(^|\\s)' + escapeRegExp(term) + '[.,;:!?]?(?=\\s|$)', 'giu');
+  return text.replace(re, '$1').replace(/\s{2,}/g, ' ').trim();
+}
+
+// Filter terms are written the way they appear in text: '#tag', '@ctx',
+// '+proj' or '!1'. A task matches when it carries every term.
+export function taskTerms(task) {
+  return [
+    ...(task.priority ? ['!' + task.priority] : []),
+    ...(task.tags || []).map(t => '#' + t),
+    ...(task.contexts || []).map(c => '@' + c),
+    ...(task.projects || []).map(p => '+' + p)
+  ];
+}
+
+export function matchesTerms(task, terms) {
+  if (!terms.length) return true;
+  const own = new Set(taskTerms(task).map(t => t.toLowerCase()));
+  return terms.every(t => own.has(t.toLowerCase()));
+}
+
+// Every term used in the list with how many tasks carry it, priorities
+// first, then tags, contexts and projects, each alphabetical.
+export function collectTerms(tasks) {
+  const counts = new Map();
+  for (const t of tasks) {
+    for (const term of taskTerms(t)) counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  const order = {'!': 0, '#': 1, '@': 2, '+': 3};
+  return [...counts.entries()]
+    .map(([term, count]) => ({term, count}))
+    .sort((a, b) => order[a.term[0]] - order[b.term[0]] || a.term.localeCompare(b.term));
+}
@@ -0,0 +1,256 @@
+// Subtasks are stored flat: each task has a `parentId` (null at the top
+// level) and the list is kept in preorder, so a task's descendants always
+// follow it contiguously. That keeps index-based code and plain file edits
+// working while still describing a tree.
+
+const key = id => String(id);
+
+// Repair parent links (missing parents, self-references, cycles become top
+// level) and restore preorder. A list that is already valid comes back in the
+// same order with the same task objects.
+export function normalizeTree(tasks) {
+  const byId = new Map(tasks.map(t => [key(t.id), t]));
+  const parentOf = new Map();
+  for (const t of tasks) {
+    const p = t.parentId == null ? null : key(t.parentId);
+    parentOf.set(key(t.id), p != null && byId.has(p) && p !== key(t.id) ? p : null);
+  }
+  for (const t of tasks) {
+    const seen = new Set([key(t.id)]);
+    let p = parentOf.get(key(t.id));
+    while (p != null) {
+      if (seen.has(p)) {
+        parentOf.set(key(t.id), null);
+        break;
+      }
+      seen.add(p);
+      p = parentOf.get(p);
+    }
+  }
+  const children = new Map();
+  for (const t of tasks) {
+    const p = parentOf.get(key(t.id));
+    if (!children.has(p)) children.set(p, []);
+    children.get(p).push(t);
+  }
+  const out = [];
+  const visit = t => {
+    const p = parentOf.get(key(t.id));
+    const want = p == null ? null : byId.get(p).id;
+    out.push((t.parentId ?? null) === want ? t : {...t, parentId: want});
+    for (const c of children.get(key(t.id)) || []) visit(c);
+  };
+  for (const t of children.get(null) || []) visit(t);
+  return out;
+}
+
+export function depths(tasks) {
+  const depthById = new Map();
+  return tasks.map(t => {
+    const p = t.parentId == null ? null : key(t.parentId);
+    const d = p != null && depthById.has(p) ? depthById.get(p) + 1 : 0;
+    depthById.set(key(t.id), d);
+    return d;
+  });
+}
+
+// Index one past the last descendant of tasks[index].
+export function subtreeEnd(tasks, index) {
+  const d = depths(tasks);
+  let j = index + 1;
+  while (j < tasks.length && d[j] > d[index]) j++;
+  return j;
+}
+
+export function hasChildren(tasks, index) {
+  const next = tasks[index + 1];
+  return Boolean(next && next.parentId != null && key(next.parentId) === key(tasks[index].id));
+}
+
+// Done/total over all descendants, for the roll-up shown on parent lines.
+export function progress(tasks, index) {
+  const end = subtreeEnd(tasks, index);
+  let done = 0;
+  for (let j = index + 1; j < end; j++) if (tasks[j].done) done++;
+  return {done, total: end - index - 1};
+}
+
+// The rows the list shows: every task except descendants of collapsed ones.
+// `collapsed` is a Set of task ids (as strings).
+export function visibleRows(tasks, collapsed = new Set()) {
+  const d = depths(tasks);
+  const rows = [];
+  for (let i = 0; i < tasks.length; i++) {
+    const parent = hasChildren(tasks, i);
+    rows.push({task: tasks[i], index: i, depth: d[i], hasChildren: parent, collapsed: parent && collapsed.has(key(tasks[i].id))});
+    if (parent && collapsed.has(key(tasks[i].id))) {
+      let j = i + 1;
+      while (j < tasks.length && d[j] > d[i]) j++;
+      i = j - 1;
+    }
+  }
+  return rows;
+}
+
+// Rows for a filtered view: tasks passing `match`, plus their ancestors as
+// `context` rows so a match is never shown without its parent. Folding is
+// ignored so matches inside collapsed parents still appear.
+export function matchingRows(tasks, match) {
+  const d = depths(tasks);
+  const byId = new Map(tasks.map((t, i) => [key(t.id), i]));
+  const keep = new Map(); // index -> is a match
+  tasks.forEach((t, i) => {
+    if (!match(t)) return;
+    keep.set(i, true);
+    for (let p = t.parentId; p != null && byId.has(key(p)); p = tasks[byId.get(key(p))].parentId) {
+      const pi = byId.get(key(p));
+      if (!keep.has(pi)) keep.set(pi, false);
+    }
+  });
+  return tasks
+    .map((task, index) => ({task, index, depth: d[index], hasChildren: hasChildren(tasks, index), collapsed: false, context: keep.get(index) === false}))
+    .filter(r => keep.has(r.index));
+}
+
+function previousSibling(tasks, index) {
+  const d = depths(tasks);
+  for (let j = index - 1; j >= 0; j--) {
+    if (d[j] === d[index]) return j;
+    if (d[j] < d[index]) return -1;
+  }
+  return -1;
+}
+
+// Make tasks[index] (with its subtree) the last child of its previous
+// sibling. Returns the same array when there is no sibling to nest under.
+export function indentTask(tasks, index) {
+  const sib = previousSibling(tasks, index);
+  if (sib < 0) return tasks;
+  return tasks.map((t, i) => (i === index ? {...t, parentId: tasks[sib].id} : t));
+}
+
+// Move tasks[index] (with its subtree) up one level, placing it right after
+// its former parent's subtree so later siblings stay where they are.
+export function outdentTask(tasks, index) {
+  const task = tasks[index];
+  if (task.parentId == null) return tasks;
+  const parentIndex = tasks.findIndex(t => key(t.id) === key(task.parentId));
+  if (parentIndex < 0) return tasks;
+  const end = subtreeEnd(tasks, index);
+  const block = tasks.slice(index, end);
+  block[0] = {...task, parentId: tasks[parentIndex].parentId ?? null};
+  const rest = tasks.slice(0, index).concat(tasks.slice(end));
+  const at = subtreeEnd(rest, parentIndex);
+  return rest.slice(0, at).concat(block, rest.slice(at));
+}
+
+function siblingIndexes(tasks, index) {
+  const parent = tasks[index].parentId == null ? null : key(tasks[index].parentId);
+  const out = [];
+  tasks.forEach((t, i) => {
+    if ((t.parentId == null ? null : key(t.parentId)) === parent) out.push(i);
+  });
+  return out;
+}
+
+// Move tasks[index] with its subtree among its siblings: 'up', 'down', 'top'
+// or 'bottom'. Returns the same array when it is already there.
+export function moveTask(tasks, index, where) {
+  const sibs = siblingIndexes(tasks, index);
+  const pos = sibs.indexOf(index);
+  const target = {up: pos - 1, down: pos + 1, top: 0, bottom: sibs.length - 1}[where];
+  if (target == null || target < 0 || target >= sibs.length || target === pos) return tasks;
+  const anchorId = tasks[sibs[target]].id;
+  const block = tasks.slice(index, subtreeEnd(tasks, index));
+  const rest = tasks.slice(0, index).concat(tasks.slice(index + block.length));
+  const anchor = rest.findIndex(t => t.id === anchorId);
+  const at = target < pos ? anchor : subtreeEnd(rest, anchor);
+  return rest.slice(0, at).concat(block, rest.slice(at));
+}
+
+// Move several tasks at once, each among its own siblings. Selected
+// siblings move as a group: one stuck at the top or bottom holds back the
+// ones behind it, so the group keeps its order.
+export function moveTasks(tasks, ids, where) {
+  const chosen = new Set(ids.map(key));
+  const order = tasks.filter(t => chosen.has(key(t.id))).map(t => t.id);
+  if (where === 'down' || where === 'top') order.reverse();
+  let next = tasks;
+  for (const id of order) {
+    const index = next.findIndex(t => key(t.id) === key(id));
+    if (where === 'up' || where === 'down') {
+      const sibs = siblingIndexes(next, index);
+      const neighbour = next[sibs[sibs.indexOf(index) + (where === 'up' ? -1 : 1)]];
+      if (neighbour && chosen.has(key(neighbour.id))) continue;
+    }
+    next = moveTask(next, index, where);
+  }
+  return next;
+}
+
+// Display order for a sort: indexes into `tasks`, siblings ordered by
+// `compare` (stable, so ties keep their manual order) and every task still
+// followed by its own subtree.
+export function sortedOrder(tasks, compare) {
+  const children = new Map();
+  tasks.forEach((t, i) => {
+    const p = t.parentId == null ? null : key(t.parentId);
+    if (!children.has(p)) children.set(p, []);
+    children.get(p).push(i);
+  });
+  const out = [];
+  const visit = p => {
+    const list = (children.get(p) || []).slice().sort((a, b) => compare(tasks[a], tasks[b]));
+    for (const i of list) {
+      out.push(i);
+      visit(key(tasks[i].id));
+    }
+  };
+  visit(null);
+  return out;
+}
+
+// Remove tasks[index] together with its subtree.
+export function removeTask(tasks, index) {
+  return tasks.slice(0, index).concat(tasks.slice(subtreeEnd(tasks, index)));
+}
+
+// Split off the tasks with the given ids, each with its subtree. Returns
+// {taken, rest}; a taken task whose parent stays behind becomes top level.
+export function takeTasks(tasks, ids) {
+  const chosen = new Set(ids.map(key));
+  const d = depths(tasks);
+  const taken = [];
+  const rest = [];
+  let within = -1; // depth of the taken task whose subtree we are in
+  tasks.forEach((t, i) => {
+    if (within >= 0 && d[i] > within) {
+      taken.push(t);
+      return;
+    }
+    within = -1;
+    if (chosen.has(key(t.id))) {
+      taken.push(t.parentId == null ? t : {...t, parentId: null});
+      within = d[i];
+    } else {
+      rest.push(t);
+    }
+  });
+  return {taken, rest};
+}
+
+// Insert a new task next to tasks[index], at its level: right before it, or
+// after its subtree. Returns the new list.
+export function insertSibling(tasks, index, task, before = false) {
+  const at = before ? index : subtreeEnd(tasks, index);
+  return tasks.slice(0, at).concat([{...task, parentId: tasks[index].parentId ?? null}], tasks.slice(at));
+}
+
+// Insert a new task as the last child of parentIndex, or at the end of the
+// list when parentIndex is null. Returns [nextTasks, insertedIndex].
+export function insertChild(tasks, parentIndex, task) {
+  if (parentIndex == null) return [tasks.concat([{...task, parentId: null}]), tasks.length];
+  const at = subtreeEnd(tasks, parentIndex);
+  const child = {...task, parentId: tasks[parentIndex].id};
+  return [tasks.slice(0, at).concat([child], tasks.slice(at)), at];
+}
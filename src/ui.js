@@ -1,8 +1,40 @@
 import React, {useState, useMemo} from 'react';
-import {Box, Text, useInput, useStdin, useStdout, useApp} from 'ink';
+import {render, Box, Text, useInput, useStdin, useStdout, useApp} from 'ink';
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import {saveTasks, loadTasks, DEFAULT_FILE, GLOBAL_FILE, fileExists} from './persist.js';
+import {saveTasks, loadTasks, appendTasks, StorageError, defaultStorage, storageFile, storageLabel, scanRoot, knownStorages, isListName, currentBranch, gitHeadFile} from './persist.js';
+import {TaskStore} from './store.js';
+import {createTask, editTask, editableText, parseInput, setNotes} from './tasks.js';
+import {describeRecur} from './recur.js';
+import {isRunning, runningTask, trackedMs, parseSince, timeReport, formatClock} from './timer.js';
+import {loadStates, stateIndex, middleState} from './workflow.js';
+import {visibleRows, matchingRows, progress, indentTask, outdentTask, removeTask, takeTasks, moveTask, moveTasks, sortedOrder, insertSibling} from './tree.js';
+import {tokenize, collectTerms, matchesTerms, addTerm, removeTerm} from './tokens.js';
+import {fuzzyMatch} from './fuzzy.js';
+import {SORT_MODES, SORT_LABELS, sortComparator, nextSortMode} from './sort.js';
+import {formatDue, dueStatus, agendaGroup, AGENDA_GROUPS, toISODate, fromISODate} from './dates.js';
+import {DAY_MS, archiveDone, archiveEntries} from './archive.js';
+import {completionStats, formatDuration} from './stats.js';
+import {describeEntry} from './journal.js';
+import {FORMATS, FORMAT_LABELS, FORMAT_EXTENSIONS, detectFormat, exportTasks, importTasks} from './formats.js';
+import {ACTIONS, SECTIONS, loadKeymap, keysFor, keyMatcher} from './keymap.js';
+import {editText, editFileAt, editorCommand} from './editor.js';
+import {scanTreeInBackground, applyScan, sourcePath, formatSource} from './scan.js';
+import {createDecoder, inkKeyEvents, prevBoundary, nextBoundary, wordLeft, wordRight, ruboutStart, lineBounds, moveVertical, inputWindow} from './lineedit.js';
+
+// Periods of the time report (see parseSince)
+const REPORT_PERIODS = [
+  {since: 'today', label: 'Today'},
+  {since: 'week', label: 'This week'},
+  {since: 'month', label: 'This month'},
+  {since: 'all', label: 'All time'}
+];
+
+const DUE_COLORS = {overdue: 'red', today: 'yellow'};
+const AGENDA_COLORS = {Overdue: 'red', Today: 'yellow', 'This week': 'cyan', Later: 'gray'};
+const TOKEN_COLORS = {tag: 'magenta', context: 'cyan', project: 'blue'};
+const PRIORITY_COLORS = {1: 'red', 2: 'yellow', 3: 'blue'};
 
 const RAW_SUPPORTED = Boolean(process.stdin && typeof process.stdin.setRawMode === 'function');
 
@@ -17,109 +49,160 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
-function deleteLastWord(text) {
-  if (!text) return text;
-  // Trim trailing spaces, remove last word, then trailing spaces again
-  let s = text.replace(/\s+$/, '');
-  s = s.replace(/\S+$/, '');
-  s = s.replace(/\s+$/, '');
-  return s;
+function countTasks(n) {
+  return n + (n === 1 ? ' task' : ' tasks');
 }
 
-function useTextInput({initial = '', onSubmit, onCancel, active = true}) {
+const TERM = /^[#@+][\p{L}\p{N}_][\p{L}\p{N}_\-/.]*$/u;
+
+// Killed text (Ctrl+U, Ctrl+K, Ctrl+W, Alt+D), shared by all inputs like
+// readline's kill ring; Ctrl+Y yanks it back
+let killBuffer = '';
+
+// Submitted lines per input, for Up/Down; kept for the session
+const inputHistory = new Map();
+const HISTORY_LIMIT = 100;
+
+// Readline-style text input on the raw key stream (see lineedit.js):
+//   ←/→ Ctrl+B/F         character (grapheme)
+//   Ctrl+←/→ Alt+B/F     word
+//   Home/End Ctrl+A/E    start / end of the line
+//   Backspace, Delete/Ctrl+D, Ctrl+W, Alt+Backspace, Alt+D
+//   Ctrl+U/K             kill to the start / end, Ctrl+Y yank
+//   ↑/↓                  earlier / later entries of the input's `history`
+// A `multiline` input takes Enter as a newline, moves between lines with
+// ↑/↓ and submits with Ctrl+S. Pasted lines go to `onPasteLines` when given
+// (one task per line when adding), otherwise they are joined with spaces.
+//
+// The raw chunks Ink reads from stdin come from useStdin's
+// `internal_eventEmitter`, which is not public API; useInput only hands
+// them over parsed into keys. Where an Ink release no longer has the
+// emitter, the input falls back to useInput (see inkKeyEvents), without
+// Home/End and bracketed paste. It asks for raw mode through useStdin's
+// setRawMode, as useInput does, so Ink keeps count, and turns on the
+// terminal's bracketed paste itself (Ink has no option for it) only while
+// the input is active.
+function useTextInput({initial = '', onSubmit, onCancel, onPasteLines, active = true, multiline = false, history = null}) {
+  const {internal_eventEmitter, setRawMode} = useStdin();
+  const emitter = internal_eventEmitter && typeof internal_eventEmitter.on === 'function' ? internal_eventEmitter : null;
   const [value, setValue] = useState(initial);
   const [cursor, setCursor] = useState(initial.length);
-  useInputCompat((input, key) => {
-    if (key.escape) {
-      onCancel?.();
-      return;
-    }
-    // Word navigation
-    if (key.ctrl && key.leftArrow) {
-      setCursor(pos => {
-        let i = Math.max(0, pos - 1);
-        const s = value;
-        while (i > 0 && /\s/.test(s[i])) i--;
-        while (i > 0 && /\S/.test(s[i - 1])) i--;
-        return i;
-      });
-      return;
-    }
-    if (key.ctrl && key.rightArrow) {
-      setCursor(pos => {
-        let i = Math.min(value.length, pos + 1);
-        const s = value;
-        while (i < s.length && /\s/.test(s[i])) i++;
-        while (i < s.length && /\S/.test(s[i])) i++;
-        return i;
-      });
-      return;
-    }
-    // Single-char navigation
-    if (key.leftArrow) {
-      setCursor(pos => Math.max(0, pos - 1));
-      return;
-    }
-    if (key.rightArrow) {
-      setCursor(pos => Math.min(value.length, pos + 1));
-      return;
-    }
-    if (key.ctrl && (input === 'w' || input === 'W')) {
-      setValue(v => {
-        const before = v.slice(0, cursor);
-        const after = v.slice(cursor);
-        const trimmed = deleteLastWord(before);
-        setCursor(trimmed.length);
-        return trimmed + after;
-      });
-      return;
-    }
-    if (key.return) {
-      onSubmit?.(value.trim());
-      return;
-    }
-    // Backspace (handle both BS and DEL codes)
-    if (key.backspace || input === '\\u0008' || input === '\\u007f') {
-      if (cursor === 0) return;
-      setValue(v => {
-        const before = v.slice(0, cursor - 1);
-        const after = v.slice(cursor);
-        setCursor(cursor - 1);
-        return before + after;
-      });
-      return;
-    }
-    // Delete
-    if (key.delete) {
-      setValue(v => {
-        if (cursor >= v.length) return v;
-        const before = v.slice(0, cursor);
-        const after = v.slice(cursor + 1);
-        return before + after;
-      });
-      return;
-    }
-    if (key.ctrl && input === 'c') {
-      // Allow Ctrl+C to bubble to Ink to exit
-      return;
-    }
-    // Only insert printable characters
-    if (input && !key.ctrl && input >= ' ' && input !== '\\u007f') {
-      setValue(v => {
-        const before = v.slice(0, cursor);
-        const after = v.slice(cursor);
-        setCursor(cursor + input.length);
-        return before + input + after;
-      });
+  const recall = React.useRef(null); // {index, draft} while browsing history
+  const handler = React.useRef(null);
+  handler.current = events => {
+    let v = value;
+    let c = Math.min(cursor, v.length);
+    const commit = () => {
+      setValue(v);
+      setCursor(c);
+    };
+    const insert = text => {
+      v = v.slice(0, c) + text + v.slice(c);
+      c += text.length;
+    };
+    const kill = (from, to) => {
+      if (from === to) return;
+      killBuffer = v.slice(from, to);
+      v = v.slice(0, from) + v.slice(to);
+      c = from;
+    };
+    const line = () => (multiline ? lineBounds(v, c) : {start: 0, end: v.length});
+    for (const ev of events) {
+      if (ev.text != null) {
+        insert(ev.text);
+        continue;
+      }
+      if (ev.paste != null) {
+        const lines = ev.paste.split(/\r\n?|\n/);
+        if (multiline) insert(lines.join('\n'));
+        else if (lines.length > 1 && onPasteLines) {
+          const joined = (v.slice(0, c) + lines.join('\n') + v.slice(c)).split('\n');
+          commit();
+          onPasteLines(joined.map(l => l.trim()).filter(Boolean));
+          return;
+        } else insert(lines.join(' '));
+        continue;
+      }
+      const {name, ctrl, meta} = ev;
+      if (name === 'escape') {
+        recall.current = null;
+        commit();
+        onCancel?.();
+        return;
+      }
+      if (ctrl && name === 'c') continue; // left to the global handler
+      if (name === 'enter' && multiline && !meta) insert('\n');
+      else if (name === 'enter' || (multiline && ctrl && name === 's')) {
+        const text = multiline ? v.replace(/\s+$/, '') : v.trim();
+        if (history && text) {
+          const past = (inputHistory.get(history) || []).filter(h => h !== text);
+          inputHistory.set(history, past.concat([text]).slice(-HISTORY_LIMIT));
+        }
+        recall.current = null;
+        commit();
+        onSubmit?.(text);
+        return;
+      } else if ((name === 'left' && (ctrl || meta)) || (meta && name === 'b')) c = wordLeft(v, c);
+      else if ((name === 'right' && (ctrl || meta)) || (meta && name === 'f')) c = wordRight(v, c);
+      else if (name === 'left' || (ctrl && name === 'b')) c = prevBoundary(v, c);
+      else if (name === 'right' || (ctrl && name === 'f')) c = nextBoundary(v, c);
+      else if (name === 'home' || (ctrl && name === 'a')) c = line().start;
+      else if (name === 'end' || (ctrl && name === 'e')) c = line().end;
+      else if ((name === 'up' || name === 'down') && multiline) {
+        const to = moveVertical(v, c, name === 'up' ? -1 : 1);
+        if (to != null) c = to;
+      } else if ((name === 'up' || name === 'down') && history) {
+        const past = inputHistory.get(history) || [];
+        const at = recall.current ? recall.current.index : past.length;
+        const next = clamp(at + (name === 'up' ? -1 : 1), 0, past.length);
+        if (next === at) continue;
+        if (!recall.current) recall.current = {index: at, draft: v};
+        v = next === past.length ? recall.current.draft : past[next];
+        c = v.length;
+        recall.current = next === past.length ? null : {...recall.current, index: next};
+      } else if (name === 'backspace' && meta) kill(wordLeft(v, c), c);
+      else if (name === 'backspace') {
+        const from = prevBoundary(v, c);
+        v = v.slice(0, from) + v.slice(c);
+        c = from;
+      } else if (name === 'delete' || (ctrl && name === 'd')) v = v.slice(0, c) + v.slice(nextBoundary(v, c));
+      else if (meta && name === 'd') kill(c, wordRight(v, c));
+      else if (ctrl && name === 'w') kill(ruboutStart(v, c), c);
+      else if (ctrl && name === 'u') kill(line().start, c);
+      else if (ctrl && name === 'k') {
+        // At the end of a line in a multi-line input, join the next one
+        const end = line().end;
+        kill(c, end === c && end < v.length ? end + 1 : end);
+      } else if (ctrl && name === 'y') insert(killBuffer);
     }
-  }, {isActive: active});
+    commit();
+  };
+  const decoder = React.useRef(null);
+  if (!decoder.current) decoder.current = createDecoder();
+
+  React.useEffect(() => {
+    if (!active || !RAW_SUPPORTED || !emitter) return undefined;
+    setRawMode(true);
+    // Bracketed paste only while typing, so a paste arrives as one piece
+    process.stdout.write('\x1b[?2004h');
+    const listener = chunk => handler.current(decoder.current(chunk));
+    emitter.on('input', listener);
+    return () => {
+      emitter.removeListener('input', listener);
+      process.stdout.write('\x1b[?2004l');
+      setRawMode(false);
+    };
+  }, [active, emitter, setRawMode]);
+  useInputCompat((input, key) => handler.current(inkKeyEvents(input, key)), {isActive: active && !emitter});
   return [value, setValue, cursor, setCursor];
 }
 
-const Instructions = ({displayPath}) => (
+const Instructions = ({label, displayPath, keymap}) => (
   React.createElement(Box, {marginTop: 1, flexDirection: 'column'},
-    React.createElement(Text, {dimColor: true}, 'h/? Help   o Settings   q Quit'),
-    React.createElement(Text, {dimColor: true}, '> ' + displayPath)
+    React.createElement(Text, {dimColor: true}, [['help', 'Help'], ['settings', 'Settings'], ['quit', 'Quit']]
+      .filter(([id]) => keysFor(keymap, id).length)
+      .map(([id, label]) => keysFor(keymap, id).join('/') + ' ' + label).join('   ')),
+    React.createElement(Text, {dimColor: true}, '> ' + label + ' (' + displayPath + ')')
   )
 );
 
@@ -140,91 +223,570 @@ function formatDisplayPath(filePath) {
   return filePath;
 }
 
-function TaskLine({task, selected}) {
+// The sort mode remembered in a storage file's top-level `sort` key
+function savedSort(extra) {
+  return SORT_MODES.includes(extra && extra.sort) ? extra.sort : 'manual';
+}
+
+// Days after which done tasks are archived automatically (`archiveAfterDays`)
+const ARCHIVE_AFTER = [null, 1, 7, 14, 30];
+
+function savedArchiveAfter(extra) {
+  return ARCHIVE_AFTER.includes(extra && extra.archiveAfterDays) ? extra.archiveAfterDays : null;
+}
+
+// Keymap actions that reorder tasks, and where to
+const MOVES = {moveUp: 'up', moveDown: 'down', moveTop: 'top', moveBottom: 'bottom'};
+
+const HIGHLIGHT = {backgroundColor: 'yellow', color: 'black'};
+
+// Task text with priority, #tags, @contexts and +projects coloured, and the
+// characters at `highlight` (search hits) marked
+function TaskText({task, highlight, ...props}) {
+  const marks = new Set(highlight || []);
+  const runs = task.done ? [{text: task.text, kind: null}] : tokenize(task.text);
+  const children = [];
+  let offset = 0;
+  runs.forEach((run, i) => {
+    const style = run.kind == null ? null : {bold: run.kind === 'priority', color: run.kind === 'priority' ? PRIORITY_COLORS[task.priority] : TOKEN_COLORS[run.kind]};
+    // Split the run wherever highlighting starts or stops
+    let from = 0;
+    for (let j = 1; j <= run.text.length; j++) {
+      if (j < run.text.length && marks.has(offset + j) === marks.has(offset + from)) continue;
+      const piece = run.text.slice(from, j);
+      const hit = marks.has(offset + from);
+      children.push(hit || style
+        ? React.createElement(Text, {key: i + ':' + from, ...style, ...(hit ? HIGHLIGHT : null)}, piece)
+        : piece);
+      from = j;
+    }
+    offset += run.text.length;
+  });
+  return React.createElement(Text, props, ...children);
+}
+
+// `state` is the task's workflow state when it is between the first and
+// the last (see workflow.js)
+function TaskLine({row, selected, marked, rollup, highlight, state}) {
+  const {task} = row;
   const prefix = selected ? '>' : ' ';
-  const checkbox = task.done ? '[x]' : '[ ]';
-  const color = task.done ? 'green' : 'white';
-  const textProps = task.done ? {strikethrough: true, dimColor: true} : {};
+  const indent = '  '.repeat(row.depth);
+  const twisty = row.hasChildren ? (row.collapsed ? '▸ ' : '▾ ') : '  ';
+  const checkbox = task.done ? '[x]' : state ? '[~]' : '[ ]';
+  const color = task.done ? 'green' : state ? 'yellow' : 'white';
+  const textProps = task.done ? {strikethrough: true, dimColor: true} : row.context ? {dimColor: true} : {};
   return React.createElement(Box, {},
-    React.createElement(Text, {color: 'cyan'}, prefix + ' '),
+    React.createElement(Text, {color: 'cyan'}, prefix),
+    React.createElement(Text, {color: 'magenta'}, (marked ? '*' : ' ') + indent),
+    React.createElement(Text, {dimColor: true}, twisty),
     React.createElement(Text, {color}, checkbox + ' '),
-    React.createElement(Text, textProps, task.text)
+    React.createElement(TaskText, {task, highlight, ...textProps}),
+    state && React.createElement(Text, {color: 'yellow'}, '  ' + state),
+    rollup && React.createElement(Text, {color: rollup.done === rollup.total ? 'green' : 'yellow'}, '  ' + rollup.done + '/' + rollup.total),
+    task.due && React.createElement(DueLabel, {task}),
+    task.recur && React.createElement(Text, {color: 'cyan', dimColor: task.done}, '  ↻ ' + describeRecur(task.recur)),
+    task.notes && React.createElement(Text, {dimColor: true}, '  ✎'),
+    task.time && task.time.length > 0 && React.createElement(TrackedLabel, {task}),
+    task.source && React.createElement(Text, {color: task.source.stale ? 'yellow' : undefined, dimColor: !task.source.stale}, '  ' + formatSource(task.source) + (task.source.stale ? ' (stale)' : ''))
+  );
+}
+
+// Time tracked on the task, in yellow while its timer runs
+function TrackedLabel({task}) {
+  const running = isRunning(task);
+  return React.createElement(Text, {color: running ? 'yellow' : undefined, dimColor: !running}, '  ⏱ ' + formatDuration(trackedMs(task)));
+}
+
+function DueLabel({task}) {
+  const color = task.done ? undefined : DUE_COLORS[dueStatus(task.due)];
+  return React.createElement(Text, {color, dimColor: !color}, '  ⏰ ' + formatDue(task.due));
+}
+
+const LINK = /\bhttps?:\/\/[^\s<>]+[^\s<>.,;:!?)'"]/g;
+
+// Note text with links underlined
+function NoteText({text, ...props}) {
+  const children = [];
+  let at = 0;
+  for (const m of text.matchAll(LINK)) {
+    if (m.index > at) children.push(text.slice(at, m.index));
+    children.push(React.createElement(Text, {key: m.index, color: 'blue', underline: true}, m[0]));
+    at = m.index + m[0].length;
+  }
+  if (at < text.length || !children.length) children.push(text.slice(at) || ' ');
+  return React.createElement(Text, props, ...children);
+}
+
+const CHECKLIST_ITEM = /^(\s*)[-*+] \[([ xX])\] ?(.*)$/;
+
+function NoteLine({line}) {
+  const item = CHECKLIST_ITEM.exec(line);
+  if (!item) return React.createElement(NoteText, {text: line});
+  const done = item[2] !== ' ';
+  return React.createElement(Box, null,
+    React.createElement(Text, {color: done ? 'green' : undefined}, item[1] + (done ? '[x] ' : '[ ] ')),
+    React.createElement(NoteText, {text: item[3], dimColor: done, strikethrough: done})
+  );
+}
+
+// Terminal width from which the detail pane sits beside the list rather
+// than below it
+const DETAIL_BESIDE_COLUMNS = 100;
+// Rows the pane takes below the list
+const DETAIL_BELOW_ROWS = 8;
+
+// The selected task in full: its fields and notes, cut to `height` lines
+function DetailPane({task, tasks, index, height, width, hint, state}) {
+  const date = ms => toISODate(new Date(ms));
+  const rollup = progress(tasks, index);
+  const meta = [
+    state,
+    task.due && 'Due ' + formatDue(task.due),
+    task.recur && '↻ ' + describeRecur(task.recur),
+    task.priority && 'Priority ' + task.priority,
+    rollup.total > 0 && 'Subtasks ' + rollup.done + '/' + rollup.total,
+    task.time && task.time.length > 0 && 'Tracked ' + formatDuration(trackedMs(task)) + (isRunning(task) ? ' (running)' : ''),
+    task.source && formatSource(task.source) + (task.source.stale ? ' (comment gone)' : ''),
+    task.createdAt && 'Created ' + date(task.createdAt),
+    task.done && task.completedAt && 'Done ' + date(task.completedAt)
+  ].filter(Boolean);
+  const lines = task.notes ? task.notes.split('\n') : [];
+  // Title, meta line, gap and the border take five rows
+  const room = Math.max(1, height - 5 - (lines.length ? 0 : 1));
+  const shown = lines.length > room ? lines.slice(0, room - 1) : lines;
+  return React.createElement(Box, {flexDirection: 'column', borderStyle: 'round', borderColor: 'gray', paddingX: 1, width, flexShrink: 0},
+    React.createElement(TaskText, {task, bold: true}),
+    meta.length > 0 && React.createElement(Text, {dimColor: true}, meta.join(' · ')),
+    React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+      lines.length === 0
+        ? React.createElement(Text, {dimColor: true}, 'No notes. ' + hint)
+        : shown.map((line, i) => React.createElement(NoteLine, {key: i, line})),
+      shown.length < lines.length && React.createElement(Text, {dimColor: true}, '… ' + (lines.length - shown.length) + ' more lines')
+    )
+  );
+}
+
+// A one-line input's text with the cursor, scrolled sideways to keep the
+// cursor in `width` columns
+function InputLine({value, cursor, width = 80}) {
+  const view = inputWindow(value, cursor, width);
+  return React.createElement(Box, null,
+    React.createElement(Text, null, (view.left ? '…' : '') + view.before),
+    React.createElement(Text, {inverse: true}, view.at),
+    React.createElement(Text, null, view.after + (view.right ? '…' : ''))
   );
 }
 
-export function App({initialTasks = []}) {
+// A multi-line input's text with the cursor, showing the `height` lines
+// around it
+function TextArea({value, cursor, height, width}) {
+  const lines = value.split('\n');
+  const row = value.slice(0, cursor).split('\n').length - 1;
+  const line = lineBounds(value, cursor);
+  const top = clamp(row - Math.floor(height / 2), 0, Math.max(0, lines.length - height));
+  return React.createElement(Box, {flexDirection: 'column'},
+    top > 0 && React.createElement(Text, {dimColor: true}, '… ' + top + ' more above'),
+    ...lines.slice(top, top + height).map((text, i) => (
+      top + i !== row
+        ? React.createElement(Text, {key: i, wrap: 'truncate'}, text || ' ')
+        : React.createElement(InputLine, {key: i, value: text, cursor: cursor - line.start, width})
+    )),
+    lines.length > top + height && React.createElement(Text, {dimColor: true}, '… ' + (lines.length - top - height) + ' more below')
+  );
+}
+
+export function App() {
   const {isRawModeSupported} = useStdin();
   const {stdout} = useStdout();
   const {exit} = useApp();
 
-  const [storage, setStorage] = useState(() => {
-    if (fileExists(DEFAULT_FILE)) return 'project';
-    if (fileExists(GLOBAL_FILE)) return 'global';
-    return 'project';
-  });
-
-  const [tasks, setTasks] = useState(() => {
-    const path = (fileExists(DEFAULT_FILE) || !fileExists(GLOBAL_FILE)) ? DEFAULT_FILE : GLOBAL_FILE;
-    const loaded = loadTasks(path);
-    return loaded && loaded.length ? loaded : (initialTasks || []);
-  });
+  const [storage, setStorage] = useState(defaultStorage);
+  const [keymap] = useState(loadKeymap);
+  const [workflow] = useState(loadStates); // {states, problem}
+  const {states} = workflow;
+  const globalKeys = useMemo(() => keyMatcher(keymap, ['global']), [keymap]);
+  const listKeys = useMemo(() => keyMatcher(keymap, ['nav', 'list']), [keymap]);
+  const settingsKeys = useMemo(() => keyMatcher(keymap, ['nav']), [keymap]);
+  const boardKeys = useMemo(() => keyMatcher(keymap, ['board']), [keymap]);
+  // First key of an action, for hints ("Press a to add one")
+  const keyHint = id => keysFor(keymap, id)[0] || '(unbound)';
 
-  const [history, setHistory] = useState([]); // stack of past states
-  const [future, setFuture] = useState([]);   // stack of redo states
+  // The open list (see store.js). Screens render from it and change it
+  // through it; each change it reports bumps `revision` to re-render.
+  const [store, setStore] = useState(() => new TaskStore(storageFile(defaultStorage())));
+  const [, setRevision] = useState(0);
+  const {tasks, archive, history, future, readOnly, loadError} = store;
   const [selected, setSelected] = useState(0);
-  const [mode, setMode] = useState('list'); // 'list' | 'add' | 'edit' | 'help' | 'settings'
+  const [mode, setMode] = useState(store.loadError ? 'recover' : 'list'); // 'list' | 'add' | 'edit' | 'help' | 'settings' | 'recover'
   const [editingIndex, setEditingIndex] = useState(null);
+  const [addAt, setAddAt] = useState(null); // {id, before} to add next to a task instead of at the end
+  const [detailsPref, setDetailsPref] = useState(null); // detail pane shown or hidden; null: shown on wide terminals
+  const [notesId, setNotesId] = useState(null); // task whose notes are open in the notes editor
+  const columns = stdout && stdout.columns ? stdout.columns : 80;
+  const showDetails = detailsPref ?? columns >= DETAIL_BESIDE_COLUMNS;
   const [notice, setNotice] = useState(null); // {text, color}
   const [exitArmedAt, setExitArmedAt] = useState(null); // timestamp for double Ctrl+C
   const [settingsIndex, setSettingsIndex] = useState(0); // selection in settings
   const [scrollOffset, setScrollOffset] = useState(0);
+  const [recoverIndex, setRecoverIndex] = useState(0); // selection in recovery prompt
+  const [conflict, setConflict] = useState(null); // the store's conflict with a choice per task, awaiting resolution
+  const [conflictIndex, setConflictIndex] = useState(0);
 
-  const selectedSafe = useMemo(() => clamp(selected, 0, Math.max(tasks.length - 1, 0)), [selected, tasks.length]);
+  const [collapsed, setCollapsed] = useState(() => new Set()); // ids (as strings) of folded parents
+  const [agendaIndex, setAgendaIndex] = useState(0); // selection in agenda
+  const [filterTerms, setFilterTerms] = useState([]); // applied filter, e.g. ['#backend', '!1']
+  const sortMode = savedSort(store.extra); // one of SORT_MODES, saved per storage file
+  const [filterDraft, setFilterDraft] = useState([]); // terms ticked in filter mode
+  const [filterIndex, setFilterIndex] = useState(0);
+  const [searchQuery, setSearchQuery] = useState(''); // last accepted search, for n/N and highlights
+  const [searchOrigin, setSearchOrigin] = useState(null); // task id selected when "/" was pressed
+  const [marked, setMarked] = useState(() => new Set()); // ids (as strings) picked with "m"
+  const [visualFrom, setVisualFrom] = useState(null); // task id where the visual range ("V") starts
+  const [transferIndex, setTransferIndex] = useState(0); // selection in import/export
+  const archiveAfter = savedArchiveAfter(store.extra); // days, or null for manual only
+  const [archiveIndex, setArchiveIndex] = useState(0); // selection in archive mode
+  const [historyIndex, setHistoryIndex] = useState(0); // selection in history mode
+  const [listOptions, setListOptions] = useState([]); // {storage, count} rows of the list picker
+  const [listsIndex, setListsIndex] = useState(0);
+  const [listsPurpose, setListsPurpose] = useState('open'); // 'open' | 'move' | 'copy'
+  const [reportPeriod, setReportPeriod] = useState(1); // index into REPORT_PERIODS
+  const [boardCursor, setBoardCursor] = useState({column: 0, row: 0}); // selection on the board
 
-  const currentFile = storage === 'global' ? GLOBAL_FILE : DEFAULT_FILE;
+  // Search input ("/"): typing narrows the list to fuzzy matches
+  const [searchValue, setSearchValue, searchCursor, setSearchCursor] = useTextInput({
+    initial: '',
+    active: isRawModeSupported && mode === 'search',
+    onSubmit: query => {
+      if (mode !== 'search') return;
+      leaveSearch(query);
+    },
+    onCancel: () => {
+      if (mode === 'search') leaveSearch('');
+    }
+  });
+  const liveQuery = mode === 'search' ? searchValue.trim() : '';
+  const highlightQuery = mode === 'search' ? liveQuery : searchQuery;
 
-  function applyChange(nextTasks) {
-    setHistory(h => (h.length > 300 ? h.slice(-300) : h).concat([tasks]));
-    setFuture([]);
-    setTasks(nextTasks);
-    saveTasks(nextTasks, currentFile);
+  // Rows on screen: tasks minus the descendants of collapsed parents, or,
+  // with a filter or a search being typed, the matching tasks and their
+  // ancestors. `selected` indexes rows; each row carries the task's index.
+  // A sort other than manual reorders siblings for display only; rows still
+  // carry indexes into the stored list. `view` overrides the current
+  // collapsed/terms/query/sort, for rows that are about to be on screen.
+  function rowsFor(nextTasks, view = {}) {
+    const {collapsed: folded = collapsed, terms = filterTerms, query = liveQuery, sort = sortMode} = view;
+    const compare = sortComparator(sort);
+    const order = compare ? sortedOrder(nextTasks, compare) : null;
+    const shown = order ? order.map(i => nextTasks[i]) : nextTasks;
+    const list = !terms.length && !query
+      ? visibleRows(shown, folded)
+      : matchingRows(shown, t => matchesTerms(t, terms) && (!query || fuzzyMatch(query, t.text)));
+    return order ? list.map(r => ({...r, index: order[r.index]})) : list;
+  }
+  const rows = useMemo(() => rowsFor(tasks), [tasks, collapsed, filterTerms, liveQuery, sortMode]);
+  const selectedSafe = useMemo(() => clamp(selected, 0, Math.max(rows.length - 1, 0)), [selected, rows.length]);
+
+  // Tasks a bulk action applies to: the marked ones plus, in visual mode,
+  // every row between the anchor and the cursor. Ids in list order.
+  const picked = useMemo(() => {
+    const ids = new Set(marked);
+    const from = visualFrom == null ? -1 : rows.findIndex(r => r.task.id === visualFrom);
+    if (from >= 0) {
+      for (let i = Math.min(from, selectedSafe); i <= Math.max(from, selectedSafe); i++) {
+        if (!rows[i].context) ids.add(String(rows[i].task.id));
+      }
+    }
+    return tasks.filter(t => ids.has(String(t.id))).map(t => t.id);
+  }, [marked, visualFrom, rows, selectedSafe, tasks]);
+
+  // Leave visual mode; the range stays picked unless `keep` is false
+  function settlePicked(keep = true) {
+    setMarked(new Set(keep ? picked.map(String) : []));
+    setVisualFrom(null);
+  }
+
+  // Point the selection at a task by id once `nextTasks` is on screen
+  function selectTask(nextTasks, id, view = {}) {
+    const at = rowsFor(nextTasks, view).findIndex(r => r.task.id === id);
+    if (at >= 0) setSelected(at);
+  }
+
+  // Back to the full list from search mode, keeping the selected hit
+  // selected (or the original selection when nothing matched). A non-empty
+  // query stays active for n/N.
+  function leaveSearch(query) {
+    const hit = rows[selectedSafe];
+    const id = hit && !hit.context ? hit.task.id : searchOrigin;
+    setSearchQuery(query);
+    setMode('list');
+    if (id != null) revealTask(id, '');
+  }
+
+  // Jump to the next (dir 1) or previous (dir -1) task matching the
+  // accepted search, wrapping around the list
+  function jumpToHit(dir) {
+    if (!searchQuery) return;
+    const from = rows.length ? rows[selectedSafe].index : -1;
+    for (let k = 1; k <= tasks.length; k++) {
+      const i = (((from + dir * k) % tasks.length) + tasks.length) % tasks.length;
+      const t = tasks[i];
+      if (matchesTerms(t, filterTerms) && fuzzyMatch(searchQuery, t.text)) {
+        revealTask(t.id, '');
+        return;
+      }
+    }
+    flash('No match for "' + searchQuery + '"', 'yellow');
+  }
+
+  // While typing a search, keep the selection on the first hit
+  React.useEffect(() => {
+    if (mode !== 'search') return;
+    const first = rows.findIndex(r => !r.context);
+    setSelected(first >= 0 ? first : 0);
+  }, [liveQuery]);
+
+  const currentFile = store.file;
+  // For work that finishes later, to tell whether its list is still open
+  const openStore = React.useRef(store);
+  openStore.current = store;
+  const scanning = React.useRef(false);
+
+  const freshNotice = React.useRef(false);
+  function flash(text, color, ms = 1500) {
+    freshNotice.current = true;
+    setNotice({text, color});
+    setTimeout(() => setNotice(n => (n && n.text === text ? null : n)), ms);
+  }
+
+  // A list from a newer notex is shown but not changed, and neither is one
+  // with a merge conflict waiting
+  function writable() {
+    if (readOnly) flash('Read-only: this file was written by a newer notex', 'yellow', 2000);
+    else if (store.conflict) flash('Resolve the merge conflict first (' + keyHint('save') + ')', 'yellow', 2000);
+    return !readOnly && !store.conflict;
+  }
+
+  // Run a store operation and return what it returns. One that could not be
+  // saved was taken back, and the store said why ('unsaved'); that gives
+  // `fallback`.
+  function saved(operation, fallback = null) {
+    try {
+      return operation();
+    } catch (err) {
+      if (!(err instanceof StorageError)) throw err;
+      return fallback;
+    }
+  }
+
+  // Every change is one journaled undo step, saved right away
+  function applyChange(nextTasks, nextArchive = archive) {
+    if (writable()) saved(() => store.change(nextTasks, nextArchive));
+  }
+
+  // Mark tasks done or reopen them; recurring ones get their next occurrence
+  function completeTasks(ids, done) {
+    if (!writable()) return;
+    showOccurrences(saved(() => store.setDone(ids, done), []));
+  }
+
+  function showOccurrences(added) {
+    if (added.length === 1) flash('Next occurrence: ' + formatDue(added[0].due), 'cyan');
+    else if (added.length) flash(added.length + ' next occurrences added', 'cyan');
+  }
+
+  // Start the timer on a task (stopping any other) or stop it
+  function toggleTimer(task) {
+    if (task.done && !isRunning(task)) {
+      flash('Reopen the task to track time on it', 'yellow');
+      return;
+    }
+    if (!writable()) return;
+    const stopping = isRunning(task);
+    const ok = saved(() => {
+      if (stopping) store.stopTimer();
+      else store.startTimer(task.id);
+      return true;
+    }, false);
+    if (!ok) return;
+    flash(stopping ? 'Timer stopped: ' + formatDuration(trackedMs(task)) + ' on ' + JSON.stringify(task.text) : 'Timer started', 'cyan');
+  }
+
+  // Undo (dir -1) or redo (dir 1) up to `count` journal entries in one go.
+  // Returns how many were applied.
+  function travel(dir, count = 1) {
+    return writable() ? saved(() => store.travel(dir, count), 0) : 0;
   }
 
   function undo() {
-    setHistory(h => {
-      if (!h.length) return h;
-      const prev = h[h.length - 1];
-      setFuture(f => f.concat([tasks]));
-      setTasks(prev);
-      saveTasks(prev, currentFile);
-      return h.slice(0, -1);
-    });
+    travel(-1);
   }
 
   function redo() {
-    setFuture(f => {
-      if (!f.length) return f;
-      const next = f[f.length - 1];
-      setHistory(h => h.concat([tasks]));
-      setTasks(next);
-      saveTasks(next, currentFile);
-      return f.slice(0, -1);
-    });
+    travel(1);
+  }
+
+  // Move or copy tasks (with their subtasks) to the end of another list.
+  // Undo brings moved tasks back here; the copies in the other list stay
+  // until undone there. Moved tasks leave only once the other list has them.
+  function sendToList(ids, target, copy = false) {
+    if (!copy && !writable()) return;
+    const {taken, rest} = takeTasks(tasks, ids);
+    try {
+      appendTasks(taken, storageFile(target), copy ? null : () => store.change(rest));
+    } catch (err) {
+      flash('Not ' + (copy ? 'copied' : 'moved') + ': ' + err.message, 'red', 3000);
+      return;
+    }
+    settlePicked(false);
+    if (!copy) {
+      setSelected(i => clamp(i, 0, Math.max(rowsFor(rest).length - 1, 0)));
+    }
+    flash((copy ? 'Copied ' : 'Moved ') + countTasks(taken.length) + ' to ' + storageLabel(target), 'green');
+  }
+
+  // Open another list in place of this one
+  function switchStorage(nextStorage) {
+    if (nextStorage === storage) {
+      setMode('list');
+      return;
+    }
+    // Our side of a conflict is saved nowhere yet
+    if (conflict) {
+      setMode('list');
+      flash('Resolve the merge conflict first (' + keyHint('save') + ')', 'yellow', 2500);
+      return;
+    }
+    setStorage(nextStorage);
+    const next = new TaskStore(storageFile(nextStorage));
+    setStore(next);
+    setConflict(null);
+    setMarked(new Set());
+    setVisualFrom(null);
+    setSelected(0);
+    if (next.loadError) {
+      setRecoverIndex(0);
+      setMode('recover');
+      return;
+    }
+    setMode('list');
   }
 
-  const confirmSave = React.useCallback(() => {
-    const ok = saveTasks(tasks, currentFile);
-    const where = storage === 'global' ? 'Global' : 'Project';
-    setNotice({text: ok ? 'Saved (' + where + ')' : 'Save failed', color: ok ? 'green' : 'red'});
-    const t = setTimeout(() => setNotice(null), 1200);
-    return () => clearTimeout(t);
-  }, [tasks, currentFile, storage]);
+  // Archive done tasks completed before `before` (a timestamp); quiet when
+  // run automatically
+  function archiveNow(before, auto = false) {
+    const result = archiveDone(tasks, archive, before);
+    if (!result.count) {
+      if (!auto) flash('Nothing to archive: no finished tasks (tasks with open subtasks stay)', 'yellow', 2500);
+      return;
+    }
+    applyChange(result.tasks, result.archive);
+    setSelected(i => clamp(i, 0, Math.max(rowsFor(result.tasks).length - 1, 0)));
+    flash('Archived ' + countTasks(result.count) + (auto ? ' done over ' + archiveAfter + (archiveAfter === 1 ? ' day' : ' days') + ' ago' : '') + '   (' + keyHint('archiveView') + ' to browse)', 'green', 2500);
+  }
 
-  // Clear notices on mode change
+  // Auto-archive on open and when the setting changes
   React.useEffect(() => {
-    setNotice(null);
+    if (archiveAfter == null || loadError || readOnly || conflict) return;
+    archiveNow(Date.now() - archiveAfter * DAY_MS, true);
+  }, [currentFile, archiveAfter, loadError]);
+
+  // With a merge conflict left for later, saving means resolving it first
+  const confirmSave = () => {
+    if (conflict) {
+      setMode('conflict');
+      return;
+    }
+    if (loadError || readOnly) return;
+    const ok = store.save();
+    flash(ok ? 'Saved (' + storageLabel(storage) + ')' : 'Save failed', ok ? 'green' : 'red', 1200);
+  };
+
+  // The store watches its file and merges in or reloads changes made by
+  // other notex instances, scripts or editors; say what happened
+  const onSync = React.useRef(null);
+  onSync.current = ({result}) => {
+    if (result === 'conflict') {
+      setConflict({...store.conflict, conflicts: store.conflict.conflicts.map(c => ({...c, choice: 'ours'}))});
+      setConflictIndex(0);
+      setMode('conflict');
+    } else if (result === 'reloaded') {
+      if (mode === 'edit' && editingIndex != null) {
+        const id = tasks[editingIndex] && tasks[editingIndex].id;
+        const at = store.tasks.findIndex(t => t.id === id);
+        if (at < 0) {
+          setMode('list');
+          setEditingIndex(null);
+        } else {
+          setEditingIndex(at);
+        }
+      }
+      flash('Reloaded: file changed outside notex', 'cyan');
+    } else if (result === 'merged') {
+      flash('Merged with changes made outside notex', 'cyan');
+    } else if (result === 'unreadable') {
+      flash('File changed on disk but cannot be read; not saving', 'red', 3000);
+    } else {
+      flash('Save failed', 'red');
+    }
+  };
+  React.useEffect(() => {
+    const changed = () => setRevision(r => r + 1);
+    const synced = event => onSync.current(event);
+    const hookFailed = ({message}) => flash(message, 'red', 4000);
+    const unsaved = ({message}) => flash('Not saved: ' + message, 'red', 4000);
+    store.on('change', changed);
+    store.on('sync', synced);
+    store.on('unsaved', unsaved);
+    store.on('hook', hookFailed);
+    store.watch();
+    return () => {
+      store.off('change', changed);
+      store.off('sync', synced);
+      store.off('unsaved', unsaved);
+      store.off('hook', hookFailed);
+      store.unwatch();
+    };
+  }, [store]);
+
+  // A branch list follows `git checkout`: watch HEAD and reopen the list of
+  // the new branch, once back in the list view
+  const [branch, setBranch] = useState(currentBranch);
+  React.useEffect(() => {
+    const head = gitHeadFile();
+    if (!head) return undefined;
+    const listener = () => setBranch(currentBranch());
+    fs.watchFile(head, {interval: 1000}, listener);
+    return () => fs.unwatchFile(head, listener);
+  }, []);
+  React.useEffect(() => {
+    if (!storage.startsWith('branch:') || !branch || storage === 'branch:' + branch || mode !== 'list') return;
+    switchStorage('branch:' + branch);
+    flash('Switched to the list of branch ' + branch, 'cyan');
+  }, [branch, mode]);
+
+  // Tick once a second while a timer runs, for the clock in the header
+  const running = runningTask(tasks);
+  const [now, setNow] = useState(Date.now);
+  React.useEffect(() => {
+    if (!running) return undefined;
+    setNow(Date.now());
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, [running && running.id]);
+
+  // Clear notices on mode change, except one raised along with it (e.g.
+  // "Exported …" when leaving import/export)
+  React.useEffect(() => {
+    if (freshNotice.current) freshNotice.current = false;
+    else setNotice(null);
   }, [mode]);
 
+  // Report keymap problems once at startup; the help screen lists them
+  React.useEffect(() => {
+    const count = keymap.problems.length;
+    if (count) setNotice({text: 'Keymap: ' + count + (count === 1 ? ' problem' : ' problems') + ' in ' + formatDisplayPath(keymap.file) + ', see help (' + keyHint('help') + ')', color: 'yellow'});
+  }, [keymap]);
+
   // Global key handling (help, settings, undo/redo, safe exit)
   useInputCompat((input, key) => {
     // Any keypress clears existing transient notice
@@ -248,82 +810,261 @@ export function App({initialTasks = []}) {
       setMode('list');
       return;
     }
-    // Avoid capturing character keys while typing
-    if (mode === 'add' || mode === 'edit') return;
-    if (key.ctrl && input === 'z') {
-      undo();
-      return;
-    }
-    if ((key.ctrl && input === 'y') || (key.ctrl && key.shift && (input === 'Z' || input === 'z'))) {
-      redo();
-      return;
-    }
-    if (input === 'u') { undo(); return; }
-    if (input === 'r') { redo(); return; }
-    if (input === 'h' || input === '?') {
-      setMode(m => (m === 'help' ? 'list' : 'help'));
-      return;
-    }
-    if (input === 'o') {
-      setSettingsIndex(storage === 'project' ? 0 : 1);
+    // Avoid capturing character keys while typing or recovering
+    if (mode === 'add' || mode === 'edit' || mode === 'notes' || mode === 'search' || mode === 'tag' || mode === 'import' || mode === 'newList' || mode === 'recover' || mode === 'conflict') return;
+    const action = globalKeys(input, key);
+    if (action === 'undo') undo();
+    else if (action === 'redo') redo();
+    else if (action === 'help') setMode(m => (m === 'help' ? 'list' : 'help'));
+    else if (action === 'settings') {
+      setSettingsIndex(0);
       setMode('settings');
-      return;
     }
   }, {isActive: isRawModeSupported});
 
-  // List mode key handling
+  // List mode key handling, by action (see keymap.js)
   useInputCompat((input, key) => {
     if (mode !== 'list') return;
-    if (key.upArrow) setSelected(i => clamp(i - 1, 0, Math.max(tasks.length - 1, 0)));
-    else if (key.downArrow) setSelected(i => clamp(i + 1, 0, Math.max(tasks.length - 1, 0)));
-    else if (input === ' ') {
-      // Toggle done on Space
-      if (tasks.length > 0) {
-        const next = tasks.map((t, i) => i === selectedSafe ? {
-          ...t,
-          done: !t.done,
-          completedAt: !t.done ? Date.now() : null
-        } : t);
-        applyChange(next);
+    const row = rows[selectedSafe];
+    if (key.escape) {
+      if (picked.length || visualFrom != null) settlePicked(false);
+      else if (searchQuery) setSearchQuery('');
+      return;
+    }
+    const action = listKeys(input, key);
+    if (MOVES[action]) {
+      // Reorder among siblings
+      if (row) {
+        if (sortMode !== 'manual') {
+          flash('Sorted by ' + SORT_LABELS[sortMode] + ': press ' + keyHint('sort') + ' to return to manual order before moving', 'yellow', 2500);
+          return;
+        }
+        const next = picked.length ? moveTasks(tasks, picked, MOVES[action]) : moveTask(tasks, row.index, MOVES[action]);
+        if (picked.length) settlePicked();
+        if (next !== tasks) {
+          applyChange(next);
+          selectTask(next, row.task.id);
+        }
       }
-    } else if (key.return) {
-      // Enter -> Edit selected item
-      if (tasks.length > 0) {
-        setEditingIndex(selectedSafe);
+    } else if (action === 'mark') {
+      // Mark / unmark and step to the next row
+      if (row && !row.context) {
+        const id = String(row.task.id);
+        setMarked(m => {
+          const next = new Set(m);
+          if (next.has(id)) next.delete(id);
+          else next.add(id);
+          return next;
+        });
+        setSelected(clamp(selectedSafe + 1, 0, Math.max(rows.length - 1, 0)));
+      }
+    } else if (action === 'visual') {
+      if (visualFrom != null) settlePicked();
+      else if (row) setVisualFrom(row.task.id);
+    } else if (action === 'tag') {
+      if (picked.length || row) {
+        setTagValue('');
+        setTagCursor(0);
+        setMode('tag');
+      }
+    } else if (action === 'send') {
+      if (picked.length || row) openLists('move');
+    } else if (action === 'copy') {
+      if (picked.length || row) openLists('copy');
+    } else if (action === 'lists') {
+      openLists('open');
+    } else if (action === 'up') setSelected(i => clamp(i - 1, 0, Math.max(rows.length - 1, 0)));
+    else if (action === 'down') setSelected(i => clamp(i + 1, 0, Math.max(rows.length - 1, 0)));
+    else if (action === 'first') setSelected(0);
+    else if (action === 'last') setSelected(Math.max(rows.length - 1, 0));
+    else if (action === 'unfold') {
+      // Expand a folded parent, or step into its first child
+      if (row && row.hasChildren) {
+        if (row.collapsed) {
+          setCollapsed(c => new Set([...c].filter(id => id !== String(row.task.id))));
+        } else {
+          setSelected(selectedSafe + 1);
+        }
+      }
+    } else if (action === 'fold') {
+      // Fold an open parent, or step out to the parent line
+      if (row && row.hasChildren && !row.collapsed) {
+        setCollapsed(c => new Set(c).add(String(row.task.id)));
+      } else if (row && row.task.parentId != null) {
+        selectTask(tasks, row.task.parentId);
+      }
+    } else if (action === 'sort') {
+      const nextSort = nextSortMode(sortMode);
+      if (row) selectTask(tasks, row.task.id, {sort: nextSort});
+      store.setOption('sort', nextSort);
+      flash('Sort: ' + SORT_LABELS[nextSort], 'cyan');
+    } else if (action === 'indent') {
+      if (row) {
+        const next = indentTask(tasks, row.index);
+        if (next !== tasks) {
+          // Unfold the new parent so the moved task stays in view
+          const nextCollapsed = new Set([...collapsed].filter(id => id !== String(next[row.index].parentId)));
+          applyChange(next);
+          setCollapsed(nextCollapsed);
+          selectTask(next, row.task.id, {collapsed: nextCollapsed});
+        }
+      }
+    } else if (action === 'outdent') {
+      if (row) {
+        const next = outdentTask(tasks, row.index);
+        if (next !== tasks) {
+          applyChange(next);
+          selectTask(next, row.task.id);
+        }
+      }
+    } else if (action === 'toggle') {
+      // A selection is all marked done, or all reopened when it is done
+      // already
+      if (picked.length) {
+        const ids = new Set(picked.map(String));
+        const allDone = tasks.every(t => !ids.has(String(t.id)) || t.done);
+        completeTasks(picked, !allDone);
+        settlePicked();
+      } else if (row) {
+        completeTasks([row.task.id], !row.task.done);
+      }
+    } else if (action === 'edit') {
+      if (row) {
+        setEditingIndex(row.index);
         setMode('edit');
       }
-    } else if (input === 'a') {
+    } else if (action === 'notes') {
+      if (row) {
+        setNotesId(row.task.id);
+        setNotesValue(row.task.notes || '');
+        setNotesCursor((row.task.notes || '').length);
+        setMode('notes');
+      }
+    } else if (action === 'notesEditor') {
+      if (row) editNotesExternally(row.task);
+    } else if (action === 'openSource') {
+      if (row) openSource(row.task);
+    } else if (action === 'scan') {
+      scanProject();
+    } else if (action === 'details') {
+      setDetailsPref(!showDetails);
+    } else if (action === 'add') {
+      setAddAt(null);
       setMode('add');
-    } else if (input === 'e') {
-      if (tasks.length > 0) {
-        setEditingIndex(selectedSafe);
-        setMode('edit');
+    } else if (action === 'addBelow' || action === 'addAbove') {
+      // Next to the selected task, at its level; without one, at the end
+      setAddAt(row ? {id: row.task.id, before: action === 'addAbove'} : null);
+      setMode('add');
+    } else if (action === 'agenda') {
+      setAgendaIndex(0);
+      setMode('agenda');
+    } else if (action === 'transfer') {
+      setTransferIndex(0);
+      setMode('transfer');
+    } else if (action === 'archive') {
+      archiveNow(Infinity);
+    } else if (action === 'archiveView') {
+      setArchiveIndex(0);
+      setMode('archive');
+    } else if (action === 'stats') {
+      setMode('stats');
+    } else if (action === 'timer') {
+      if (row) toggleTimer(row.task);
+    } else if (action === 'timeReport') {
+      setMode('report');
+    } else if (action === 'board') {
+      // Start on the selected task
+      const column = row ? stateIndex(row.task, states) : 0;
+      const cards = shownTasks.filter(t => stateIndex(t, states) === column);
+      setBoardCursor({column, row: row ? Math.max(0, cards.indexOf(row.task)) : 0});
+      if (workflow.problem) flash(workflow.problem, 'red', 3000);
+      setMode('board');
+    } else if (action === 'history') {
+      setHistoryIndex(future.length);
+      setMode('history');
+    } else if (action === 'search') {
+      setSearchOrigin(row ? row.task.id : null);
+      setSearchValue('');
+      setSearchCursor(0);
+      setMode('search');
+    } else if (action === 'nextHit') {
+      jumpToHit(1);
+    } else if (action === 'prevHit') {
+      jumpToHit(-1);
+    } else if (action === 'filter') {
+      setFilterDraft(filterTerms);
+      setFilterIndex(0);
+      setMode('filter');
+    } else if (action === 'clearFilter') {
+      if (filterTerms.length) {
+        setFilterTerms([]);
+        if (row) selectTask(tasks, row.task.id, {terms: []});
       }
-    } else if (input === 'd') {
-      if (tasks.length > 0) {
-        const next = tasks.filter((_, i) => i !== selectedSafe);
+    } else if (action === 'delete') {
+      // Deleting a parent removes its subtasks too
+      if (picked.length) {
+        const {taken, rest} = takeTasks(tasks, picked);
+        applyChange(rest);
+        settlePicked(false);
+        setSelected(i => clamp(i, 0, Math.max(rowsFor(rest).length - 1, 0)));
+        flash('Deleted ' + countTasks(taken.length), 'yellow');
+      } else if (row) {
+        const next = removeTask(tasks, row.index);
         applyChange(next);
-        setSelected(i => clamp(i, 0, Math.max(next.length - 1, 0)));
+        setSelected(i => clamp(i, 0, Math.max(rowsFor(next).length - 1, 0)));
       }
-    } else if (input === 's') {
+    } else if (action === 'save') {
       confirmSave();
-    } else if (input === 'q') {
+    } else if (action === 'quit') {
+      if (conflict) {
+        flash('Resolve the merge conflict before quitting', 'yellow', 2500);
+        setMode('conflict');
+        return;
+      }
       confirmSave();
       exit();
     }
   }, {isActive: isRawModeSupported && mode === 'list'});
 
+  // Add a task per line, as one undo step. Returns false (and keeps the
+  // input) when a line does not parse.
+  function addTasks(lines) {
+    const bad = lines.map(line => parseInput(line).errors).find(errors => errors.length);
+    if (bad) {
+      flash(bad.join('; '), 'red', 2500);
+      return false;
+    }
+    let next = tasks;
+    let anchor = addAt;
+    let task = null;
+    for (const line of lines) {
+      task = createTask(line, next);
+      const at = anchor ? next.findIndex(t => String(t.id) === String(anchor.id)) : -1;
+      next = at >= 0 ? insertSibling(next, at, task, anchor.before) : next.concat([task]);
+      // Keep adding below the new task
+      if (at >= 0) anchor = {id: task.id, before: false};
+    }
+    applyChange(next);
+    selectTask(next, task.id);
+    if (anchor !== addAt) setAddAt(anchor);
+    return true;
+  }
+
   // Input modes
   const [addValue, setAddValue, addCursor, setAddCursor] = useTextInput({
     initial: '',
+    history: 'add',
     active: isRawModeSupported && mode === 'add',
     onSubmit: text => {
       if (mode !== 'add') return;
-      if (text) {
-        const next = tasks.concat([{id: Date.now(), text, done: false, createdAt: Date.now(), completedAt: null}]);
-        applyChange(next);
-        setSelected(tasks.length);
-      }
+      if (text && !addTasks([text])) return;
+      setAddValue('');
+      setAddCursor(0);
+    },
+    // A pasted list becomes one task per line
+    onPasteLines: lines => {
+      if (mode !== 'add' || !lines.length || !addTasks(lines)) return;
+      if (lines.length > 1) flash('Added ' + countTasks(lines.length), 'green');
       setAddValue('');
       setAddCursor(0);
     },
@@ -333,11 +1074,16 @@ export function App({initialTasks = []}) {
   });
 
   const [editValue, setEditValue, editCursor, setEditCursor] = useTextInput({
-    initial: editingIndex != null && tasks[editingIndex] ? tasks[editingIndex].text : '',
+    initial: editingIndex != null && tasks[editingIndex] ? editableText(tasks[editingIndex]) : '',
     active: isRawModeSupported && mode === 'edit',
     onSubmit: text => {
       if (mode !== 'edit') return;
-      const next = tasks.map((t, i) => i === editingIndex ? {...t, text: text || t.text} : t);
+      const {errors} = parseInput(text);
+      if (errors.length) {
+        flash(errors.join('; '), 'red', 2500);
+        return;
+      }
+      const next = tasks.map((t, i) => i === editingIndex ? editTask(t, text) : t);
       applyChange(next);
       setMode('list');
       setEditingIndex(null);
@@ -350,78 +1096,274 @@ export function App({initialTasks = []}) {
     }
   });
 
+  // Tag input ("#"): add markers to the picked tasks, or the selected one;
+  // a leading "-" removes a marker instead. A bare word is a #tag.
+  const [tagValue, setTagValue, tagCursor, setTagCursor] = useTextInput({
+    initial: '',
+    history: 'tag',
+    active: isRawModeSupported && mode === 'tag',
+    onSubmit: text => {
+      if (mode !== 'tag') return;
+      const changes = text.split(/\s+/).filter(Boolean).map(word => {
+        const remove = word.startsWith('-');
+        const term = remove ? word.slice(1) : word;
+        return {remove, term: /^[#@+]/.test(term) ? term : '#' + term};
+      });
+      const bad = changes.find(c => !TERM.test(c.term));
+      if (bad) {
+        flash('Not a #tag, @context or +project: "' + bad.term + '"', 'red', 2500);
+        return;
+      }
+      const row = rows[selectedSafe];
+      const ids = new Set((picked.length ? picked : row ? [row.task.id] : []).map(String));
+      if (changes.length && ids.size) {
+        applyChange(tasks.map(t => {
+          if (!ids.has(String(t.id))) return t;
+          const nextText = changes.reduce((acc, c) => (c.remove ? removeTerm(acc, c.term) : addTerm(acc, c.term)), t.text);
+          return nextText === t.text ? t : editTask(t, editableText({...t, text: nextText}));
+        }));
+        settlePicked();
+      }
+      setMode('list');
+    },
+    onCancel: () => {
+      if (mode === 'tag') setMode('list');
+    }
+  });
+
+  function saveNotes(id, text) {
+    const next = tasks.map(t => (t.id === id ? setNotes(t, text) : t));
+    if (next.some((t, i) => t !== tasks[i])) applyChange(next);
+  }
+
+  // Notes editor: Enter adds a line, Ctrl+S saves
+  const [notesValue, setNotesValue, notesCursor, setNotesCursor] = useTextInput({
+    multiline: true,
+    active: isRawModeSupported && mode === 'notes',
+    onSubmit: text => {
+      if (mode !== 'notes') return;
+      saveNotes(notesId, text);
+      setNotesId(null);
+      setMode('list');
+    },
+    onCancel: () => {
+      if (mode !== 'notes') return;
+      setNotesId(null);
+      setMode('list');
+    }
+  });
+
+  // The editor takes over the terminal until it exits; raw mode is handed
+  // back to it meanwhile
+  function editNotesExternally(task) {
+    const raw = RAW_SUPPORTED && process.stdin.isRaw;
+    if (raw) process.stdin.setRawMode(false);
+    const result = editText(task.notes ? task.notes + '\n' : '', 'notex-' + task.id + '.md');
+    if (raw) process.stdin.setRawMode(true);
+    if (result.error) {
+      flash(result.error, 'red', 3000);
+      return;
+    }
+    saveNotes(task.id, result.text);
+  }
+
+  // Open the comment a scanned task came from in the user's editor
+  function openSource(task) {
+    if (!task.source) {
+      flash('Not from a code comment (' + keyHint('scan') + ' scans the project)', 'yellow');
+      return;
+    }
+    const file = sourcePath(task, currentFile);
+    if (!fs.existsSync(file)) {
+      flash(formatSource(task.source) + ' no longer exists', 'red', 3000);
+      return;
+    }
+    const raw = RAW_SUPPORTED && process.stdin.isRaw;
+    if (raw) process.stdin.setRawMode(false);
+    const error = editFileAt(file, task.source.line);
+    if (raw) process.stdin.setRawMode(true);
+    if (error) flash(error, 'red', 3000);
+  }
+
+  // Sync tasks with the TODO/FIXME/HACK comments under the open list's
+  // project. The walk runs in a worker; its result goes to the list that was
+  // open when it started, if that is still the one shown.
+  function scanProject() {
+    const root = scanRoot(storage);
+    if (!root) {
+      flash(storageLabel(storage) + ' belongs to no project; open the project list to scan', 'yellow', 2500);
+      return;
+    }
+    if (scanning.current || !writable()) return;
+    scanning.current = true;
+    const scanned = store;
+    const scanningText = 'Scanning ' + formatDisplayPath(root) + '…';
+    flash(scanningText, 'cyan', 60000);
+    scanTreeInBackground(root).then(
+      ({files, comments}) => {
+        scanning.current = false;
+        if (openStore.current !== scanned || scanned.readOnly) {
+          setNotice(n => (n && n.text === scanningText ? null : n));
+          return;
+        }
+        const result = applyScan(scanned.tasks, scanned.archive, comments, scanned.file, root);
+        // The list may have become unsaveable while the walk ran (a merge
+        // conflict, a failed write); this runs outside any key handler
+        try {
+          scanned.change(result.tasks);
+        } catch (err) {
+          flash('Scan not saved: ' + err.message, 'red', 4000);
+          return;
+        }
+        flash('Scanned ' + files + (files === 1 ? ' file' : ' files') + ': ' + result.added.length + ' new, ' + result.moved + ' moved, ' + result.stale + ' stale', 'cyan', 2500);
+      },
+      err => {
+        scanning.current = false;
+        flash('Scan failed: ' + err.message, 'red', 3000);
+      }
+    );
+  }
+
   // When entering edit mode, seed the input with current text
   React.useEffect(() => {
     if (mode === 'edit' && editingIndex != null && tasks[editingIndex]) {
-      const t = tasks[editingIndex].text;
+      const t = editableText(tasks[editingIndex]);
       setEditValue(t);
       setEditCursor(t.length);
     }
   }, [mode, editingIndex, tasks, setEditValue]);
 
+  // On narrow terminals the detail pane goes below the list and takes rows
+  // from it
+  const detailsBelow = showDetails && columns < DETAIL_BESIDE_COLUMNS && rows.length > 0;
+
   // Keep selected visible with a simple scroll window sized to terminal rows
   React.useEffect(() => {
-    const rows = stdout && stdout.rows ? stdout.rows : 24;
+    const termRows = stdout && stdout.rows ? stdout.rows : 24;
     const header = 5; // title + stats + padding
-    const footer = 6; // instructions + notices
-    const visible = Math.max(3, rows - header - footer);
-    const maxIndex = tasks.length - 1;
+    const footer = 6 + (detailsBelow ? DETAIL_BELOW_ROWS : 0); // instructions + notices
+    const visible = Math.max(3, termRows - header - footer);
+    const maxIndex = rows.length - 1;
     const sel = selectedSafe;
     let off = scrollOffset;
     if (sel < off) off = sel;
     if (sel > off + visible - 1) off = sel - (visible - 1);
     off = clamp(off, 0, Math.max(0, maxIndex - visible + 1));
     if (off !== scrollOffset) setScrollOffset(off);
-  }, [stdout, tasks.length, selectedSafe, scrollOffset]);
+  }, [stdout, rows.length, selectedSafe, scrollOffset, detailsBelow]);
 
-  const rows = stdout && stdout.rows ? stdout.rows : 24;
+  const termRows = stdout && stdout.rows ? stdout.rows : 24;
   const header = 5;
-  const footer = 6;
-  const visibleCount = Math.max(3, rows - header - footer);
+  const footer = 6 + (detailsBelow ? DETAIL_BELOW_ROWS : 0);
+  const visibleCount = Math.max(3, termRows - header - footer);
   const start = scrollOffset;
-  const end = Math.min(tasks.length, start + visibleCount);
-  const visibleTasks = tasks.slice(start, end);
+  const end = Math.min(rows.length, start + visibleCount);
+  const visibleTasks = rows.slice(start, end);
 
-  const completedCount = useMemo(() => tasks.filter(t => t.done).length, [tasks]);
+  // Header counts follow the filter: only matching tasks are counted
+  const shownTasks = useMemo(() => (filterTerms.length ? tasks.filter(t => matchesTerms(t, filterTerms)) : tasks), [tasks, filterTerms]);
+  const completedCount = useMemo(() => shownTasks.filter(t => t.done).length, [shownTasks]);
+  const countLabel = filterTerms.length ? shownTasks.length + ' of ' + tasks.length : String(tasks.length);
+
+  const addAtTask = addAt && tasks.find(t => String(t.id) === String(addAt.id));
 
   const renderList = () => (
     React.createElement(Box, {flexDirection: 'column'},
-      React.createElement(Text, {bold: true}, 'TODOs (' + tasks.length + ')  Completed: ' + completedCount + '  [' + (storage === 'global' ? 'Global' : 'Project') + ']'),
-      tasks.length > 0 && start > 0 && React.createElement(Text, {dimColor: true}, '… ' + start + ' more above'),
-      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
-        tasks.length === 0
-          ? React.createElement(Text, {dimColor: true}, 'No tasks. Press "a" to add one.')
-          : visibleTasks.map((t, i) => React.createElement(TaskLine, {key: t.id, task: t, selected: (start + i) === selectedSafe}))
+      React.createElement(Box, null,
+        React.createElement(Text, {bold: true}, 'TODOs (' + countLabel + ')  Completed: ' + completedCount + '  [' + storageLabel(storage) + ']' + (sortMode !== 'manual' ? '  Sort: ' + SORT_LABELS[sortMode] : '')),
+        running && React.createElement(Text, {color: 'yellow', wrap: 'truncate-end'}, '  ⏱ ' + formatClock(trackedMs(running, 0, now)) + ' ' + running.text)
+      ),
+      filterTerms.length > 0 && React.createElement(Text, {color: 'cyan'}, 'Filter: ' + filterTerms.join(' ') + '   (' + keyHint('filter') + ' change, ' + keyHint('clearFilter') + ' clear)'),
+      mode === 'list' && searchQuery && React.createElement(Text, {color: 'cyan'}, 'Search: ' + searchQuery + '   (' + keyHint('nextHit') + '/' + keyHint('prevHit') + ' next/prev, Esc clear)'),
+      (picked.length > 0 || visualFrom != null) && React.createElement(Text, {color: 'magenta'}, (visualFrom != null ? 'Visual: ' : '') + countTasks(picked.length) + ' selected   (' + keyHint('toggle') + ' done, ' + keyHint('delete') + ' delete, ' + ['moveUp', 'moveDown', 'moveTop', 'moveBottom'].map(keyHint).join('/') + ' move, ' + keyHint('tag') + ' tag, ' + keyHint('send') + '/' + keyHint('copy') + ' move/copy to a list, Esc clear)'),
+      readOnly != null && React.createElement(Text, {color: 'yellow'}, 'Read-only: written by a newer notex (storage version ' + readOnly + '). Changes will not be saved.'),
+      conflict && React.createElement(Text, {color: 'yellow'}, 'Merge conflict with changes made elsewhere: nothing is saved until it is resolved (' + keyHint('save') + ').'),
+      rows.length > 0 && start > 0 && React.createElement(Text, {dimColor: true}, '… ' + start + ' more above'),
+      React.createElement(Box, {flexDirection: 'row', marginTop: 1},
+        React.createElement(Box, {flexDirection: 'column', flexGrow: 1, flexShrink: 1},
+          tasks.length === 0
+            ? React.createElement(Text, {dimColor: true}, 'No tasks. Press ' + keyHint('add') + ' to add one.')
+            : rows.length === 0
+            ? React.createElement(Text, {dimColor: true}, 'No tasks match the filter. Press ' + keyHint('clearFilter') + ' to clear it.')
+            : visibleTasks.map((r, i) => React.createElement(TaskLine, {
+              key: r.task.id,
+              row: r,
+              selected: (start + i) === selectedSafe,
+              marked: picked.includes(r.task.id),
+              rollup: r.hasChildren ? progress(tasks, r.index) : null,
+              state: middleState(r.task, states),
+              highlight: highlightQuery && !r.context ? (fuzzyMatch(highlightQuery, r.task.text) || {}).positions : null
+            }))
+        ),
+        showDetails && !detailsBelow && rows[selectedSafe] && renderDetails(visibleCount, clamp(Math.floor(columns * 0.4), 36, 64))
+      ),
+      rows.length > end && React.createElement(Text, {dimColor: true}, '… ' + (rows.length - end) + ' more below'),
+      detailsBelow && rows[selectedSafe] && renderDetails(DETAIL_BELOW_ROWS),
+      // Hide global hints while adding or searching to reduce clutter
+      mode === 'list' && React.createElement(Instructions, {label: storageLabel(storage), displayPath: formatDisplayPath(currentFile), keymap}),
+      // Inline search input
+      mode === 'search' && React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        React.createElement(Box, null,
+          React.createElement(Text, {color: 'cyan'}, '/'),
+          React.createElement(InputLine, {value: searchValue, cursor: searchCursor, width: columns - 20}),
+          React.createElement(Text, {dimColor: true}, '  ' + (liveQuery ? rows.filter(r => !r.context).length + ' matching' : 'type to search'))
+        ),
+        React.createElement(Text, {dimColor: true}, '↑/↓ Select   Enter: Go to task (n/N next/prev)   Esc: Back to full list')
+      ),
+      // Inline tag input
+      mode === 'tag' && React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        React.createElement(Text, {bold: true}, 'Tag ' + (picked.length ? countTasks(picked.length) : 'task')),
+        React.createElement(Box, null,
+          React.createElement(Text, null, '> '),
+          React.createElement(InputLine, {value: tagValue, cursor: tagCursor, width: columns - 3})
+        ),
+        React.createElement(Text, {dimColor: true}, '#tag @context +project (bare words are #tags, -#tag removes)   Enter: Apply   Esc: Cancel')
       ),
-      tasks.length > end && React.createElement(Text, {dimColor: true}, '… ' + (tasks.length - end) + ' more below'),
-      // Hide global hints while adding to reduce clutter
-      mode !== 'add' && React.createElement(Instructions, {displayPath: formatDisplayPath(currentFile)}),
       // Inline Add input when in Add mode
       mode === 'add' && React.createElement(Box, {flexDirection: 'column', marginTop: 0},
-        React.createElement(Text, {bold: true}, 'Add task'),
+        React.createElement(Text, {bold: true}, 'Add task' + (addAtTask ? (addAt.before ? ' above "' : ' below "') + addAtTask.text + '"' : '')),
         React.createElement(Box, null,
           React.createElement(Text, null, '> '),
-          React.createElement(Text, null, addValue.slice(0, addCursor)),
-          React.createElement(Text, {inverse: true}, addCursor === addValue.length ? ' ' : addValue[addCursor]),
-          addCursor < addValue.length && React.createElement(Text, null, addValue.slice(addCursor + 1))
+          React.createElement(InputLine, {value: addValue, cursor: addCursor, width: columns - 3})
         ),
-        React.createElement(Text, {dimColor: true}, 'Enter: Add   Esc: Cancel   Ctrl+←/→: Word jump   Ctrl+W: Delete word')
+        React.createElement(Text, {dimColor: true}, 'Enter: Add   Esc: Cancel   ↑/↓: Earlier entries   Ctrl+A/E: Start/end   Ctrl+U/K/Y: Cut/yank')
       ),
       notice && React.createElement(Text, {color: notice.color}, notice.text),
       !RAW_SUPPORTED && React.createElement(Text, {dimColor: true}, 'Note: Read-only here (no raw input). Run in a real TTY to interact.')
     )
   );
 
+  const renderDetails = (height, width) => (
+    React.createElement(DetailPane, {
+      task: rows[selectedSafe].task,
+      tasks,
+      index: rows[selectedSafe].index,
+      state: middleState(rows[selectedSafe].task, states),
+      height,
+      width,
+      hint: 'Press ' + keyHint('notes') + ' to write some, ' + keyHint('notesEditor') + ' for ' + editorCommand() + '.'
+    })
+  );
+
+  const renderNotes = () => {
+    const task = tasks.find(t => t.id === notesId);
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Notes: ' + (task ? task.text : '')),
+      React.createElement(Box, {marginY: 1, flexDirection: 'column'},
+        React.createElement(TextArea, {value: notesValue, cursor: notesCursor, height: Math.max(3, termRows - 8), width: columns - 1})
+      ),
+      React.createElement(Text, {dimColor: true}, 'Ctrl+S: Save   Esc: Cancel   Enter: New line   - [ ] item: checklist')
+    );
+  };
+
   const renderAdd = () => (
     React.createElement(Box, {flexDirection: 'column'},
       React.createElement(Text, {bold: true}, 'Add task'),
       React.createElement(Box, {marginY: 1, paddingY: 1},
         React.createElement(Text, null, '> '),
-        React.createElement(Text, null, addValue.slice(0, addCursor)),
-        React.createElement(Text, {inverse: true}, addCursor === addValue.length ? ' ' : addValue[addCursor]),
-        addCursor < addValue.length && React.createElement(Text, null, addValue.slice(addCursor + 1))
+        React.createElement(InputLine, {value: addValue, cursor: addCursor, width: columns - 3})
       ),
-      React.createElement(Text, {dimColor: true}, 'Enter: Add   Esc: Cancel   Ctrl+←/→: Word jump   Ctrl+W: Delete word')
+      React.createElement(Text, {dimColor: true}, 'Enter: Add   Esc: Cancel   ↑/↓: Earlier entries   Ctrl+A/E: Start/end   Ctrl+U/K/Y: Cut/yank')
     )
   );
 
@@ -430,51 +1372,45 @@ export function App({initialTasks = []}) {
       React.createElement(Text, {bold: true}, 'Edit task'),
       React.createElement(Box, {marginY: 1, paddingY: 1},
         React.createElement(Text, null, '> '),
-        React.createElement(Text, null, editValue.slice(0, editCursor)),
-        React.createElement(Text, {inverse: true}, editCursor === editValue.length ? ' ' : editValue[editCursor]),
-        editCursor < editValue.length && React.createElement(Text, null, editValue.slice(editCursor + 1))
+        React.createElement(InputLine, {value: editValue, cursor: editCursor, width: columns - 3})
       ),
-      React.createElement(Text, {dimColor: true}, 'Enter: Save   Esc: Cancel   Ctrl+←/→: Word jump   Ctrl+W: Delete word')
+      React.createElement(Text, {dimColor: true}, 'Enter: Save   Esc: Cancel   Ctrl+A/E: Start/end   Alt+B/F: Word   Ctrl+U/K/Y: Cut/yank')
     )
   );
 
   const renderHelp = () => {
     const cols = stdout && stdout.columns ? stdout.columns : 80;
 
-    const sections = [
-      {title: 'Navigation', items: [
-        ['↑/↓', 'Move selection'],
-        ['Space', 'Toggle done']
-      ]},
-      {title: 'Editing', items: [
-        ['a', 'Add task'],
-        ['e / Enter', 'Edit task'],
-        ['d', 'Delete task'],
-        ['Esc', 'Cancel input']
-      ]},
-      {title: 'History', items: [
-        ['u / Ctrl+Z', 'Undo'],
-        ['r / Ctrl+Y', 'Redo']
-      ]},
-      {title: 'Settings', items: [
-        ['o', 'Open settings'],
-        ['s', 'Save now (autosave on)']
-      ]},
-      {title: 'App', items: [
-        ['h / ?', 'Toggle help'],
-        ['q', 'Save & quit'],
-        ['Ctrl+C ×2', 'Exit (confirm)']
-      ]}
-    ];
-
-    const keyWidth = sections.reduce((m, sec) => Math.max(m, ...sec.items.map(([k]) => k.length)), 0) + 2;
-
-    const Section = ({sec}) => (
+    // Built from the keymap; keys that are not remappable are added per section
+    const fixed = {
+      Editing: [['due:<when>', 'Set due date while typing'], ['Esc', 'Cancel input']],
+      Selection: [
+        ['Esc', 'Clear selection'],
+        ['', ['toggle', 'delete', 'moveUp', 'moveDown', 'moveTop', 'moveBottom', 'tag', 'send', 'copy'].map(keyHint).join(', ') + ' act on all']
+      ],
+      Board: [['Esc', 'Back to the list']],
+      App: [['Ctrl+C ×2', 'Exit (confirm)']]
+    };
+    // The column actions take one row while they keep their digits
+    const columnIds = ACTIONS.filter(a => a.id.startsWith('boardColumn')).map(a => a.id);
+    const digits = columnIds.every((id, i) => keysFor(keymap, id).join() === String(i + 1));
+    if (digits) fixed.Board.unshift(['1–9', 'Move task to column 1–9']);
+    const sections = SECTIONS.map(title => ({
+      title,
+      items: ACTIONS
+        .filter(a => a.section === title && keysFor(keymap, a.id).length && !(digits && columnIds.includes(a.id)))
+        .map(a => [keysFor(keymap, a.id).join(' / '), a.label])
+        .concat(fixed[title] || [])
+    }));
+
+    const keyWidth = secs => secs.reduce((m, sec) => Math.max(m, ...sec.items.map(([k]) => k.length)), 0) + 2;
+
+    const Section = ({sec, width}) => (
       React.createElement(Box, {flexDirection: 'column', marginBottom: 1},
         React.createElement(Text, {bold: true}, sec.title),
         ...sec.items.map(([k, d], idx) => (
           React.createElement(Box, {key: sec.title + idx},
-            React.createElement(Text, {color: 'cyan'}, (k + ' ').padEnd(keyWidth, ' ')),
+            React.createElement(Box, {width, flexShrink: 0}, React.createElement(Text, {color: 'cyan'}, k)),
             React.createElement(Text, null, d)
           )
         ))
@@ -482,24 +1418,33 @@ export function App({initialTasks = []}) {
     );
 
     const twoCols = cols >= 72;
-    const left = twoCols ? sections.slice(0, Math.ceil(sections.length / 2)) : sections;
-    const right = twoCols ? sections.slice(Math.ceil(sections.length / 2)) : [];
+    // Split where the left column reaches half the lines
+    const lines = sections.map(sec => sec.items.length + 2);
+    const total = lines.reduce((a, b) => a + b, 0);
+    let split = 0;
+    for (let sum = 0; split < sections.length && sum + lines[split] / 2 <= total / 2; split++) sum += lines[split];
+    const left = twoCols ? sections.slice(0, split) : sections;
+    const right = twoCols ? sections.slice(split) : [];
 
     return React.createElement(Box, {flexDirection: 'column'},
       React.createElement(Text, {bold: true}, 'Help & Shortcuts'),
       twoCols
         ? React.createElement(Box, {flexDirection: 'row', marginTop: 1},
             React.createElement(Box, {flexDirection: 'column', marginRight: 4},
-              ...left.map((sec) => React.createElement(Section, {key: sec.title, sec}))
+              ...left.map((sec) => React.createElement(Section, {key: sec.title, sec, width: keyWidth(left)}))
             ),
             React.createElement(Box, {flexDirection: 'column'},
-              ...right.map((sec) => React.createElement(Section, {key: sec.title, sec}))
+              ...right.map((sec) => React.createElement(Section, {key: sec.title, sec, width: keyWidth(right)}))
             )
           )
         : React.createElement(Box, {flexDirection: 'column', marginTop: 1},
-            ...left.map((sec) => React.createElement(Section, {key: sec.title, sec}))
+            ...left.map((sec) => React.createElement(Section, {key: sec.title, sec, width: keyWidth(left)}))
           ),
-      React.createElement(Text, {dimColor: true}, 'Current storage: ' + (storage === 'global' ? 'Global' : 'Project') + ' (' + currentFile + ')')
+      keymap.problems.length > 0 && React.createElement(Box, {flexDirection: 'column', marginBottom: 1},
+        React.createElement(Text, {bold: true, color: 'yellow'}, 'Keymap problems (' + formatDisplayPath(keymap.file) + ')'),
+        ...keymap.problems.map((p, i) => React.createElement(Text, {key: i, color: 'yellow'}, '• ' + p))
+      ),
+      React.createElement(Text, {dimColor: true}, 'Keymap: ' + keymap.preset + '   Current list: ' + storageLabel(storage) + ' (' + currentFile + ')')
     );
   };
 
@@ -510,46 +1455,746 @@ export function App({initialTasks = []}) {
       setMode('list');
       return;
     }
-    if (key.upArrow || input === 'k') {
+    const action = settingsKeys(input, key);
+    if (action === 'up') {
       setSettingsIndex(i => clamp(i - 1, 0, 1));
       return;
     }
-    if (key.downArrow || input === 'j') {
+    if (action === 'down') {
       setSettingsIndex(i => clamp(i + 1, 0, 1));
       return;
     }
-    if (key.return) {
-      const nextStorage = settingsIndex === 0 ? 'project' : 'global';
-      if (nextStorage !== storage) {
-        setHistory(h => h.concat([tasks])); // keep history across switches
-        setFuture([]);
-        setStorage(nextStorage);
-        const fp = nextStorage === 'global' ? GLOBAL_FILE : DEFAULT_FILE;
-        const loaded = loadTasks(fp);
-        setTasks(loaded);
-      }
-      setMode('list');
+    if (settingsIndex === 1 && (key.return || action === 'fold' || action === 'unfold')) {
+      const step = action === 'fold' ? -1 : 1;
+      const days = ARCHIVE_AFTER[(ARCHIVE_AFTER.indexOf(archiveAfter) + step + ARCHIVE_AFTER.length) % ARCHIVE_AFTER.length];
+      store.setOption('archiveAfterDays', days);
       return;
     }
+    if (key.return) openLists('open');
   }, {isActive: isRawModeSupported && mode === 'settings'});
 
   const renderSettings = () => (
     React.createElement(Box, {flexDirection: 'column'},
       React.createElement(Text, {bold: true}, 'Settings'),
-      React.createElement(Text, null, 'Storage location'),
       React.createElement(Box, {flexDirection: 'column', marginTop: 1},
-        React.createElement(Text, {color: settingsIndex === 0 ? 'cyan' : undefined}, (settingsIndex === 0 ? '> ' : '  ') + 'Project (./.notex.json)'),
-        React.createElement(Text, {color: settingsIndex === 1 ? 'cyan' : undefined}, (settingsIndex === 1 ? '> ' : '  ') + 'Global (~/.notex-global.json)')
+        React.createElement(Text, null, 'List'),
+        React.createElement(Text, {color: settingsIndex === 0 ? 'cyan' : undefined}, (settingsIndex === 0 ? '> ' : '  ') + storageLabel(storage) + ' (' + formatDisplayPath(currentFile) + ')   Enter to switch')
+      ),
+      React.createElement(Box, {flexDirection: 'column', marginY: 1},
+        React.createElement(Text, null, 'Archive'),
+        React.createElement(Text, {color: settingsIndex === 1 ? 'cyan' : undefined}, (settingsIndex === 1 ? '> ' : '  ') + 'Archive done tasks automatically: ' + (archiveAfter == null ? 'never' : 'after ' + archiveAfter + (archiveAfter === 1 ? ' day' : ' days')) + '  ◂ ▸')
+      ),
+      notice && React.createElement(Text, {color: notice.color}, notice.text),
+      React.createElement(Text, {dimColor: true}, 'Use ' + keyHint('up') + '/' + keyHint('down') + ' then Enter to select (' + keyHint('fold') + '/' + keyHint('unfold') + ' to change the archive setting). Esc to cancel.')
+    )
+  );
+
+  // List picker: switch to another list, or choose where to move or copy
+  // the picked tasks (or the selected one)
+  function openLists(purpose) {
+    const options = knownStorages(storage)
+      .filter(st => purpose === 'open' || st !== storage)
+      .map(st => {
+        let count = null;
+        try {
+          count = st === storage ? tasks.length : loadTasks(storageFile(st)).length;
+        } catch {
+          // Unreadable; the picker shows "?"
+        }
+        return {storage: st, count};
+      });
+    setListOptions(options);
+    setListsPurpose(purpose);
+    setListsIndex(Math.max(0, options.findIndex(o => o.storage === storage)));
+    setMode('lists');
+  }
+
+  function pickList(target) {
+    if (listsPurpose === 'open') {
+      // Create a new list's file right away so it shows up in the picker
+      try {
+        if (!fs.existsSync(storageFile(target))) saveTasks([], storageFile(target));
+      } catch (err) {
+        flash('Cannot create the list: ' + err.message, 'red', 3000);
+        return;
+      }
+      switchStorage(target);
+      return;
+    }
+    const row = rows[selectedSafe];
+    setMode('list');
+    sendToList(picked.length ? picked : row ? [row.task.id] : [], target, listsPurpose === 'copy');
+  }
+
+  useInputCompat((input, key) => {
+    if (mode !== 'lists') return;
+    // The last row is "New list…"
+    const last = listOptions.length;
+    if (key.escape) {
+      setMode('list');
+    } else if (key.upArrow || input === 'k') {
+      setListsIndex(i => clamp(i - 1, 0, last));
+    } else if (key.downArrow || input === 'j') {
+      setListsIndex(i => clamp(i + 1, 0, last));
+    } else if (key.return) {
+      if (listsIndex < last) {
+        pickList(listOptions[listsIndex].storage);
+        return;
+      }
+      setNewListValue('');
+      setNewListCursor(0);
+      setMode('newList');
+    }
+  }, {isActive: isRawModeSupported && mode === 'lists'});
+
+  const [newListValue, setNewListValue, newListCursor, setNewListCursor] = useTextInput({
+    initial: '',
+    active: isRawModeSupported && mode === 'newList',
+    onSubmit: text => {
+      if (mode !== 'newList' || !text) return;
+      if (!isListName(text)) {
+        flash('List names are letters, digits, "-", "_" and "." ("project" and "global" are taken)', 'red', 3000);
+        return;
+      }
+      pickList('list:' + text);
+    },
+    onCancel: () => {
+      if (mode === 'newList') setMode('lists');
+    }
+  });
+
+  const renderLists = () => {
+    const what = picked.length ? countTasks(picked.length) : 'task';
+    const title = listsPurpose === 'open' ? 'Lists' : (listsPurpose === 'copy' ? 'Copy ' : 'Move ') + what + ' to…';
+    const width = Math.max(12, ...listOptions.map(o => storageLabel(o.storage).length)) + 2;
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, title),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        ...listOptions.map((o, i) => React.createElement(Box, {key: o.storage},
+          React.createElement(Text, {color: i === listsIndex ? 'cyan' : undefined}, (i === listsIndex ? '> ' : '  ') + storageLabel(o.storage).padEnd(width, ' ')),
+          React.createElement(Text, {dimColor: true}, String(o.count == null ? '?' : o.count).padStart(4, ' ') + '  ' + formatDisplayPath(storageFile(o.storage))),
+          o.storage === storage && React.createElement(Text, {color: 'green'}, '  (open)')
+        )),
+        React.createElement(Text, {color: listsIndex === listOptions.length ? 'cyan' : undefined}, (listsIndex === listOptions.length ? '> ' : '  ') + 'New list…')
+      ),
+      mode === 'newList' && React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        React.createElement(Text, {bold: true}, 'Name of the new list'),
+        React.createElement(Box, null,
+          React.createElement(Text, null, '> '),
+          React.createElement(InputLine, {value: newListValue, cursor: newListCursor, width: columns - 3})
+        )
+      ),
+      notice && React.createElement(Text, {color: notice.color}, notice.text),
+      React.createElement(Text, {dimColor: true}, mode === 'newList' ? 'Enter: Create   Esc: Back' : '↑/↓ Select   Enter: ' + (listsPurpose === 'open' ? 'Open' : listsPurpose === 'copy' ? 'Copy here' : 'Move here') + '   Esc: Back')
+    );
+  };
+
+  // Import / export: write the list in another format to the current
+  // directory, or append tasks from a file
+  const transferOptions = FORMATS.map(f => ({format: f, label: 'Export as ' + FORMAT_LABELS[f]}))
+    .concat([{format: null, label: 'Import from file…'}]);
+
+  // Exports never replace a file: each goes to the first of
+  // notex-export.<ext>, notex-export-2.<ext>, … that does not exist yet
+  const exportFile = (format, n = 1) => path.join(process.cwd(), 'notex-export' + (n > 1 ? '-' + n : '') + FORMAT_EXTENSIONS[format]);
+
+  function freeExportFile(format) {
+    let n = 1;
+    while (fs.existsSync(exportFile(format, n))) n++;
+    return exportFile(format, n);
+  }
+
+  function writeExport(format, content) {
+    for (let n = 1; ; n++) {
+      const file = exportFile(format, n);
+      try {
+        fs.writeFileSync(file, content, {flag: 'wx'});
+        return file;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+  }
+
+  useInputCompat((input, key) => {
+    if (mode !== 'transfer') return;
+    if (key.escape) {
+      setMode('list');
+    } else if (key.upArrow || input === 'k') {
+      setTransferIndex(i => clamp(i - 1, 0, transferOptions.length - 1));
+    } else if (key.downArrow || input === 'j') {
+      setTransferIndex(i => clamp(i + 1, 0, transferOptions.length - 1));
+    } else if (key.return) {
+      const {format} = transferOptions[transferIndex];
+      if (!format) {
+        setImportValue('');
+        setImportCursor(0);
+        setMode('import');
+        return;
+      }
+      let file;
+      try {
+        file = writeExport(format, exportTasks(tasks, format) + '\n');
+      } catch (err) {
+        flash('Export failed: ' + err.message, 'red', 3000);
+        return;
+      }
+      setMode('list');
+      flash('Exported ' + countTasks(tasks.length) + ' to ' + formatDisplayPath(file), 'green', 2500);
+    }
+  }, {isActive: isRawModeSupported && mode === 'transfer'});
+
+  const [importValue, setImportValue, importCursor, setImportCursor] = useTextInput({
+    initial: '',
+    history: 'import',
+    active: isRawModeSupported && mode === 'import',
+    onSubmit: text => {
+      if (mode !== 'import' || !text.trim()) return;
+      const file = path.resolve(text.trim().replace(/^~(?=$|\/)/, os.homedir()));
+      let added;
+      try {
+        const content = fs.readFileSync(file, 'utf8');
+        added = importTasks(content, detectFormat(file, content), tasks, file);
+      } catch (err) {
+        flash('Import failed: ' + err.message, 'red', 3000);
+        return;
+      }
+      setMode('list');
+      if (!added.length) {
+        flash('No tasks found in ' + formatDisplayPath(file), 'yellow', 2500);
+        return;
+      }
+      const next = tasks.concat(added);
+      applyChange(next);
+      selectTask(next, added[0].id);
+      flash('Imported ' + countTasks(added.length) + ' from ' + formatDisplayPath(file), 'green', 2500);
+    },
+    onCancel: () => {
+      if (mode === 'import') setMode('transfer');
+    }
+  });
+
+  const renderTransfer = () => (
+    React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Import / export'),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        ...transferOptions.map((o, i) => React.createElement(Text, {key: i, color: i === transferIndex ? 'cyan' : undefined}, (i === transferIndex ? '> ' : '  ') + o.label + (o.format ? ' (' + path.basename(freeExportFile(o.format)) + ')' : '')))
       ),
-      React.createElement(Text, {dimColor: true}, 'Use ↑/↓ then Enter to select. Esc to cancel.')
+      mode === 'import' && React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        React.createElement(Text, {bold: true}, 'File to import (todo.txt, Markdown, CSV or JSON)'),
+        React.createElement(Box, null,
+          React.createElement(Text, null, '> '),
+          React.createElement(InputLine, {value: importValue, cursor: importCursor, width: columns - 3})
+        )
+      ),
+      notice && React.createElement(Text, {color: notice.color}, notice.text),
+      React.createElement(Text, {dimColor: true}, mode === 'import' ? 'Enter: Import   Esc: Back' : '↑/↓ Select   Enter: Run   Esc: Back')
+    )
+  );
+
+  // Archive mode: browse archived tasks, newest first, and restore them
+  const archived = useMemo(() => archiveEntries(archive), [archive]);
+
+  useInputCompat((input, key) => {
+    if (mode !== 'archive') return;
+    const last = Math.max(archived.length - 1, 0);
+    const entry = archived[clamp(archiveIndex, 0, last)];
+    if (key.escape) setMode('list');
+    else if (key.upArrow || input === 'k') setArchiveIndex(i => clamp(i - 1, 0, last));
+    else if (key.downArrow || input === 'j') setArchiveIndex(i => clamp(i + 1, 0, last));
+    else if ((key.return || input === ' ') && entry) {
+      if (!writable()) return;
+      const ok = saved(() => {
+        store.restore(entry.task.id);
+        return true;
+      }, false);
+      if (!ok) return;
+      flash('Restored "' + entry.task.text + '"' + (entry.subtasks ? ' with ' + countTasks(entry.subtasks).replace('task', 'subtask') : ''), 'green');
+    }
+  }, {isActive: isRawModeSupported && mode === 'archive'});
+
+  const renderArchive = () => {
+    const sel = clamp(archiveIndex, 0, Math.max(archived.length - 1, 0));
+    const visible = Math.max(3, (stdout && stdout.rows ? stdout.rows : 24) - 8);
+    const from = clamp(sel - Math.floor(visible / 2), 0, Math.max(0, archived.length - visible));
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Archive (' + archived.length + ')'),
+      React.createElement(Box, {flexDirection: 'column', marginY: 1},
+        archived.length === 0
+          ? React.createElement(Text, {dimColor: true}, 'Nothing archived yet. Press ' + keyHint('archive') + ' in the list to archive finished tasks.')
+          : archived.slice(from, from + visible).map((e, i) => (
+            React.createElement(Box, {key: e.task.id},
+              React.createElement(Text, {color: 'cyan'}, (from + i === sel ? '>' : ' ') + ' '),
+              React.createElement(Text, {color: 'green'}, '[x] '),
+              React.createElement(TaskText, {task: e.task}),
+              e.subtasks > 0 && React.createElement(Text, {dimColor: true}, '  +' + e.subtasks),
+              React.createElement(Text, {dimColor: true}, '  done ' + (e.task.completedAt ? toISODate(new Date(e.task.completedAt)) : '?'))
+            )
+          ))
+      ),
+      notice && React.createElement(Text, {color: notice.color}, notice.text),
+      React.createElement(Text, {dimColor: true}, '↑/↓ Select   Enter/Space Restore   u Undo   Esc Back')
+    );
+  };
+
+  // History mode: the journal as a timeline, redoable steps above "now" and
+  // undoable ones below it, newest first. Enter jumps to the state right
+  // after the chosen step.
+  const timeline = useMemo(() => [
+    ...future.map((entry, p) => ({entry, redo: future.length - p})),
+    {now: true},
+    ...history.slice().reverse().map((entry, q) => ({entry, undo: q})),
+    {start: true, undo: history.length}
+  ], [history, future]);
+
+  useInputCompat((input, key) => {
+    if (mode !== 'history') return;
+    const last = timeline.length - 1;
+    const item = timeline[clamp(historyIndex, 0, last)];
+    if (key.escape || input === 'q') setMode('list');
+    else if (key.upArrow || input === 'k') setHistoryIndex(i => clamp(i - 1, 0, last));
+    else if (key.downArrow || input === 'j') setHistoryIndex(i => clamp(i + 1, 0, last));
+    else if (key.return && item && !item.now) {
+      const n = item.redo ? travel(1, item.redo) : travel(-1, item.undo);
+      if (n) {
+        // Keep the cursor on "now"
+        setHistoryIndex(item.redo ? future.length - item.redo : future.length + item.undo);
+        flash((item.redo ? 'Redid ' : 'Undid ') + n + (n === 1 ? ' change' : ' changes'), 'green');
+      }
+    }
+  }, {isActive: isRawModeSupported && mode === 'history'});
+
+  const renderHistory = () => {
+    const sel = clamp(historyIndex, 0, timeline.length - 1);
+    const visible = Math.max(3, (stdout && stdout.rows ? stdout.rows : 24) - 8);
+    const from = clamp(sel - Math.floor(visible / 2), 0, Math.max(0, timeline.length - visible));
+    const today = toISODate(new Date());
+    const when = at => {
+      const d = new Date(at);
+      const time = d.toTimeString().slice(0, 8);
+      return toISODate(d) === today ? time : toISODate(d) + ' ' + time;
+    };
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'History (' + history.length + ' to undo, ' + future.length + ' to redo)'),
+      React.createElement(Box, {flexDirection: 'column', marginY: 1},
+        timeline.slice(from, from + visible).map((item, i) => (
+          React.createElement(Box, {key: item.entry ? item.entry.id : item.now ? 'now' : 'start'},
+            React.createElement(Text, {color: 'cyan'}, (from + i === sel ? '>' : ' ') + ' '),
+            item.now ? React.createElement(Text, {color: 'green', bold: true}, '── now ──')
+              : item.start ? React.createElement(Text, {dimColor: true}, 'Beginning of journal')
+              : React.createElement(Text, {dimColor: Boolean(item.redo)},
+                when(item.entry.at).padStart(19, ' ') + '  ' + describeEntry(item.entry))
+          )
+        ))
+      ),
+      notice && React.createElement(Text, {color: notice.color}, notice.text),
+      React.createElement(Text, {dimColor: true}, '↑/↓ Select   Enter Jump here   Esc Back')
+    );
+  };
+
+  // Board: the tasks (as filtered) in a column per workflow state. Keys are
+  // the board actions of the keymap: by default ←/→ and ↑/↓ move around,
+  // Shift+←/→ (or < and >) and 1–9 move the task to another column, Space to
+  // the last one and back.
+  const boardColumns = useMemo(() => states.map((name, i) => shownTasks.filter(t => stateIndex(t, states) === i)), [shownTasks, states]);
+
+  useInputCompat((input, key) => {
+    const column = clamp(boardCursor.column, 0, states.length - 1);
+    const cards = boardColumns[column];
+    const row = clamp(boardCursor.row, 0, Math.max(cards.length - 1, 0));
+    const task = cards[row];
+    const last = states.length - 1;
+    const moveTo = target => {
+      if (!task || target === column || target < 0 || target > last || !writable()) return;
+      const added = saved(() => store.setState([task.id], target, states));
+      if (!added) return;
+      showOccurrences(added);
+      // Follow the task to its new column
+      const placed = store.tasks.filter(t => matchesTerms(t, filterTerms) && stateIndex(t, states) === target);
+      setBoardCursor({column: target, row: Math.max(0, placed.findIndex(t => String(t.id) === String(task.id)))});
+    };
+    if (key.escape) {
+      setMode('list');
+      return;
+    }
+    const action = boardKeys(input, key);
+    if (action === 'boardClose') setMode('list');
+    else if (action === 'boardMoveLeft') moveTo(column - 1);
+    else if (action === 'boardMoveRight') moveTo(column + 1);
+    else if (action && action.startsWith('boardColumn')) moveTo(Number(action.slice(11)) - 1);
+    else if (action === 'boardDone') moveTo(column === last ? 0 : last);
+    else if (action === 'boardLeft') setBoardCursor({column: Math.max(0, column - 1), row});
+    else if (action === 'boardRight') setBoardCursor({column: Math.min(last, column + 1), row});
+    else if (action === 'boardUp') setBoardCursor({column, row: Math.max(0, row - 1)});
+    else if (action === 'boardDown') setBoardCursor({column, row: Math.min(Math.max(cards.length - 1, 0), row + 1)});
+    else if (action === 'boardShow' && task) {
+      revealTask(task.id);
+      setMode('list');
+    }
+  }, {isActive: isRawModeSupported && mode === 'board'});
+
+  // The board's keys from the keymap, the first of each action; actions
+  // without keys are left out
+  const boardHint = () => {
+    const first = id => keysFor(keymap, id)[0];
+    const pair = (a, b) => (first(a) && first(b) ? first(a) + '/' + first(b) : first(a) || first(b));
+    const columnKeys = [1, Math.min(9, states.length)].map(n => first('boardColumn' + n));
+    return [
+      [[pair('boardLeft', 'boardRight'), pair('boardUp', 'boardDown')].filter(Boolean).join(' '), 'Select'],
+      [pair('boardMoveLeft', 'boardMoveRight'), 'Move'],
+      [columnKeys.every(Boolean) && columnKeys.join('–'), 'Column'],
+      [first('boardDone'), 'Done'],
+      [first('boardShow'), 'List'],
+      ['Esc', 'Back']
+    ].filter(([keys]) => keys).map(([keys, label]) => keys + ' ' + label).join('  ');
+  };
+
+  const renderBoard = () => {
+    const gap = 1;
+    const width = Math.max(12, Math.floor((columns - gap * (states.length - 1)) / states.length));
+    // Cards per column, below the title, the column heading and borders
+    const height = Math.max(3, termRows - 10);
+    const active = clamp(boardCursor.column, 0, states.length - 1);
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Board  ' + countTasks(shownTasks.length) + (filterTerms.length ? '   Filter: ' + filterTerms.join(' ') : '')),
+      React.createElement(Box, {flexDirection: 'row', marginTop: 1},
+        ...states.map((name, i) => {
+          const cards = boardColumns[i];
+          const sel = i === active && cards.length ? clamp(boardCursor.row, 0, cards.length - 1) : -1;
+          const top = sel >= height ? sel - height + 1 : 0;
+          return React.createElement(Box, {key: name, flexDirection: 'column', width, flexShrink: 0, marginLeft: i ? gap : 0, borderStyle: 'round', borderColor: i === active ? 'cyan' : 'gray'},
+            React.createElement(Text, {bold: true, color: i === states.length - 1 ? 'green' : i > 0 ? 'yellow' : undefined, wrap: 'truncate-end'}, name + ' (' + cards.length + ')'),
+            top > 0 && React.createElement(Text, {dimColor: true}, '  … ' + top + ' more'),
+            cards.length === 0 && React.createElement(Text, {dimColor: true}, '  –'),
+            ...cards.slice(top, top + height).map((task, j) => React.createElement(Box, {key: task.id},
+              React.createElement(Box, {flexShrink: 0}, React.createElement(Text, {color: 'cyan'}, top + j === sel ? '> ' : '  ')),
+              React.createElement(TaskText, {task, wrap: 'truncate-end', dimColor: task.done})
+            )),
+            cards.length > top + height && React.createElement(Text, {dimColor: true}, '  … ' + (cards.length - top - height) + ' more')
+          );
+        })
+      ),
+      notice && React.createElement(Text, {color: notice.color}, notice.text),
+      React.createElement(Text, {dimColor: true}, boardHint())
+    );
+  };
+
+  // Stats mode: completions over the list and the archive
+  useInputCompat((input, key) => {
+    if (mode === 'stats' && (key.escape || input === 'i' || input === 'q')) setMode('list');
+  }, {isActive: isRawModeSupported && mode === 'stats'});
+
+  const renderStats = () => {
+    // Fit the day and week charts to the terminal height
+    const room = Math.max(11, (stdout && stdout.rows ? stdout.rows : 24) - 14);
+    const days = Math.min(14, Math.ceil(room * 0.6));
+    const stats = completionStats(tasks.concat(archive), new Date(), {days, weeks: Math.min(8, room - days)});
+    const cols = stdout && stdout.columns ? stdout.columns : 80;
+    const bar = (n, max) => '█'.repeat(max ? Math.round(n / max * Math.max(10, cols - 24)) : 0);
+    const dayMax = Math.max(...stats.perDay.map(d => d.count));
+    const weekMax = Math.max(...stats.perWeek.map(w => w.count));
+    const weekday = iso => fromISODate(iso).toLocaleDateString('en-US', {weekday: 'short'});
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Stats'),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        React.createElement(Text, null, 'Completed: ' + stats.total + ' (' + archive.length + ' archived)   Today: ' + stats.today),
+        React.createElement(Text, null, 'Current streak: ' + stats.streak + (stats.streak === 1 ? ' day' : ' days')),
+        React.createElement(Text, null, 'Average time to complete: ' + (stats.averageMs == null ? '–' : formatDuration(stats.averageMs)))
+      ),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        React.createElement(Text, {bold: true}, 'Per day'),
+        ...stats.perDay.map(d => React.createElement(Box, {key: d.date},
+          React.createElement(Text, {dimColor: true}, weekday(d.date) + ' ' + d.date.slice(5) + ' ' + String(d.count).padStart(3, ' ') + ' '),
+          React.createElement(Text, {color: 'green'}, bar(d.count, dayMax))
+        ))
+      ),
+      React.createElement(Box, {flexDirection: 'column', marginY: 1},
+        React.createElement(Text, {bold: true}, 'Per week (from Monday)'),
+        ...stats.perWeek.map(w => React.createElement(Box, {key: w.start},
+          React.createElement(Text, {dimColor: true}, '    ' + w.start.slice(5) + ' ' + String(w.count).padStart(3, ' ') + ' '),
+          React.createElement(Text, {color: 'cyan'}, bar(w.count, weekMax))
+        ))
+      ),
+      React.createElement(Text, {dimColor: true}, 'Esc Back')
+    );
+  };
+
+  // Time report: tracked time per task and per tag over the list and the
+  // archive, for a period picked with ←/→
+  useInputCompat((input, key) => {
+    if (key.escape || input === 'R' || input === 'q') setMode('list');
+    else if (key.leftArrow) setReportPeriod(p => Math.max(0, p - 1));
+    else if (key.rightArrow) setReportPeriod(p => Math.min(REPORT_PERIODS.length - 1, p + 1));
+  }, {isActive: isRawModeSupported && mode === 'report'});
+
+  const renderReport = () => {
+    const period = REPORT_PERIODS[reportPeriod];
+    const report = timeReport(tasks.concat(archive), parseSince(period.since), now);
+    const room = Math.max(3, Math.floor(((stdout && stdout.rows ? stdout.rows : 24) - 12) / 2));
+    const line = (label, ms, key, color) => React.createElement(Box, {key},
+      React.createElement(Text, {dimColor: true}, formatDuration(ms).padStart(8, ' ') + '  '),
+      React.createElement(Text, {color, wrap: 'truncate-end'}, label)
+    );
+    const section = (title, items) => React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+      React.createElement(Text, {bold: true}, title),
+      ...items.slice(0, room),
+      items.length > room && React.createElement(Text, {dimColor: true}, '          … ' + (items.length - room) + ' more')
+    );
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Box, null,
+        React.createElement(Text, {bold: true}, 'Time report  '),
+        ...REPORT_PERIODS.map((p, i) => React.createElement(Text, {key: p.since, inverse: i === reportPeriod, color: i === reportPeriod ? 'cyan' : undefined, dimColor: i !== reportPeriod}, ' ' + p.label + ' '))
+      ),
+      React.createElement(Text, null, 'Total: ' + formatDuration(report.total) + (running ? '   (running: ' + running.text + ')' : '')),
+      report.tasks.length === 0
+        ? React.createElement(Box, {marginTop: 1}, React.createElement(Text, {dimColor: true}, 'No time tracked ' + period.label.toLowerCase() + '. Press ' + keyHint('timer') + ' on a task to start its timer.'))
+        : [
+          React.createElement(React.Fragment, {key: 'tasks'}, section('Per task', report.tasks.map(r => line(r.task.text, r.ms, r.task.id, isRunning(r.task) ? 'yellow' : undefined)))),
+          React.createElement(React.Fragment, {key: 'tags'}, section('Per tag', report.tags.map(r => line(r.tag, r.ms, r.tag, r.tag[0] === '#' ? TOKEN_COLORS.tag : undefined))))
+        ],
+      React.createElement(Box, {marginTop: 1}, React.createElement(Text, {dimColor: true}, '←/→ Period   Esc Back'))
+    );
+  };
+
+  // Agenda: pending tasks with a due date, grouped Overdue / Today / This week / Later
+  const agendaItems = useMemo(() => {
+    const items = tasks
+      .map((task, index) => ({task, index}))
+      .filter(({task}) => task.due && !task.done)
+      .sort((a, b) => (a.task.due < b.task.due ? -1 : a.task.due > b.task.due ? 1 : a.index - b.index));
+    return items.map(item => ({...item, group: agendaGroup(item.task.due)}));
+  }, [tasks]);
+
+  // Show a task in the list, unfolding any collapsed ancestors
+  function revealTask(id, query = liveQuery) {
+    const byId = new Map(tasks.map(t => [String(t.id), t]));
+    const nextCollapsed = new Set(collapsed);
+    for (let t = byId.get(String(id)); t && t.parentId != null; t = byId.get(String(t.parentId))) {
+      nextCollapsed.delete(String(t.parentId));
+    }
+    setCollapsed(nextCollapsed);
+    const task = byId.get(String(id));
+    const terms = task && matchesTerms(task, filterTerms) ? filterTerms : [];
+    setFilterTerms(terms);
+    selectTask(tasks, id, {collapsed: nextCollapsed, terms, query});
+  }
+
+  useInputCompat((input, key) => {
+    if (mode !== 'agenda') return;
+    const last = Math.max(agendaItems.length - 1, 0);
+    const item = agendaItems[clamp(agendaIndex, 0, last)];
+    if (key.escape) setMode('list');
+    else if (key.upArrow || input === 'k') setAgendaIndex(i => clamp(i - 1, 0, last));
+    else if (key.downArrow || input === 'j') setAgendaIndex(i => clamp(i + 1, 0, last));
+    else if (input === ' ' && item) {
+      completeTasks([item.task.id], true);
+    } else if (key.return && item) {
+      revealTask(item.task.id);
+      setMode('list');
+    }
+  }, {isActive: isRawModeSupported && mode === 'agenda'});
+
+  const renderAgenda = () => {
+    const sel = clamp(agendaIndex, 0, Math.max(agendaItems.length - 1, 0));
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Agenda (' + agendaItems.length + ')'),
+      agendaItems.length === 0 && React.createElement(Text, {dimColor: true}, 'Nothing scheduled. Add due:<when> to a task, e.g. due:fri'),
+      ...AGENDA_GROUPS.filter(g => agendaItems.some(it => it.group === g)).map(group => (
+        React.createElement(Box, {key: group, flexDirection: 'column', marginTop: 1},
+          React.createElement(Text, {bold: true, color: AGENDA_COLORS[group]}, group),
+          ...agendaItems.map((it, i) => (it.group !== group ? null : (
+            React.createElement(Box, {key: it.task.id},
+              React.createElement(Text, {color: 'cyan'}, (i === sel ? '>' : ' ') + ' '),
+              React.createElement(Text, null, '[ ] '),
+              React.createElement(TaskText, {task: it.task}),
+              React.createElement(DueLabel, {task: it.task})
+            )
+          )))
+        )
+      )),
+      React.createElement(Text, {dimColor: true}, '↑/↓ Select   Space Done   Enter Show in list   Esc Back')
+    );
+  };
+
+  // Search mode: ↑/↓ move between hits while the text input has focus
+  useInputCompat((input, key) => {
+    if (mode !== 'search') return;
+    if (key.upArrow) setSelected(i => clamp(i - 1, 0, Math.max(rows.length - 1, 0)));
+    else if (key.downArrow) setSelected(i => clamp(i + 1, 0, Math.max(rows.length - 1, 0)));
+  }, {isActive: isRawModeSupported && mode === 'search'});
+
+  // Filter mode: tick priorities, tags, contexts and projects to narrow the list
+  const filterOptions = useMemo(() => collectTerms(tasks), [tasks]);
+
+  useInputCompat((input, key) => {
+    if (mode !== 'filter') return;
+    const last = Math.max(filterOptions.length - 1, 0);
+    const option = filterOptions[clamp(filterIndex, 0, last)];
+    if (key.escape) setMode('list');
+    else if (key.upArrow || input === 'k') setFilterIndex(i => clamp(i - 1, 0, last));
+    else if (key.downArrow || input === 'j') setFilterIndex(i => clamp(i + 1, 0, last));
+    else if (input === ' ' && option) {
+      setFilterDraft(d => (d.includes(option.term) ? d.filter(t => t !== option.term) : d.concat([option.term])));
+    } else if (input === 'c') {
+      setFilterDraft([]);
+    } else if (key.return) {
+      // Keep the selected task selected if it is still shown
+      const current = rows[selectedSafe];
+      setFilterTerms(filterDraft);
+      if (current) selectTask(tasks, current.task.id, {terms: filterDraft});
+      setMode('list');
+    }
+  }, {isActive: isRawModeSupported && mode === 'filter'});
+
+  const renderFilter = () => {
+    const sel = clamp(filterIndex, 0, Math.max(filterOptions.length - 1, 0));
+    const draftCount = tasks.filter(t => matchesTerms(t, filterDraft)).length;
+    return React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true}, 'Filter'),
+      React.createElement(Text, {dimColor: true}, 'Tasks must carry every ticked item (' + draftCount + ' match).'),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        filterOptions.length === 0
+          ? React.createElement(Text, {dimColor: true}, 'No priorities, #tags, @contexts or +projects in any task yet.')
+          : filterOptions.map((opt, i) => {
+              const kind = opt.term[0] === '!' ? null : {'#': 'tag', '@': 'context', '+': 'project'}[opt.term[0]];
+              const color = kind ? TOKEN_COLORS[kind] : PRIORITY_COLORS[opt.term.slice(1)];
+              return React.createElement(Box, {key: opt.term},
+                React.createElement(Text, {color: 'cyan'}, (i === sel ? '>' : ' ') + ' '),
+                React.createElement(Text, null, (filterDraft.includes(opt.term) ? '[x] ' : '[ ] ')),
+                React.createElement(Text, {color}, opt.term),
+                React.createElement(Text, {dimColor: true}, '  ' + opt.count)
+              );
+            })
+      ),
+      React.createElement(Text, {dimColor: true}, '↑/↓ Select   Space Tick   c Clear   Enter Apply   Esc Cancel')
+    );
+  };
+
+  // Recovery prompt: shown instead of the list when the storage file failed to load
+  const recoveryOptions = useMemo(() => {
+    if (!loadError) return [];
+    const options = store.backups().map(backup => ({kind: 'restore', backup, label: 'Restore ' + formatDisplayPath(backup.file) + ' (' + backup.tasks.length + ' tasks)'}));
+    options.push({kind: 'empty', label: 'Start with an empty list'});
+    options.push({kind: 'quit', label: 'Quit without saving'});
+    return options;
+  }, [store, loadError]);
+
+  useInputCompat((input, key) => {
+    if (mode !== 'recover') return;
+    if (key.upArrow || input === 'k') {
+      setRecoverIndex(i => clamp(i - 1, 0, recoveryOptions.length - 1));
+      return;
+    }
+    if (key.downArrow || input === 'j') {
+      setRecoverIndex(i => clamp(i + 1, 0, recoveryOptions.length - 1));
+      return;
+    }
+    if (key.return) {
+      const choice = recoveryOptions[clamp(recoverIndex, 0, recoveryOptions.length - 1)];
+      if (choice.kind === 'quit') {
+        exit();
+        return;
+      }
+      setSelected(0);
+      setMode('list');
+      store.recover(choice.kind === 'restore' ? choice.backup : null);
+    }
+  }, {isActive: isRawModeSupported && mode === 'recover'});
+
+  const renderRecover = () => (
+    React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true, color: 'red'}, 'Could not load tasks'),
+      React.createElement(Text, null, loadError ? loadError.message : ''),
+      loadError && (loadError.brokenCopy
+        ? React.createElement(Text, {dimColor: true}, 'A copy of the file was saved to ' + formatDisplayPath(loadError.brokenCopy))
+        : React.createElement(Text, {color: 'yellow'}, 'Could not back up the file; it will be overwritten on the next save.')),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        ...recoveryOptions.map((opt, i) => (
+          React.createElement(Text, {key: i, color: i === recoverIndex ? 'cyan' : undefined}, (i === recoverIndex ? '> ' : '  ') + opt.label)
+        ))
+      ),
+      React.createElement(Text, {dimColor: true}, 'Use ↑/↓ then Enter to choose. Nothing is saved until you do.')
+    )
+  );
+
+  // Conflict view: pick mine/theirs/both for each task both sides edited
+  useInputCompat((input, key) => {
+    if (mode !== 'conflict' || !conflict) return;
+    const last = conflict.conflicts.length - 1;
+    const choose = choice => setConflict(c => ({
+      ...c,
+      conflicts: c.conflicts.map((x, i) => (i === clamp(conflictIndex, 0, last) ? {...x, choice} : x))
+    }));
+    if (key.upArrow || input === 'k') setConflictIndex(i => clamp(i - 1, 0, last));
+    else if (key.downArrow || input === 'j') setConflictIndex(i => clamp(i + 1, 0, last));
+    else if (key.leftArrow || input === 'm') choose('ours');
+    else if (key.rightArrow || input === 't') choose('theirs');
+    else if (input === 'b') choose('both');
+    else if (key.escape) {
+      // Leave it for later: the choices are kept, and nothing is saved until
+      // it is resolved
+      setMode('list');
+      flash('Merge conflict left open: ' + keyHint('save') + ' to resolve it', 'yellow', 3000);
+    } else if (key.return) {
+      const {conflicts} = conflict;
+      setConflict(null);
+      setMode('list');
+      const ok = saved(() => {
+        store.resolveConflict(conflicts);
+        return true;
+      }, false);
+      // The conflict stays when the resolution cannot be saved
+      if (!ok) {
+        setConflict(conflict);
+        setMode('conflict');
+      }
+    }
+  }, {isActive: isRawModeSupported && mode === 'conflict'});
+
+  const describeSide = t => (t ? (t.done ? '[x] ' : '[ ] ') + t.text : '(deleted)');
+
+  const renderConflict = () => (
+    React.createElement(Box, {flexDirection: 'column'},
+      React.createElement(Text, {bold: true, color: 'yellow'}, 'Conflicting changes'),
+      React.createElement(Text, null, 'The file changed outside notex and both sides edited the same tasks.'),
+      React.createElement(Box, {flexDirection: 'column', marginTop: 1},
+        ...(conflict ? conflict.conflicts : []).map((c, i) => (
+          React.createElement(Box, {key: c.id, flexDirection: 'column', marginBottom: 1},
+            React.createElement(Text, {color: i === conflictIndex ? 'cyan' : undefined}, (i === conflictIndex ? '> ' : '  ') + 'Keep: ' + (c.choice === 'ours' ? 'mine' : c.choice === 'theirs' ? 'theirs' : 'both')),
+            React.createElement(Text, {color: c.choice !== 'theirs' ? 'green' : undefined, dimColor: c.choice === 'theirs'}, '    mine:   ' + describeSide(c.ours)),
+            React.createElement(Text, {color: c.choice !== 'ours' ? 'green' : undefined, dimColor: c.choice === 'ours'}, '    theirs: ' + describeSide(c.theirs))
+          )
+        ))
+      ),
+      React.createElement(Text, {dimColor: true}, '↑/↓ Select   ←/m Mine   →/t Theirs   b Both   Enter Apply   Esc Later')
     )
   );
 
   return React.createElement(Box, {flexDirection: 'column'},
     React.createElement(Text, {color: 'magentaBright', bold: true}, 'ink-notex'),
-    (mode === 'list' || mode === 'add') ? renderList() :
+    mode === 'recover' ? renderRecover() :
+    mode === 'conflict' ? renderConflict() :
+    (mode === 'list' || mode === 'add' || mode === 'search' || mode === 'tag') ? renderList() :
     mode === 'edit' ? renderEdit() :
+    mode === 'notes' ? renderNotes() :
     mode === 'help' ? renderHelp() :
+    mode === 'agenda' ? renderAgenda() :
+    mode === 'filter' ? renderFilter() :
+    (mode === 'transfer' || mode === 'import') ? renderTransfer() :
+    mode === 'archive' ? renderArchive() :
+    mode === 'stats' ? renderStats() :
+    mode === 'report' ? renderReport() :
+    mode === 'board' ? renderBoard() :
+    mode === 'history' ? renderHistory() :
+    (mode === 'lists' || mode === 'newList') ? renderLists() :
     renderSettings()
   );
 }
+
+// Take over the terminal with the app
+export function startApp() {
+  return render(React.createElement(App), {
+    isRawModeSupported: RAW_SUPPORTED,
+    exitOnCtrlC: false // handle Ctrl+C ourselves (double-press to exit)
+  });
+}
@@ -0,0 +1,52 @@
+// Workflow states, the columns of the board. They come from `states` in the
+// user config, in order (by default Todo, Doing, Done). The first column
+// holds open tasks and the last done ones, so `done` still decides those
+// two; a task in a state between them has its name in `state`. A task whose
+// state is no longer configured goes back to the first column.
+import {loadConfig} from './config.js';
+import {setTasksDone} from './recur.js';
+
+export const DEFAULT_STATES = ['Todo', 'Doing', 'Done'];
+
+// Returns {states, problem}: the configured states, or the defaults and a
+// message when they cannot be used
+export function parseStates(config = {}) {
+  if (config.states == null) return {states: DEFAULT_STATES, problem: null};
+  const states = Array.isArray(config.states) ? config.states.map(s => (typeof s === 'string' ? s.trim() : '')) : [];
+  if (states.length < 2 || states.some(s => !s) || new Set(states).size < states.length) {
+    return {states: DEFAULT_STATES, problem: '"states" must list at least two different names, e.g. ["Todo", "Doing", "Done"]'};
+  }
+  return {states, problem: null};
+}
+
+export function loadStates() {
+  return parseStates(loadConfig().config);
+}
+
+// The column a task is in
+export function stateIndex(task, states) {
+  if (task.done) return states.length - 1;
+  const index = states.indexOf(task.state);
+  return index > 0 && index < states.length - 1 ? index : 0;
+}
+
+// The name of a task's state when it is one between the first and the last
+export function middleState(task, states) {
+  const index = stateIndex(task, states);
+  return index > 0 && index < states.length - 1 ? states[index] : null;
+}
+
+// Put the tasks with `ids` in column `index`. The last column completes
+// them as Space does, recurring ones getting their next occurrence; leaving
+// it reopens them.
+export function setTasksState(tasks, ids, index, states) {
+  const last = states.length - 1;
+  const next = setTasksDone(tasks, ids, index === last);
+  if (index === last) return next;
+  const chosen = new Set(ids.map(String));
+  return next.map(t => {
+    if (!chosen.has(String(t.id))) return t;
+    const {state, ...rest} = t;
+    return index > 0 ? {...rest, state: states[index]} : rest;
+  });
+}
@@ -0,0 +1,77 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {savedArchive, archiveDone, archiveEntries, restoreArchived} from '../src/archive.js';
+import {completionStats, formatDuration} from '../src/stats.js';
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const ids = tasks => tasks.map(t => t.id);
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).getTime();
+
+test('savedArchive reads the archive key and skips junk', () => {
+  assert.deepEqual(savedArchive({}), []);
+  assert.deepEqual(savedArchive({archive: 'x'}), []);
+  assert.deepEqual(savedArchive({archive: [task(1), null, 3]}), [task(1)]);
+});
+
+test('archiveDone moves done tasks with their subtrees, not ones with open subtasks', () => {
+  const tasks = [
+    task(1, {done: true, completedAt: 5}),
+    task(2, {done: true, completedAt: 5, parentId: 1}),
+    task(3, {done: true, completedAt: 5}),
+    task(4, {parentId: 3}),
+    task(5, {done: true, completedAt: 50})
+  ];
+  const result = archiveDone(tasks, [task(9)], Infinity, 100);
+  assert.deepEqual(ids(result.tasks), [3, 4]);
+  assert.deepEqual(ids(result.archive), [9, 1, 2, 5]);
+  assert.equal(result.archive[1].archivedAt, 100);
+  assert.equal(result.count, 3);
+  // Only those completed before the cut-off
+  assert.deepEqual(ids(archiveDone(tasks, [], 10).archive), [1, 2]);
+});
+
+test('archiveEntries lists top archived tasks newest first with their subtask count', () => {
+  const archive = [task(1, {archivedAt: 1}), task(2, {parentId: 1, archivedAt: 1}), task(3, {archivedAt: 2}), task(4, {parentId: 8, archivedAt: 1})];
+  assert.deepEqual(archiveEntries(archive).map(e => [e.task.id, e.subtasks]), [[3, 0], [4, 0], [1, 1]]);
+});
+
+test('restoreArchived puts a task back under its parent or at the end', () => {
+  const archive = [task(2, {parentId: 1, archivedAt: 1}), task(3, {parentId: 2, archivedAt: 1}), task(5, {parentId: 9, archivedAt: 1})];
+  const tasks = [task(1), task(4)];
+  const back = restoreArchived(tasks, archive, 2);
+  assert.deepEqual(ids(back.tasks), [1, 2, 3, 4]);
+  assert.equal('archivedAt' in back.tasks[1], false);
+  assert.deepEqual(ids(back.archive), [5]);
+  // Its parent is gone: top level, at the end
+  const orphan = restoreArchived(tasks, archive, 5);
+  assert.deepEqual(ids(orphan.tasks), [1, 4, 5]);
+  assert.equal(orphan.tasks[2].parentId, null);
+  assert.equal(restoreArchived(tasks, archive, 7).archive, archive);
+});
+
+test('completionStats counts per day and week, the average and the streak', () => {
+  const now = new Date(2026, 9, 15, 18); // a Thursday
+  const tasks = [
+    task(1, {done: true, createdAt: at(13), completedAt: at(13, 14)}),
+    task(2, {done: true, createdAt: at(14), completedAt: at(14, 16)}),
+    task(3, {done: true, createdAt: at(14), completedAt: at(14, 18)}),
+    task(4, {done: true, createdAt: at(1), completedAt: at(5)}),
+    task(5, {createdAt: at(1)})
+  ];
+  const stats = completionStats(tasks, now, {days: 3, weeks: 2});
+  assert.deepEqual(stats.perDay, [{date: '2026-10-13', count: 1}, {date: '2026-10-14', count: 2}, {date: '2026-10-15', count: 0}]);
+  assert.deepEqual(stats.perWeek, [{start: '2026-10-05', count: 1}, {start: '2026-10-12', count: 3}]);
+  assert.deepEqual([stats.total, stats.today], [4, 0]);
+  // Nothing done yet today does not break the streak
+  assert.equal(stats.streak, 2);
+  assert.equal(stats.averageMs, (2 + 4 + 6) * 3600000 / 4 + 4 * 86400000 / 4);
+  assert.equal(completionStats([], now).averageMs, null);
+});
+
+test('formatDuration shows the two largest units', () => {
+  assert.equal(formatDuration(30000), '<1m');
+  assert.equal(formatDuration(12 * 60000), '12m');
+  assert.equal(formatDuration(5 * 3600000 + 10 * 60000), '5h 10m');
+  assert.equal(formatDuration(3 * 86400000 + 4 * 3600000 + 59 * 60000), '3d 4h');
+  assert.equal(formatDuration(2 * 3600000), '2h');
+});
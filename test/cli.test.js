@@ -0,0 +1,94 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {run} from '../src/cli.js';
+import {loadTasks, saveTasks} from '../src/persist.js';
+import {readJournal} from '../src/journal.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-cli-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+// Run a command, returning its exit code and what it printed
+async function notex(...argv) {
+  const printed = [];
+  const {write: out} = process.stdout;
+  const {write: err} = process.stderr;
+  process.stdout.write = process.stderr.write = chunk => printed.push(String(chunk));
+  try {
+    return {code: await run(argv), printed: printed.join('')};
+  } finally {
+    process.stdout.write = out;
+    process.stderr.write = err;
+  }
+}
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const texts = tasks => tasks.map(t => t.text);
+
+test('move takes tasks to another list and journals both lists', async t => {
+  const dir = tempDir(t);
+  const from = path.join(dir, 'from.json');
+  const to = path.join(dir, 'to.json');
+  saveTasks([task(1), task(2, {parentId: 1}), task(3)], from);
+  saveTasks([task(9)], to);
+  const {code, printed} = await notex('move', '1', '--to', to, '--file', from);
+  assert.equal(code, 0);
+  assert.match(printed, /^Moved 2 tasks to to\.json/);
+  assert.deepEqual(texts(loadTasks(from)), ['task 3']);
+  assert.deepEqual(texts(loadTasks(to)), ['task 9', 'task 1', 'task 2']);
+  assert.equal(readJournal(from).length, 1);
+  assert.equal(readJournal(to).length, 1);
+  assert.equal((await notex('copy', '1', '--to', to, '--file', from)).code, 0);
+  assert.deepEqual(texts(loadTasks(from)), ['task 3']);
+  assert.deepEqual(texts(loadTasks(to)), ['task 9', 'task 1', 'task 2', 'task 3']);
+});
+
+test('a move the source list cannot save leaves both lists as they were', async t => {
+  const dir = tempDir(t);
+  const from = path.join(dir, 'from.json');
+  const to = path.join(dir, 'to.json');
+  saveTasks([task(1), task(2)], from);
+  saveTasks([task(9)], to);
+  // The temporary file the save writes first cannot be created
+  fs.mkdirSync(from + '.' + process.pid + '.tmp');
+  const {code, printed} = await notex('move', '2', '--to', to, '--file', from);
+  assert.equal(code, 1);
+  assert.match(printed, /^notex: Cannot write /);
+  assert.deepEqual(texts(loadTasks(from)), ['task 1', 'task 2']);
+  assert.deepEqual(texts(loadTasks(to)), ['task 9']);
+  assert.deepEqual(readJournal(to), []);
+});
+
+test('move refuses a target that cannot be read', async t => {
+  const dir = tempDir(t);
+  const from = path.join(dir, 'from.json');
+  const to = path.join(dir, 'to.json');
+  saveTasks([task(1)], from);
+  fs.writeFileSync(to, '{"tasks": [');
+  assert.equal((await notex('move', '1', '--to', to, '--file', from)).code, 1);
+  assert.deepEqual(texts(loadTasks(from)), ['task 1']);
+  assert.equal(fs.readFileSync(to, 'utf8'), '{"tasks": [');
+});
+
+test('scan names the directory it cannot find', async t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  saveTasks([], file);
+  const {code, printed} = await notex('scan', path.relative(process.cwd(), path.join(dir, 'gone')), '--file', file);
+  assert.equal(code, 1);
+  assert.equal(printed, 'notex: ' + path.join(dir, 'gone') + ' is not a directory\n');
+});
+
+test('edit keeps the day a monthly rule falls on unless the due date changes', async t => {
+  const file = path.join(tempDir(t), 'tasks.json');
+  saveTasks([task(1, {due: '2026-02-28', recur: {every: 1, unit: 'month', day: 31}})], file);
+  await notex('edit', '1', 'rent every:month', '--file', file);
+  assert.deepEqual(loadTasks(file)[0].recur, {every: 1, unit: 'month', day: 31});
+  await notex('edit', '1', 'rent due:2026-03-15', '--file', file);
+  assert.deepEqual(loadTasks(file)[0].recur, {every: 1, unit: 'month'});
+});
@@ -0,0 +1,59 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {addMonths, toISODate, fromISODate, parseDue, extractDue, daysUntil, dueStatus, formatDue, agendaGroup} from '../src/dates.js';
+
+// Wednesday 2026-10-14, mid-morning local time
+const now = new Date(2026, 9, 14, 10, 30);
+
+test('parseDue reads names, dates, weekdays and offsets', () => {
+  assert.equal(parseDue('today', now), '2026-10-14');
+  assert.equal(parseDue('tomorrow', now), '2026-10-15');
+  assert.equal(parseDue('2026-11-03', now), '2026-11-03');
+  assert.equal(parseDue('fri', now), '2026-10-16');
+  assert.equal(parseDue('wed', now), '2026-10-14');
+  assert.equal(parseDue('mon', now), '2026-10-19');
+  assert.equal(parseDue('3d', now), '2026-10-17');
+  assert.equal(parseDue('in 2 weeks', now), '2026-10-28');
+  assert.equal(parseDue('+1m', now), '2026-11-14');
+});
+
+test('parseDue rejects what it cannot read', () => {
+  assert.equal(parseDue('', now), null);
+  assert.equal(parseDue('someday', now), null);
+  assert.equal(parseDue('2026-02-31', now), null);
+  assert.equal(parseDue('fr', now), null);
+});
+
+test('addMonths clamps to the end of shorter months', () => {
+  assert.equal(toISODate(addMonths(new Date(2026, 0, 31), 1)), '2026-02-28');
+  assert.equal(toISODate(addMonths(new Date(2028, 0, 31), 1)), '2028-02-29');
+  assert.equal(toISODate(addMonths(new Date(2026, 11, 15), 2)), '2027-02-15');
+});
+
+test('fromISODate and toISODate round-trip local dates', () => {
+  assert.equal(toISODate(fromISODate('2026-03-29')), '2026-03-29');
+  assert.equal(fromISODate('2026-3-29'), null);
+});
+
+test('extractDue takes the token out of the text', () => {
+  assert.deepEqual(extractDue('pay rent due:fri #home', now), {text: 'pay rent #home', due: '2026-10-16'});
+  assert.deepEqual(extractDue('call due:in 3 days', now), {text: 'call', due: '2026-10-17'});
+  assert.deepEqual(extractDue('no date here', now), {text: 'no date here', due: null});
+  assert.deepEqual(extractDue('later due:soon', now), {text: 'later due:soon', due: null, invalid: 'soon'});
+});
+
+test('due status, label and agenda group count whole days', () => {
+  assert.equal(daysUntil('2026-10-12', now), -2);
+  assert.equal(dueStatus('2026-10-12', now), 'overdue');
+  assert.equal(dueStatus('2026-10-14', now), 'today');
+  assert.equal(dueStatus('2026-10-20', now), 'upcoming');
+  assert.equal(dueStatus(null, now), null);
+  assert.equal(formatDue('2026-10-12', now), '2026-10-12 (2d overdue)');
+  assert.equal(formatDue('2026-10-15', now), 'tomorrow');
+  assert.equal(formatDue('2026-10-17', now), 'sat');
+  assert.equal(formatDue('2026-10-30', now), '2026-10-30');
+  assert.equal(agendaGroup('2026-10-13', now), 'Overdue');
+  assert.equal(agendaGroup('2026-10-14', now), 'Today');
+  assert.equal(agendaGroup('2026-10-21', now), 'This week');
+  assert.equal(agendaGroup('2026-10-22', now), 'Later');
+});
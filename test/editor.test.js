@@ -0,0 +1,62 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {editorCommand, editText, editFileAt} from '../src/editor.js';
+
+// Set environment variables for one test; undefined removes one
+function setEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  const apply = values => {
+    for (const [k, v] of Object.entries(values)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  };
+  apply(vars);
+  t.after(() => apply(saved));
+}
+
+// An "editor" that writes its arguments to args.json and appends a line to
+// the file it was given last
+function fakeEditor(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-editor-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const script = path.join(dir, name);
+  fs.writeFileSync(script, '#!/bin/sh\nnode -e "require(\'fs\').writeFileSync(process.argv[1], JSON.stringify(process.argv.slice(2)))" ' + JSON.stringify(path.join(dir, 'args.json')) + ' "$@"\nfor last; do :; done\n[ -f "$last" ] && echo added >> "$last"\nexit 0\n');
+  fs.chmodSync(script, 0o755);
+  setEnv(t, {VISUAL: undefined, EDITOR: script});
+  return () => JSON.parse(fs.readFileSync(path.join(dir, 'args.json'), 'utf8'));
+}
+
+test('the editor is $VISUAL, then $EDITOR, then vi', t => {
+  setEnv(t, {VISUAL: 'nano', EDITOR: 'emacs'});
+  assert.equal(editorCommand(), 'nano');
+  process.env.VISUAL = '';
+  assert.equal(editorCommand(), 'emacs');
+  process.env.EDITOR = '';
+  assert.equal(editorCommand(), 'vi');
+});
+
+test('editText returns what the editor saved and cleans up', t => {
+  const args = fakeEditor(t, 'ed');
+  assert.deepEqual(editText('- [ ] first\n'), {text: '- [ ] first\nadded\n'});
+  const [file] = args();
+  assert.equal(path.basename(file), 'notes.md');
+  assert.ok(!fs.existsSync(path.dirname(file)));
+});
+
+test('editFileAt passes the line the way the editor wants it', t => {
+  const args = fakeEditor(t, 'vim');
+  assert.equal(editFileAt('/src/a.js', 12), null);
+  assert.deepEqual(args(), ['+12', '/src/a.js']);
+  const code = fakeEditor(t, 'code');
+  editFileAt('/src/a.js', 12);
+  assert.deepEqual(code(), ['--goto', '/src/a.js:12']);
+});
+
+test('a failing editor is reported', t => {
+  setEnv(t, {VISUAL: undefined, EDITOR: 'exit 3;'});
+  assert.deepEqual(editText('x'), {error: 'exit 3; exited with status 3'});
+});
@@ -0,0 +1,92 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {FORMATS, detectFormat, exportTasks, importTasks, FormatError} from '../src/formats.js';
+import {parseInput} from '../src/tasks.js';
+import {stripPriority} from '../src/tokens.js';
+import {depths} from '../src/tree.js';
+import {toISODate} from '../src/dates.js';
+
+const at = (day, hour = 9) => new Date(2026, 9, day, hour).getTime();
+
+function make(id, input, extra = {}) {
+  const {text, fields} = parseInput(input);
+  return {id, text, done: false, createdAt: at(1), completedAt: null, parentId: null, ...fields, ...extra};
+}
+
+const tasks = [
+  make(1, '!1 write report #work due:2026-11-03 every:2w'),
+  make(2, 'outline, with "quotes" @desk', {parentId: 1, done: true, completedAt: at(5, 17)}),
+  make(3, 'check figures !2 after:10d', {parentId: 1}),
+  make(4, 'buy milk +home !3 every:mon,thu', {createdAt: at(3)}),
+  make(5, 'stand-up every:weekday'),
+  make(6, 'water plants every:week', {parentId: 5})
+];
+
+// What every format keeps: the tree, the words, the markers, dates by day
+const day = ms => (ms ? toISODate(new Date(ms)) : null);
+const shape = list => list.map((t, i) => ({
+  depth: depths(list)[i],
+  text: stripPriority(t.text).trim(),
+  done: t.done,
+  priority: t.priority ?? null,
+  due: t.due ?? null,
+  recur: t.recur ?? null,
+  tags: t.tags,
+  contexts: t.contexts,
+  projects: t.projects,
+  created: day(t.createdAt),
+  completed: day(t.completedAt)
+}));
+
+for (const format of FORMATS) {
+  test(format + ' export imports back to the same tasks', () => {
+    const back = importTasks(exportTasks(tasks, format), format);
+    // todo.txt has no subtasks
+    const flat = list => shape(list).map(t => (format === 'todotxt' ? {...t, depth: 0} : t));
+    assert.deepEqual(flat(back), flat(tasks));
+  });
+}
+
+test('csv and json keep exact times, with new ids past the existing list', () => {
+  const existing = [make(Date.now() + 60000, 'already here')];
+  const back = importTasks(exportTasks(tasks, 'csv'), 'csv', existing);
+  const first = existing[0].id + 1;
+  assert.deepEqual(back.map(t => t.id), [first, first + 1, first + 2, first + 3, first + 4, first + 5]);
+  assert.deepEqual(back.map(t => t.parentId), [null, first, first, null, null, first + 4]);
+  assert.equal(back[1].completedAt, at(5, 17));
+  const json = importTasks(exportTasks(tasks, 'json'), 'json', existing);
+  assert.equal(json[3].createdAt, at(3));
+});
+
+test('Markdown recurrences are written in Obsidian Tasks words', () => {
+  const lines = exportTasks(tasks, 'md').split('\n');
+  assert.equal(lines[0], '- [ ] write report #work ⏫ 🔁 every 2 weeks ➕ 2026-10-01 📅 2026-11-03');
+  assert.match(lines[2], /🔁 every 10 days when done/);
+  assert.match(lines[3], /🔁 every Monday, Thursday/);
+  const [task] = importTasks('- [ ] pay rent 🔁 every month when done 📅 2026-11-01', 'md');
+  assert.deepEqual([task.text, task.recur, task.due], ['pay rent', {every: 1, unit: 'month', after: true}, '2026-11-01']);
+});
+
+test('todo.txt reads priorities, completion and creation dates', () => {
+  const [open, done] = importTasks('(D) 2026-10-02 call Bob\nx 2026-10-06 2026-10-02 file taxes pri:B\n', 'todotxt');
+  assert.equal(open.priority, 3);
+  assert.equal(day(open.createdAt), '2026-10-02');
+  assert.equal(done.done, true);
+  assert.equal(done.priority, 2);
+  assert.equal(day(done.completedAt), '2026-10-06');
+});
+
+test('detectFormat goes by extension, then by content', () => {
+  assert.equal(detectFormat('tasks.md', ''), 'md');
+  assert.equal(detectFormat('todo.TXT', ''), 'todotxt');
+  assert.equal(detectFormat(null, '{"tasks": []}'), 'json');
+  assert.equal(detectFormat(null, '  - [ ] a\n'), 'md');
+  assert.equal(detectFormat(null, 'id,text,done\n1,a,false'), 'csv');
+  assert.equal(detectFormat(null, 'call Bob'), 'todotxt');
+});
+
+test('unknown formats and CSV without text are errors', () => {
+  assert.throws(() => exportTasks(tasks, 'xml'), FormatError);
+  assert.throws(() => importTasks('', 'xml'), FormatError);
+  assert.throws(() => importTasks('id,name\n1,a', 'csv'), /no "text" column/);
+});
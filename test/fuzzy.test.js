@@ -0,0 +1,25 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {fuzzyMatch} from '../src/fuzzy.js';
+
+test('query characters must appear in order, ignoring case and spaces', () => {
+  assert.deepEqual(fuzzyMatch('', 'anything'), {score: 0, positions: []});
+  assert.deepEqual(fuzzyMatch('FL', 'fix login').positions, [0, 4]);
+  assert.deepEqual(fuzzyMatch('f l', 'fix login').positions, [0, 4]);
+  assert.equal(fuzzyMatch('lf', 'fix login'), null);
+  assert.equal(fuzzyMatch('xyz', 'fix login'), null);
+});
+
+test('a contiguous hit is marked where it is and beats a scattered one', () => {
+  assert.deepEqual(fuzzyMatch('log', 'fix login').positions, [4, 5, 6]);
+  assert.ok(fuzzyMatch('log', 'fix login').score > fuzzyMatch('log', 'lots of gin').score);
+  // At a word start it scores higher still
+  assert.ok(fuzzyMatch('in', 'fix #inbox').score > fuzzyMatch('in', 'fix login').score);
+});
+
+test('word starts are preferred unless a later character needs them', () => {
+  assert.deepEqual(fuzzyMatch('fb', 'fix foo bar').positions, [0, 8]);
+  // Jumping to the word start "b" of "bb" would leave no "z" after it
+  assert.deepEqual(fuzzyMatch('bz', 'xbaz bb').positions, [1, 3]);
+  assert.ok(fuzzyMatch('fb', 'fix bar').score > fuzzyMatch('fb', 'xfxxxxb').score);
+});
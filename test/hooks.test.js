@@ -0,0 +1,93 @@
+import {test, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {once} from 'events';
+import os from 'os';
+import path from 'path';
+import {parseHooks, taskEvents, fireHook} from '../src/hooks.js';
+import {TaskStore} from '../src/store.js';
+
+// Hooks come from the user config, read once per process: point it at one
+// made for these tests before the first event fires
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-hooks-'));
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+process.env.XDG_CONFIG_HOME = dir;
+fs.mkdirSync(path.join(dir, 'notex'));
+fs.writeFileSync(path.join(dir, 'notex', 'hook.mjs'), 'import fs from "fs";\nexport default (task, {event, file}) => {\n  if (task.text === "throw") throw new TypeError("bad task");\n  fs.appendFileSync(file + ".done", event + " " + task.text + "\\n");\n};\n');
+fs.writeFileSync(path.join(dir, 'notex', 'config.json'), JSON.stringify({
+  hooks: {
+    'task:add': 'cat >> added.jsonl; echo "$NOTEX_EVENT $NOTEX_FILE" >> added.jsonl',
+    'task:done': {module: 'hook.mjs'},
+    'task:delete': {command: 'sleep 5', timeout: 200},
+    save: ['echo "cannot push" >&2; exit 2']
+  }
+}));
+
+const lists = fs.mkdtempSync(path.join(dir, 'lists-'));
+const file = path.join(lists, 'tasks.json');
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+
+test('parseHooks takes commands and modules and reports what it cannot use', () => {
+  const {hooks, problems} = parseHooks({hooks: {
+    'task:add': ['a.sh', {module: 'm.mjs', timeout: 100}],
+    save: {command: ' '},
+    'task:done': {command: 'x', timeout: -1},
+    later: 'x'
+  }}, '/cfg');
+  assert.deepEqual(hooks['task:add'], [{command: 'a.sh', timeout: 5000}, {module: path.resolve('/cfg', 'm.mjs'), timeout: 100}]);
+  assert.deepEqual(problems, [
+    'A "save" hook needs a command or a module',
+    'Hook timeout for "task:done" must be a positive number of milliseconds',
+    'Unknown hook event "later" (use task:add, task:done, task:delete, save)'
+  ]);
+  assert.deepEqual(parseHooks({hooks: []}).problems, ['"hooks" must be an object of event names']);
+  assert.deepEqual(parseHooks({}), {hooks: {}, problems: []});
+});
+
+test('taskEvents finds adds, completions and deletes but not archiving', () => {
+  const done = task(2, {done: true});
+  const ops = [
+    {op: 'add', task: task(1)},
+    {op: 'toggle', id: 2, before: {done: false}, after: {done: true}},
+    {op: 'delete', task: task(3)},
+    {op: 'delete', task: task(4)},
+    {op: 'add', list: 'archive', task: task(4)},
+    {op: 'toggle', id: 5, before: {done: true}, after: {done: false}}
+  ];
+  assert.deepEqual(taskEvents(ops, [task(1), done]), [
+    {event: 'task:add', task: task(1)},
+    {event: 'task:done', task: done},
+    {event: 'task:delete', task: task(3)}
+  ]);
+});
+
+test('a command hook gets the task on stdin, the event and file, in the list directory', async () => {
+  assert.deepEqual(await fireHook('task:add', task(1), file), []);
+  const [payload, env] = fs.readFileSync(path.join(lists, 'added.jsonl'), 'utf8').trim().split('\n');
+  assert.deepEqual(JSON.parse(payload), task(1));
+  assert.equal(env, 'task:add ' + file);
+});
+
+test('a module hook is called with the task, and its throw is reported', async () => {
+  assert.deepEqual(await fireHook('task:done', task(1), file), []);
+  assert.equal(fs.readFileSync(file + '.done', 'utf8'), 'task:done task 1\n');
+  assert.deepEqual(await fireHook('task:done', task(2, {text: 'throw'}), file), ['Hook task:done (hook.mjs) failed: exit 1: TypeError: bad task']);
+});
+
+test('failing and slow hooks are reported, not waited for', async () => {
+  assert.deepEqual(await fireHook('save', {file, tasks: []}, file), ['Hook save (echo "cannot push" >&2; exit 2) failed: exit 2: cannot push']);
+  const started = Date.now();
+  assert.deepEqual(await fireHook('task:delete', task(1), file), ['Hook task:delete (sleep 5) failed: timed out after 0.2s']);
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('the store fires the hooks of its changes after saving', async () => {
+  const store = new TaskStore(path.join(lists, 'store.json'));
+  const failed = once(store, 'hook');
+  store.add('one');
+  assert.deepEqual(await failed, [{message: 'Hook save (echo "cannot push" >&2; exit 2) failed: exit 2: cannot push'}]);
+  // Hooks run in the order they were fired, so the add hook is done once a
+  // later one is
+  await fireHook('task:add', task(9), file);
+  assert.match(fs.readFileSync(path.join(lists, 'added.jsonl'), 'utf8'), /"text":"one"[^]*"text":"task 9"/);
+});
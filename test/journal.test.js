@@ -0,0 +1,104 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {diffState, invertOps, applyEntry, undoStacks, describeEntry, newEntry, appendEntry, readJournal, compactJournal, journalFile} from '../src/journal.js';
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const ids = tasks => tasks.map(t => t.id);
+
+// Undo is the inverse operations applied to the changed state
+function roundTrip(prev, next) {
+  const ops = diffState(prev, next);
+  assert.deepEqual(applyEntry(prev, ops), next);
+  assert.deepEqual(applyEntry(next, invertOps(ops)), prev);
+  return ops;
+}
+
+test('an add, a delete and an edit are one operation each', () => {
+  const prev = {tasks: [task(1), task(2), task(3)], archive: []};
+  const next = {tasks: [task(1, {text: 'renamed'}), task(3), task(4)], archive: prev.archive};
+  const ops = roundTrip(prev, next);
+  assert.deepEqual(ops.map(o => o.op).sort(), ['add', 'delete', 'edit']);
+  const edit = ops.find(o => o.op === 'edit');
+  assert.deepEqual([edit.before, edit.after], [{text: 'task 1'}, {text: 'renamed'}]);
+});
+
+test('completing a task is a toggle, also when it leaves a workflow state', () => {
+  const prev = {tasks: [task(1, {state: 'Doing'})], archive: []};
+  const next = {tasks: [task(1, {done: true, completedAt: 5})], archive: prev.archive};
+  const ops = diffState(prev, next);
+  assert.deepEqual(ops.map(o => o.op), ['toggle']);
+  // A field that is gone comes back as null
+  assert.deepEqual(applyEntry(prev, ops).tasks, [{...next.tasks[0], state: null}]);
+  assert.deepEqual(applyEntry(next, invertOps(ops)).tasks, [{...prev.tasks[0], completedAt: null}]);
+  assert.equal(describeEntry({ops}), 'Done "task 1"');
+});
+
+test('only the task that changed place is a move', () => {
+  const prev = {tasks: [task(1), task(2), task(3), task(4)], archive: []};
+  const next = {tasks: [task(2), task(3), task(1), task(4)], archive: prev.archive};
+  const ops = roundTrip(prev, next);
+  assert.deepEqual(ops.map(o => [o.op, o.id]), [['move', 1]]);
+});
+
+test('indenting is a move to a new parent', () => {
+  const prev = {tasks: [task(1), task(2)], archive: []};
+  const next = {tasks: [task(1), task(2, {parentId: 1})], archive: prev.archive};
+  const ops = roundTrip(prev, next);
+  assert.deepEqual(ops.map(o => o.op), ['move']);
+  assert.deepEqual([ops[0].from.parentId, ops[0].to.parentId], [null, 1]);
+});
+
+test('archiving touches both lists and undoes as one', () => {
+  const done = task(2, {done: true});
+  const prev = {tasks: [task(1), done], archive: []};
+  const next = {tasks: [task(1)], archive: [done]};
+  const ops = roundTrip(prev, next);
+  assert.deepEqual(ops.map(o => [o.op, o.list]), [['delete', undefined], ['add', 'archive']]);
+  assert.equal(describeEntry({ops}), 'Archive "task 2"');
+});
+
+test('undo still applies after other changes around the task', () => {
+  const prev = {tasks: [task(1), task(2)], archive: []};
+  const ops = diffState(prev, {tasks: [task(1), task(3), task(2)], archive: prev.archive});
+  // Task 1 was deleted and task 4 added since
+  const later = {tasks: [task(4), task(3), task(2)], archive: []};
+  assert.deepEqual(ids(applyEntry(later, invertOps(ops)).tasks), [4, 2]);
+});
+
+test('a list no operation touches comes back as the same array', () => {
+  const state = {tasks: [task(1)], archive: [task(9)]};
+  const ops = diffState(state, {tasks: [task(1, {text: 'x'})], archive: state.archive});
+  assert.equal(applyEntry(state, ops).archive, state.archive);
+});
+
+test('undoStacks replays undo and redo entries', () => {
+  const a = {id: 'a', ops: []};
+  const b = {id: 'b', ops: []};
+  assert.deepEqual(undoStacks([a, b, {id: 'u1', undo: 'b'}]), {done: [a], undone: [b]});
+  assert.deepEqual(undoStacks([a, b, {id: 'u1', undo: 'b'}, {id: 'r1', redo: 'b'}]), {done: [a, b], undone: []});
+  // A new change drops what could be redone
+  const c = {id: 'c', ops: []};
+  assert.deepEqual(undoStacks([a, b, {id: 'u1', undo: 'b'}, c]), {done: [a, c], undone: []});
+  // Undoing an entry that is no longer there is ignored
+  assert.deepEqual(undoStacks([a, {id: 'u1', undo: 'zz'}]), {done: [a], undone: []});
+});
+
+test('the journal file skips torn lines and is compacted to the retained entries', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-journal-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const file = path.join(dir, 'tasks.json');
+  for (let i = 0; i < 12; i++) appendEntry(file, newEntry({ops: [], n: i}));
+  fs.appendFileSync(journalFile(file), '{"id": "torn');
+  assert.deepEqual(readJournal(file).map(e => e.n), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  assert.deepEqual(readJournal(file, 3).map(e => e.n), [9, 10, 11]);
+  // Rewritten only once well past the limit
+  assert.equal(compactJournal(file, 10000), false);
+  assert.equal(compactJournal(file, 0), false);
+  fs.writeFileSync(journalFile(file), '');
+  for (let i = 0; i < 230; i++) appendEntry(file, newEntry({ops: [], n: i}));
+  assert.equal(compactJournal(file, 20), true);
+  assert.deepEqual(readJournal(file).map(e => e.n), Array.from({length: 20}, (_, i) => 210 + i));
+});
@@ -0,0 +1,84 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ACTIONS, PRESET_NAMES, parseKeys, keyName, keyLabel, buildKeymap, keysFor, keyMatcher} from '../src/keymap.js';
+
+// Ink's key flags, all off unless given
+const key = (flags = {}) => ({upArrow: false, downArrow: false, leftArrow: false, rightArrow: false, pageUp: false, pageDown: false, return: false, escape: false, ctrl: false, shift: false, tab: false, backspace: false, delete: false, meta: false, ...flags});
+
+test('parseKeys reads characters, named keys, modifiers and sequences', () => {
+  assert.equal(parseKeys('a'), 'a');
+  assert.equal(parseKeys('Enter'), 'enter');
+  assert.equal(parseKeys('ctrl+Z'), 'ctrl+z');
+  assert.equal(parseKeys('shift+a'), 'A');
+  assert.equal(parseKeys('alt+b'), 'meta+b');
+  assert.equal(parseKeys('shift+tab'), 'shift+tab');
+  assert.equal(parseKeys('g g'), 'g g');
+  assert.equal(parseKeys('dd'), 'd d');
+  assert.equal(parseKeys('ctrl+x u'), 'ctrl+x u');
+  assert.equal(parseKeys('hyper+a'), null);
+  assert.equal(parseKeys('shift+1'), null);
+  assert.equal(parseKeys(''), null);
+  assert.equal(parseKeys(3), null);
+});
+
+test('keyName names Ink key events the way parseKeys writes them', () => {
+  assert.equal(keyName('a', key()), 'a');
+  assert.equal(keyName('A', key({shift: true})), 'A');
+  assert.equal(keyName(' ', key()), 'space');
+  assert.equal(keyName('', key({upArrow: true, shift: true})), 'shift+up');
+  assert.equal(keyName('z', key({ctrl: true})), 'ctrl+z');
+  assert.equal(keyName('b', key({meta: true})), 'meta+b');
+  assert.equal(keyName('', key({escape: true})), 'esc');
+  assert.equal(keyName('', key()), null);
+});
+
+test('keyLabel shows keys for help and hints', () => {
+  assert.equal(keyLabel('ctrl+z'), 'Ctrl+Z');
+  assert.equal(keyLabel('shift+up'), 'Shift+↑');
+  assert.equal(keyLabel('g g'), 'gg');
+  assert.equal(keyLabel('ctrl+x u'), 'Ctrl+X u');
+});
+
+test('every preset is free of conflicts', () => {
+  for (const preset of PRESET_NAMES) assert.deepEqual(buildKeymap({keymap: preset}).problems, [], preset);
+  assert.equal(new Set(ACTIONS.map(a => a.id)).size, ACTIONS.length);
+});
+
+test('overrides replace an action\'s keys and report what cannot be used', () => {
+  const keymap = buildKeymap({keymap: 'vim', keys: {stats: 'I', sort: [], delete: ['x x', 'nope+x'], help: 'esc', bogus: 'a'}});
+  assert.equal(keymap.preset, 'vim');
+  assert.deepEqual(keysFor(keymap, 'stats'), ['I']);
+  assert.deepEqual(keysFor(keymap, 'sort'), []);
+  assert.deepEqual(keysFor(keymap, 'delete'), ['xx']);
+  assert.deepEqual(keymap.problems, [
+    'Cannot read key "nope+x" for "delete"',
+    'Esc is reserved and cannot be bound to "help"',
+    'Unknown action "bogus" in "keys"',
+    'Key x ("Toggle done") makes xx ("Delete task (and subtasks)") unreachable'
+  ]);
+  assert.deepEqual(buildKeymap({keymap: 'nano'}).problems, ['Unknown keymap "nano" (use default, vim, emacs)']);
+});
+
+test('conflicts count only between actions on the same screen', () => {
+  assert.deepEqual(buildKeymap({keys: {add: 'i'}}).problems, ['Key i is bound to both "Stats" and "Add task"']);
+  // The board reuses list keys, but not global ones
+  assert.deepEqual(buildKeymap({keys: {boardDone: 'a'}}).problems, []);
+  assert.deepEqual(buildKeymap({keys: {boardDone: 'u'}}).problems, ['Key u is bound to both "Undo" and "Move task to the last column and back"']);
+});
+
+test('keyMatcher turns keys and sequences into actions of its scopes', () => {
+  const match = keyMatcher(buildKeymap({keymap: 'vim'}), ['nav', 'list']);
+  assert.equal(match('j', key()), 'down');
+  assert.equal(match('', key({downArrow: true})), 'down');
+  assert.equal(match('u', key()), null); // a global action
+  assert.equal(match('g', key()), null);
+  assert.equal(match('g', key()), 'first');
+  assert.equal(match('d', key()), null);
+  // A key that does not continue the sequence starts over
+  assert.equal(match('j', key()), 'down');
+  assert.equal(match('d', key()), null);
+  assert.equal(match('d', key()), 'delete');
+  const board = keyMatcher(buildKeymap({}), ['board']);
+  assert.equal(board('3', key()), 'boardColumn3');
+  assert.equal(board('', key({leftArrow: true, shift: true})), 'boardMoveLeft');
+});
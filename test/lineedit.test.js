@@ -0,0 +1,96 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {prevBoundary, nextBoundary, wordLeft, wordRight, ruboutStart, lineBounds, moveVertical, inputWindow, createDecoder, inkKeyEvents} from '../src/lineedit.js';
+
+const key = (name, mods = {}) => ({name, shift: false, meta: false, ctrl: false, ...mods});
+// Ink's key flags, all off unless given
+const ink = (flags = {}) => ({upArrow: false, downArrow: false, leftArrow: false, rightArrow: false, pageUp: false, pageDown: false, return: false, escape: false, ctrl: false, shift: false, tab: false, backspace: false, delete: false, meta: false, ...flags});
+
+test('boundaries step over whole graphemes', () => {
+  // A thumb with a skin tone, and an e with a combining accent
+  const s = 'a\u{1F44D}\u{1F3FD}e\u0301!';
+  assert.equal(nextBoundary(s, 1), 5);
+  assert.equal(prevBoundary(s, 5), 1);
+  assert.equal(nextBoundary(s, 5), 7);
+  assert.equal(prevBoundary(s, s.length), 7);
+  assert.equal(prevBoundary(s, 0), 0);
+  assert.equal(nextBoundary(s, s.length), s.length);
+});
+
+test('word moves and Ctrl+W find word edges', () => {
+  const s = 'fix the  café-bar now';
+  assert.equal(wordLeft(s, s.length), 18);
+  assert.equal(wordLeft(s, 18), 14);
+  assert.equal(wordRight(s, 0), 3);
+  assert.equal(wordRight(s, 3), 7);
+  assert.equal(ruboutStart(s, 17), 9);
+  assert.equal(ruboutStart(s, 9), 4);
+});
+
+test('lineBounds and moveVertical keep the display column', () => {
+  const s = 'one\n日本語\nab';
+  assert.deepEqual(lineBounds(s, 5), {start: 4, end: 7});
+  assert.deepEqual(lineBounds(s, 0), {start: 0, end: 3});
+  // Column 2 lands after the first wide character
+  assert.equal(moveVertical(s, 2, 1), 5);
+  // Column 4 is past the end of "ab"
+  assert.equal(moveVertical(s, 6, 1), 10);
+  assert.equal(moveVertical(s, 1, -1), null);
+  assert.equal(moveVertical(s, 9, 1), null);
+});
+
+test('inputWindow keeps the cursor in view and marks cut-off text', () => {
+  assert.deepEqual(inputWindow('hello', 5, 20), {left: false, before: 'hello', at: ' ', after: '', right: false});
+  const far = inputWindow('abcdefghijklmnop', 15, 8);
+  assert.equal(far.left, true);
+  assert.equal(far.right, false);
+  assert.equal(far.at, 'p');
+  assert.equal(far.before, 'jklmno');
+  const start = inputWindow('abcdefghijklmnop', 0, 8);
+  assert.deepEqual([start.left, start.at, start.after, start.right], [false, 'a', 'bcdefg', true]);
+});
+
+test('the decoder reads typed text, control keys and escape sequences', () => {
+  const decode = createDecoder();
+  assert.deepEqual(decode('héllo'), [{text: 'héllo'}]);
+  assert.deepEqual(decode('\r'), [{name: 'enter'}]);
+  assert.deepEqual(decode('\x7f'), [{name: 'backspace'}]);
+  assert.deepEqual(decode('\x17'), [{name: 'w', ctrl: true}]);
+  assert.deepEqual(decode('\x1b'), [{name: 'escape'}]);
+  assert.deepEqual(decode('\x1bb'), [{name: 'b', meta: true, shift: false}]);
+  assert.deepEqual(decode('\x1b\x7f'), [{name: 'backspace', meta: true}]);
+  assert.deepEqual(decode('\x1b[D'), [key('left')]);
+  assert.deepEqual(decode('\x1b[1;5C'), [key('right', {ctrl: true})]);
+  assert.deepEqual(decode('\x1b[3~'), [key('delete')]);
+  assert.deepEqual(decode('\x1b[H\x1b[4~'), [key('home'), key('end')]);
+  assert.deepEqual(decode('\x1bOF'), [key('end')]);
+  assert.deepEqual(decode('\x1b[Z'), [key('tab', {shift: true})]);
+  assert.deepEqual(decode('ab\x1b[Dc'), [{text: 'ab'}, key('left'), {text: 'c'}]);
+});
+
+test('the decoder takes bracketed paste across chunks', () => {
+  const decode = createDecoder();
+  assert.deepEqual(decode('x\x1b[200~first\n'), [{text: 'x'}]);
+  assert.deepEqual(decode('second'), []);
+  assert.deepEqual(decode('\x1b[C\x1b[201~\r'), [{paste: 'first\nsecond\x1b[C'}, {name: 'enter'}]);
+});
+
+test('several lines at once without bracketed paste are a paste', () => {
+  assert.deepEqual(createDecoder()('one\ntwo\r\n'), [{paste: 'one\ntwo'}]);
+  assert.deepEqual(createDecoder()('one\r'), [{text: 'one'}, {name: 'enter'}]);
+});
+
+test('keys parsed by Ink give the same events', () => {
+  assert.deepEqual(inkKeyEvents('hé', ink()), [{text: 'hé'}]);
+  assert.deepEqual(inkKeyEvents('one\ntwo', ink()), [{paste: 'one\ntwo'}]);
+  assert.deepEqual(inkKeyEvents('', ink({return: true})), [{name: 'enter', meta: false}]);
+  // Ink sets meta on Escape, and reports Backspace as delete
+  assert.deepEqual(inkKeyEvents('', ink({escape: true, meta: true})), [{name: 'escape'}]);
+  assert.deepEqual(inkKeyEvents('', ink({delete: true})), [{name: 'backspace', meta: false}]);
+  assert.deepEqual(inkKeyEvents('', ink({delete: true, meta: true})), [{name: 'backspace', meta: true}]);
+  assert.deepEqual(inkKeyEvents('', ink({leftArrow: true, ctrl: true})), [key('left', {ctrl: true})]);
+  assert.deepEqual(inkKeyEvents('w', ink({ctrl: true})), [key('w', {ctrl: true})]);
+  assert.deepEqual(inkKeyEvents('B', ink({meta: true, shift: true})), [key('b', {meta: true, shift: true})]);
+  assert.deepEqual(inkKeyEvents('', ink({pageDown: true})), [key('pagedown')]);
+  assert.deepEqual(inkKeyEvents('', ink()), []);
+});
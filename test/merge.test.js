@@ -0,0 +1,78 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {sameTask, sameTaskList, mergeTasks, resolveConflicts} from '../src/merge.js';
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, ...extra});
+const ids = tasks => tasks.map(t => t.id);
+
+test('sameTask compares fields, not objects or key order', () => {
+  assert.equal(sameTask({id: 1, text: 'a'}, {text: 'a', id: 1}), true);
+  assert.equal(sameTask(task(1), task(1, {done: true})), false);
+  assert.equal(sameTask(task(1), null), false);
+  assert.equal(sameTaskList([task(1), task(2)], [task(1), task(2)]), true);
+  assert.equal(sameTaskList([task(1), task(2)], [task(2), task(1)]), false);
+});
+
+test('changes to different tasks on each side both survive', () => {
+  const base = [task(1), task(2), task(3)];
+  const ours = [task(1, {done: true}), task(2), task(3), task(4)];
+  const theirs = [task(1), task(2, {text: 'theirs'}), task(5)];
+  const {tasks, conflicts} = mergeTasks(base, ours, theirs);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(ids(tasks), [1, 2, 4, 5]);
+  assert.equal(tasks[0].done, true);
+  assert.equal(tasks[1].text, 'theirs');
+});
+
+test('tasks only we added follow their predecessor in our order', () => {
+  const base = [task(1), task(2)];
+  const ours = [task(9), task(1), task(8), task(2)];
+  const theirs = [task(1), task(7), task(2)];
+  assert.deepEqual(ids(mergeTasks(base, ours, theirs).tasks), [9, 1, 8, 7, 2]);
+});
+
+test('edits to different fields of one task combine', () => {
+  const base = [task(1)];
+  const {tasks, conflicts} = mergeTasks(base, [task(1, {done: true})], [task(1, {text: 'new'})]);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(tasks, [task(1, {done: true, text: 'new'})]);
+});
+
+test('a field removed on one side stays removed', () => {
+  const base = [task(1, {due: '2026-10-20'})];
+  const {tasks} = mergeTasks(base, [task(1)], [task(1, {due: '2026-10-20', done: true})]);
+  assert.deepEqual(tasks, [task(1, {done: true})]);
+});
+
+test('a task deleted on one side and untouched on the other is gone', () => {
+  const base = [task(1), task(2)];
+  assert.deepEqual(ids(mergeTasks(base, [task(1)], base).tasks), [1]);
+  assert.deepEqual(ids(mergeTasks(base, base, [task(2)]).tasks), [2]);
+});
+
+test('clashing edits and an edit against a delete are conflicts', () => {
+  const base = [task(1), task(2)];
+  const ours = [task(1, {text: 'ours'}), task(2, {done: true})];
+  const theirs = [task(1, {text: 'theirs'})];
+  const {tasks, conflicts} = mergeTasks(base, ours, theirs);
+  assert.deepEqual(conflicts, [
+    {id: '1', ours: ours[0], theirs: theirs[0]},
+    {id: '2', ours: ours[1], theirs: null}
+  ]);
+  // Shown in our form until resolved
+  assert.deepEqual(tasks, ours);
+});
+
+test('resolveConflicts applies each choice', () => {
+  const ours = task(1, {text: 'ours'});
+  const theirs = task(1, {text: 'theirs'});
+  const tasks = [ours, task(2)];
+  const pick = choice => resolveConflicts(tasks, [{id: '1', ours, theirs, choice}]);
+  assert.deepEqual(pick('ours'), [ours, task(2)]);
+  assert.deepEqual(pick('theirs'), [theirs, task(2)]);
+  const both = pick('both');
+  assert.deepEqual(both.map(t => t.text), ['ours', 'theirs', 'task 2']);
+  assert.notEqual(both[1].id, 1);
+  // Their delete wins: nothing is kept
+  assert.deepEqual(resolveConflicts(tasks, [{id: '1', ours, theirs: null, choice: 'theirs'}]), [task(2)]);
+});
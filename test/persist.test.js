@@ -0,0 +1,243 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {spawnSync} from 'child_process';
+import {loadStore, loadTasks, saveTasks, appendTasks, storageByName, storageFile, storageForFile, storageLabel, scanRoot, isListName, findProjectFile, gitHeadFile, currentBranch, DEFAULT_FILE, GLOBAL_FILE, backupBrokenFile, listBackups, withLock, fileSignature, parseStore, SCHEMA_VERSION, StorageError} from '../src/persist.js';
+import {TaskStore} from '../src/store.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-persist-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const texts = tasks => tasks.map(t => t.text);
+
+test('a missing or empty file is an empty list', t => {
+  const dir = tempDir(t);
+  assert.deepEqual(loadTasks(path.join(dir, 'none.json')), []);
+  fs.writeFileSync(path.join(dir, 'empty.json'), '  \n');
+  assert.deepEqual(loadTasks(path.join(dir, 'empty.json')), []);
+});
+
+test('a file that cannot be parsed throws instead of reading as empty', t => {
+  const dir = tempDir(t);
+  const cases = {'torn.json': '{"tasks": [{"id": 1', 'other.json': '{"name": "x"}', 'version.json': '{"version": "2", "tasks": []}'};
+  for (const [name, content] of Object.entries(cases)) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    assert.throws(() => loadStore(file), err => err instanceof StorageError && err.filePath === file, name);
+  }
+});
+
+test('a broken file is copied aside and never saved over', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  fs.writeFileSync(file, '{"tasks": [');
+  const copy = backupBrokenFile(file);
+  assert.ok(path.basename(copy).startsWith('tasks.json.broken-'));
+  assert.equal(fs.readFileSync(copy, 'utf8'), '{"tasks": [');
+  assert.equal(backupBrokenFile(path.join(dir, 'none.json')), null);
+  assert.throws(() => saveTasks([task(1)], file), StorageError);
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"tasks": [');
+  // Replacing it on purpose leaves the backups to good snapshots
+  saveTasks([task(1)], file, {}, {replaceBroken: true});
+  assert.deepEqual(texts(loadTasks(file)), ['task 1']);
+  assert.deepEqual(listBackups(file), []);
+});
+
+test('a store on a broken file starts empty, keeps a copy and saves nothing until recovered', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  saveTasks([task(1)], file);
+  saveTasks([task(1), task(2)], file);
+  fs.writeFileSync(file, 'not json');
+  const store = new TaskStore(file);
+  assert.deepEqual(store.tasks, []);
+  assert.match(store.loadError.message, /^Cannot parse /);
+  assert.equal(fs.readFileSync(store.loadError.brokenCopy, 'utf8'), 'not json');
+  assert.throws(() => store.add('new'), StorageError);
+  assert.equal(fs.readFileSync(file, 'utf8'), 'not json');
+  // The newest backup is the last good save
+  const [backup] = store.backups();
+  assert.deepEqual(texts(backup.tasks), ['task 1']);
+  store.recover(backup);
+  assert.equal(store.loadError, null);
+  assert.deepEqual(texts(loadTasks(file)), ['task 1']);
+  store.add('new');
+  assert.deepEqual(texts(loadTasks(file)), ['task 1', 'new']);
+});
+
+test('saves replace the file in one step and leave nothing behind', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  saveTasks([task(1)], file, {sort: 'due'});
+  saveTasks([task(1), task(2)], file);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['tasks.json', 'tasks.json.bak.1']);
+  assert.equal(loadStore(file).extra.sort, 'due');
+  // A write that fails part way leaves the old file as it was
+  const before = fileSignature(file);
+  fs.mkdirSync(file + '.' + process.pid + '.tmp');
+  assert.throws(() => saveTasks([], file), err => err instanceof StorageError && err.cause.code === 'EISDIR');
+  assert.equal(fileSignature(file), before);
+  assert.deepEqual(texts(loadTasks(file)), ['task 1', 'task 2']);
+});
+
+test('the last three saved states are kept as backups, newest first', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  for (let n = 1; n <= 5; n++) saveTasks([task(n)], file);
+  assert.deepEqual(listBackups(file), [1, 2, 3].map(n => file + '.bak.' + n));
+  assert.deepEqual(listBackups(file).map(b => texts(loadTasks(b))), [['task 4'], ['task 3'], ['task 2']]);
+  assert.ok(!fs.existsSync(file + '.bak.4'));
+});
+
+test('the lock is held around a write, nests and is released', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  const lock = file + '.lock';
+  withLock(file, () => {
+    const owner = JSON.parse(fs.readFileSync(lock, 'utf8'));
+    assert.deepEqual([owner.pid, owner.host], [process.pid, os.hostname()]);
+    // Saving takes the lock again
+    saveTasks([task(1)], file);
+  });
+  assert.ok(!fs.existsSync(lock));
+  assert.throws(() => withLock(file, () => {
+    throw new Error('inside');
+  }), /inside/);
+  assert.ok(!fs.existsSync(lock));
+});
+
+test('a lock whose owner is gone is broken, a live one is waited for', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'tasks.json');
+  const lock = file + '.lock';
+  const dead = spawnSync(process.execPath, ['-e', '']).pid;
+  fs.writeFileSync(lock, JSON.stringify({pid: dead, host: os.hostname(), at: Date.now()}));
+  saveTasks([task(1)], file);
+  // On another host only age tells
+  fs.writeFileSync(lock, JSON.stringify({pid: 1, host: 'elsewhere', at: Date.now() - 60000}));
+  saveTasks([task(2)], file);
+  assert.deepEqual(texts(loadTasks(file)), ['task 2']);
+  fs.writeFileSync(lock, JSON.stringify({pid: process.pid, host: os.hostname(), at: Date.now()}));
+  assert.throws(() => saveTasks([task(3)], file), /Timed out waiting for lock/);
+  assert.deepEqual(texts(loadTasks(file)), ['task 2']);
+});
+
+test('an unversioned list is migrated to the current schema', () => {
+  const store = parseStore(JSON.stringify([{text: 'call @phone about +house !2 #urgent', done: true}, {id: 'a', text: 'plain'}]), 'old.json');
+  assert.equal(store.version, 0);
+  assert.equal(store.readOnly, false);
+  const [called, plain] = store.tasks;
+  assert.equal(typeof called.id, 'number');
+  assert.equal(typeof called.createdAt, 'number');
+  assert.equal(called.completedAt, called.createdAt);
+  assert.deepEqual([called.priority, called.tags, called.contexts, called.projects], [2, ['urgent'], ['phone'], ['house']]);
+  assert.deepEqual([plain.id, plain.parentId, plain.completedAt, plain.priority], ['a', null, null, null]);
+});
+
+test('each migration starts from the version the file has', () => {
+  // Version 2 already has parents and timestamps; only the text is parsed
+  const store = parseStore(JSON.stringify({version: 2, tasks: [{id: 1, text: '(A) x', done: false, parentId: null, createdAt: 5, completedAt: null}]}), 'v2.json');
+  assert.deepEqual(store.tasks[0], {id: 1, text: '(A) x', done: false, parentId: null, createdAt: 5, completedAt: null, priority: 1, tags: [], contexts: [], projects: []});
+});
+
+test('keys notex does not know survive loading and saving', t => {
+  const file = path.join(tempDir(t), 'tasks.json');
+  fs.writeFileSync(file, JSON.stringify({version: SCHEMA_VERSION, theme: 'dark', tasks: [task(1, {color: 'red'})]}));
+  const store = loadStore(file);
+  assert.equal(store.extra.theme, 'dark');
+  saveTasks(store.tasks.concat([task(2)]), file, {sort: 'manual'});
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual([saved.version, saved.theme, saved.sort, saved.tasks[0].color], [SCHEMA_VERSION, 'dark', 'manual', 'red']);
+});
+
+test('a file from a newer notex is read as it is and never written', t => {
+  const file = path.join(tempDir(t), 'tasks.json');
+  const content = JSON.stringify({version: SCHEMA_VERSION + 1, tasks: [task(1, {text: 'future'})], future: true});
+  fs.writeFileSync(file, content);
+  const loaded = loadStore(file);
+  assert.deepEqual([loaded.version, loaded.readOnly, loaded.extra.future], [SCHEMA_VERSION + 1, true, true]);
+  assert.throws(() => saveTasks([], file), /newer notex/);
+  const store = new TaskStore(file);
+  assert.equal(store.readOnly, SCHEMA_VERSION + 1);
+  assert.throws(() => store.add('x'), StorageError);
+  assert.equal(fs.readFileSync(file, 'utf8'), content);
+});
+
+test('appended tasks get fresh ids where the target uses theirs', t => {
+  const file = path.join(tempDir(t), 'tasks.json');
+  saveTasks([task(1), task(2)], file, {sort: 'alpha'});
+  const added = appendTasks([task(2, {text: 'moved'}), task(3, {parentId: 2}), task(7)], file);
+  assert.notEqual(added[0].id, 2);
+  assert.equal(added[1].parentId, added[0].id);
+  assert.equal(added[2].id, 7);
+  const store = loadStore(file);
+  assert.deepEqual(texts(store.tasks), ['task 1', 'task 2', 'moved', 'task 3', 'task 7']);
+  assert.equal(store.extra.sort, 'alpha');
+});
+
+test('storages are named on the command line and map to files and back', () => {
+  const lists = path.join(os.homedir(), '.notex-lists');
+  assert.equal(storageByName('project'), 'project');
+  assert.equal(storageByName('work'), 'list:work');
+  assert.equal(storageByName('./notes/todo.json'), 'file:' + path.resolve('notes/todo.json'));
+  assert.throws(() => storageByName('-x'), StorageError);
+  assert.equal(storageFile('list:work'), path.join(lists, 'work.json'));
+  assert.equal(storageFile('global'), GLOBAL_FILE);
+  assert.equal(storageFile('file:/x/y.json'), '/x/y.json');
+  for (const storage of ['project', 'global', 'list:work', 'branch:feature/x', 'file:/x/y.json']) {
+    assert.equal(storageForFile(storageFile(storage)), storage);
+  }
+  assert.deepEqual(['project', 'global', 'list:work', 'branch:main', 'file:/x/y.json'].map(storageLabel), ['Project', 'Global', 'work', 'Branch main', 'y.json']);
+});
+
+test('list names must be usable as file names and not taken', () => {
+  assert.ok(isListName('home'));
+  assert.ok(isListName('Q3.plans_2'));
+  assert.ok(isListName('café'));
+  for (const name of ['', '.hidden', 'a/b', 'x.json', 'Global', 'project', 'a b']) assert.ok(!isListName(name), name);
+});
+
+test('only lists of a project have code comments to scan', () => {
+  assert.equal(scanRoot('project'), path.dirname(DEFAULT_FILE));
+  assert.equal(scanRoot('branch:main'), path.dirname(DEFAULT_FILE));
+  assert.equal(scanRoot('file:/x/y.json'), '/x');
+  assert.equal(scanRoot('global'), null);
+  assert.equal(scanRoot('list:work'), null);
+});
+
+test('the project file is the nearest one up to the repository root', t => {
+  const root = tempDir(t);
+  const deep = path.join(root, 'repo', 'src', 'lib');
+  fs.mkdirSync(deep, {recursive: true});
+  fs.mkdirSync(path.join(root, 'repo', '.git'));
+  assert.equal(findProjectFile(deep), path.join(root, 'repo', '.notex.json'));
+  fs.writeFileSync(path.join(root, 'repo', 'src', '.notex.json'), '');
+  assert.equal(findProjectFile(deep), path.join(root, 'repo', 'src', '.notex.json'));
+  // A .notex.json above the repository root is not the project's
+  fs.writeFileSync(path.join(root, '.notex.json'), '');
+  fs.mkdirSync(path.join(root, 'other', '.hg'), {recursive: true});
+  assert.equal(findProjectFile(path.join(root, 'other')), path.join(root, 'other', '.notex.json'));
+  assert.equal(findProjectFile(path.join(root, 'repo')), path.join(root, 'repo', '.notex.json'));
+});
+
+test('the current branch is read from HEAD, also through a .git file', t => {
+  const root = tempDir(t);
+  fs.mkdirSync(path.join(root, 'main', '.git'), {recursive: true});
+  fs.writeFileSync(path.join(root, 'main', '.git', 'HEAD'), 'ref: refs/heads/feature/x\n');
+  fs.mkdirSync(path.join(root, 'main', 'sub'));
+  assert.equal(currentBranch(path.join(root, 'main', 'sub')), 'feature/x');
+  // A worktree's .git file points at its git directory
+  fs.mkdirSync(path.join(root, 'main', '.git', 'worktrees', 'wt'), {recursive: true});
+  fs.writeFileSync(path.join(root, 'main', '.git', 'worktrees', 'wt', 'HEAD'), '0123abcd\n');
+  fs.mkdirSync(path.join(root, 'wt'));
+  fs.writeFileSync(path.join(root, 'wt', '.git'), 'gitdir: ../main/.git/worktrees/wt\n');
+  assert.equal(gitHeadFile(path.join(root, 'wt')), path.join(root, 'main', '.git', 'worktrees', 'wt', 'HEAD'));
+  // Detached
+  assert.equal(currentBranch(path.join(root, 'wt')), null);
+});
@@ -0,0 +1,91 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseRecur, formatRecur, describeRecur, extractRecur, nextDue, setTasksDone} from '../src/recur.js';
+import {editTask, editableText} from '../src/tasks.js';
+
+// Wednesday 2026-10-14
+const now = new Date(2026, 9, 14, 10, 30);
+
+test('parseRecur reads intervals, weekdays and after: rules', () => {
+  assert.deepEqual(parseRecur('daily'), {every: 1, unit: 'day'});
+  assert.deepEqual(parseRecur('2w'), {every: 2, unit: 'week'});
+  assert.deepEqual(parseRecur('6 months'), {every: 6, unit: 'month'});
+  assert.deepEqual(parseRecur('thu,mon'), {every: 1, unit: 'week', days: [1, 4]});
+  assert.deepEqual(parseRecur('weekday'), {every: 1, unit: 'week', days: [1, 2, 3, 4, 5]});
+  assert.deepEqual(parseRecur('10d', true), {every: 10, unit: 'day', after: true});
+  assert.equal(parseRecur('mon', true), null);
+  assert.equal(parseRecur('0d'), null);
+  assert.equal(parseRecur('often'), null);
+});
+
+test('formatRecur gives back a token that parses to the same rule', () => {
+  for (const [token, after] of [['week', false], ['3d', false], ['mon,thu', false], ['weekday', false], ['2w', true]]) {
+    const rule = parseRecur(token, after);
+    const [kind, expr] = formatRecur(rule).split(':');
+    assert.equal(kind, after ? 'after' : 'every');
+    assert.deepEqual(parseRecur(expr, after), rule);
+  }
+  assert.equal(describeRecur(parseRecur('mon,thu')), 'Mon, Thu');
+  assert.equal(describeRecur(parseRecur('2w')), 'every 2 weeks');
+  assert.equal(describeRecur(parseRecur('10d', true)), '10d after done');
+});
+
+test('extractRecur takes the token out of the text', () => {
+  assert.deepEqual(extractRecur('water plants every:3d #home'), {text: 'water plants #home', recur: {every: 3, unit: 'day'}});
+  assert.deepEqual(extractRecur('water plants every:sometimes'), {text: 'water plants every:sometimes', recur: null, invalid: 'every:sometimes'});
+});
+
+test('nextDue counts fixed schedules from the due date and skips missed ones', () => {
+  assert.equal(nextDue({due: '2026-10-14', recur: parseRecur('week')}, now), '2026-10-21');
+  assert.equal(nextDue({due: '2026-10-01', recur: parseRecur('week')}, now), '2026-10-15');
+  assert.equal(nextDue({due: null, recur: parseRecur('day')}, now), '2026-10-15');
+  assert.equal(nextDue({due: '2026-10-14', recur: parseRecur('mon,thu')}, now), '2026-10-15');
+  assert.equal(nextDue({due: '2026-10-16', recur: parseRecur('weekday')}, now), '2026-10-19');
+  assert.equal(nextDue({due: '2026-01-31', recur: parseRecur('month')}, new Date(2026, 0, 31)), '2026-02-28');
+});
+
+test('a monthly task keeps its day of month after a short month', () => {
+  const jan31 = new Date(2026, 0, 31);
+  let tasks = [{id: 1, text: 'rent', done: false, createdAt: 1, completedAt: null, parentId: null, due: '2026-01-31', recur: parseRecur('month')}];
+  tasks = setTasksDone(tasks, [1], true, jan31);
+  assert.deepEqual([tasks[1].due, tasks[1].recur], ['2026-02-28', {every: 1, unit: 'month', day: 31}]);
+  tasks = setTasksDone(tasks, [tasks[1].id], true, jan31);
+  assert.equal(tasks[2].due, '2026-03-31');
+  assert.equal(nextDue({due: '2026-01-30', recur: {every: 1, unit: 'month', day: 30}}, jan31), '2026-02-28');
+  // Editing the task leaves the day alone unless the rule or due date changes
+  assert.equal(editTask(tasks[2], editableText(tasks[2]) + ' #bills').recur.day, 31);
+  assert.equal(editTask(tasks[2], 'rent due:2026-03-30 every:month').recur.day, undefined);
+});
+
+test('nextDue counts after: rules from today', () => {
+  assert.equal(nextDue({due: '2026-09-01', recur: parseRecur('10d', true)}, now), '2026-10-24');
+});
+
+test('setTasksDone adds the next occurrence and moves the rule to it', () => {
+  const tasks = [
+    {id: 1, text: 'water plants', done: false, createdAt: 1, completedAt: null, parentId: null, due: '2026-10-14', recur: parseRecur('3d'), state: 'Doing', time: [{start: 1, end: 2}]},
+    {id: 2, text: 'other', done: false, createdAt: 1, completedAt: null, parentId: null}
+  ];
+  const next = setTasksDone(tasks, [1], true, now);
+  assert.equal(next.length, 3);
+  assert.equal(next[0].done, true);
+  assert.equal(next[0].recur, null);
+  const occurrence = next[1];
+  assert.equal(occurrence.done, false);
+  assert.equal(occurrence.due, '2026-10-17');
+  assert.deepEqual(occurrence.recur, {every: 3, unit: 'day'});
+  assert.equal('state' in occurrence, false);
+  assert.equal('time' in occurrence, false);
+  assert.equal(next[2].id, 2);
+  // Completing the old one again adds nothing
+  const again = setTasksDone(setTasksDone(next, [1], false, now), [1], true, now);
+  assert.equal(again.length, 3);
+});
+
+test('setTasksDone reopens without adding occurrences', () => {
+  const tasks = [{id: 1, text: 'a', done: true, createdAt: 1, completedAt: 2, parentId: null, recur: parseRecur('day')}];
+  const next = setTasksDone(tasks, [1], false, now);
+  assert.equal(next.length, 1);
+  assert.equal(next[0].done, false);
+  assert.equal(next[0].completedAt, null);
+});
@@ -0,0 +1,106 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {parseIgnore, scanFile, scanTree, scanTreeInBackground, applyScan, formatSource} from '../src/scan.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-scan-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+function write(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), {recursive: true});
+    fs.writeFileSync(path.join(root, name), content);
+  }
+}
+
+const matches = (rules, rel) => rules.some(r => r.regex.test(rel));
+
+test('parseIgnore follows .gitignore pattern rules', () => {
+  const rules = parseIgnore('# comment\n\n*.log\n/build\ndocs/*.md\ncache/\n**/tmp/**\n!keep.log\n\\#hash\nfile?.txt  \n');
+  assert.equal(rules.length, 8);
+  assert.ok(matches(rules, 'a/b/error.log'));
+  assert.ok(matches(rules, 'build'));
+  assert.ok(!matches(rules.slice(1, 2), 'src/build'));
+  assert.ok(matches(rules, 'docs/readme.md'));
+  assert.ok(!matches(rules, 'docs/sub/readme.md'));
+  assert.ok(matches(rules, 'x/tmp/y/z.js'));
+  assert.ok(matches(rules, '#hash'));
+  assert.ok(matches(rules, 'file1.txt'));
+  assert.deepEqual(rules.filter(r => r.dirOnly).length, 1);
+  assert.deepEqual(rules.filter(r => r.negate).length, 1);
+});
+
+test('scanFile finds marked comments in any comment style', t => {
+  const dir = tempDir(t);
+  write(dir, {
+    'a.js': 'x(); // TODO: handle errors\n/* FIXME(ann): leak */\nconst url = "http://x"; // not a todo\n',
+    'b.py': '# HACK quick fix\nprint("TODO: in a string")\n',
+    'c.bin': Buffer.from([0, 1, 2, 0x2f, 0x2f, 0x20, 0x54, 0x4f, 0x44, 0x4f])
+  });
+  assert.deepEqual(scanFile(path.join(dir, 'a.js')).map(c => [c.line, c.kind, c.text]), [[1, 'TODO', 'handle errors'], [2, 'FIXME', 'leak']]);
+  assert.deepEqual(scanFile(path.join(dir, 'b.py')).map(c => [c.line, c.kind, c.text]), [[1, 'HACK', 'quick fix']]);
+  assert.deepEqual(scanFile(path.join(dir, 'c.bin')), []);
+});
+
+test('scanTree skips ignored files, VCS directories and notex files', t => {
+  const dir = tempDir(t);
+  write(dir, {
+    '.gitignore': 'dist/\n*.gen.js\n',
+    'src/app.js': '// TODO: one\n',
+    'src/app.gen.js': '// TODO: generated\n',
+    'src/.gitignore': '!keep.gen.js\n',
+    'src/keep.gen.js': '// TODO: kept\n',
+    'dist/out.js': '// TODO: built\n',
+    '.git/hooks/x.js': '// TODO: git\n',
+    '.notex.json.journal': '// TODO: journal\n',
+    'notes.md': '<!-- TODO: docs -->\n'
+  });
+  const {files, comments} = scanTree(dir);
+  assert.deepEqual(comments.map(c => path.relative(dir, c.file) + ' ' + c.text).sort(), ['notes.md docs', path.join('src', 'app.js') + ' one', path.join('src', 'keep.gen.js') + ' kept']);
+  // Both .gitignore files are read as files too
+  assert.equal(files, 5);
+});
+
+test('scanTreeInBackground gives what scanTree gives', async t => {
+  const dir = tempDir(t);
+  write(dir, {'a.js': '// TODO: one\n// FIXME: two\n'});
+  assert.deepEqual(await scanTreeInBackground(dir), scanTree(dir));
+});
+
+test('applyScan adds new comments, follows moved ones and marks gone ones stale', t => {
+  const dir = tempDir(t);
+  const storage = path.join(dir, '.notex.json');
+  const file = path.join(dir, 'src', 'a.js');
+  const comment = (line, text, kind = 'TODO') => ({file, line, kind, text});
+
+  const first = applyScan([], [], [comment(1, 'one'), comment(2, 'two', 'FIXME')], storage, dir);
+  assert.deepEqual(first.tasks.map(x => x.text), ['one #todo', 'two #fixme']);
+  assert.deepEqual(first.tasks[0].source, {file: 'src/a.js', line: 1, kind: 'TODO', text: 'one'});
+  assert.equal(formatSource(first.tasks[1].source), 'src/a.js:2');
+
+  // "one" moved down, "two" is gone, "three" is new
+  const second = applyScan(first.tasks, [], [comment(5, 'one'), comment(6, 'three')], storage, dir);
+  assert.deepEqual([second.added.length, second.moved, second.stale], [1, 1, 1]);
+  assert.equal(second.tasks[0].source.line, 5);
+  assert.equal(second.tasks[1].source.stale, true);
+  assert.equal(second.tasks[2].text, 'three #todo');
+
+  // A comment that comes back is no longer stale; an archived one is not re-added
+  const third = applyScan(second.tasks.slice(0, 2), [second.tasks[2]], [comment(5, 'one'), comment(6, 'three'), comment(7, 'two', 'FIXME')], storage, dir);
+  assert.deepEqual([third.added.length, third.moved, third.stale], [0, 1, 0]);
+  assert.deepEqual(third.tasks[1].source, {file: 'src/a.js', line: 7, kind: 'FIXME', text: 'two'});
+});
+
+test('applyScan leaves tasks from outside the scanned directory alone', t => {
+  const dir = tempDir(t);
+  const storage = path.join(dir, '.notex.json');
+  const other = {id: 1, text: 'x #todo', done: false, parentId: null, source: {file: 'lib/b.js', line: 3, kind: 'TODO', text: 'x'}};
+  const result = applyScan([other], [], [], storage, path.join(dir, 'src'));
+  assert.equal(result.stale, 0);
+  assert.equal(result.tasks[0], other);
+});
@@ -0,0 +1,36 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SORT_MODES, SORT_LABELS, sortComparator, nextSortMode} from '../src/sort.js';
+import {sortedOrder} from '../src/tree.js';
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const sortIds = (tasks, mode) => sortedOrder(tasks, sortComparator(mode)).map(i => tasks[i].id);
+
+test('every mode has a label and the modes cycle', () => {
+  assert.deepEqual(Object.keys(SORT_LABELS), SORT_MODES);
+  assert.equal(nextSortMode('manual'), 'created');
+  assert.equal(nextSortMode('due'), 'manual');
+  assert.equal(nextSortMode('bogus'), 'manual');
+  assert.equal(sortComparator('manual'), null);
+});
+
+test('modes sort by their field, ties keeping the manual order', () => {
+  const tasks = [
+    task(1, {text: 'beta', createdAt: 3, priority: 2, due: '2026-11-02'}),
+    task(2, {text: 'Alpha', createdAt: 1, done: true, completedAt: 10}),
+    task(3, {text: 'item 10', createdAt: 2, priority: 1, due: '2026-11-01', done: true, completedAt: 20}),
+    task(4, {text: 'item 9', createdAt: 2, priority: 2})
+  ];
+  assert.deepEqual(sortIds(tasks, 'created'), [2, 3, 4, 1]);
+  assert.deepEqual(sortIds(tasks, 'completed'), [3, 2, 1, 4]);
+  assert.deepEqual(sortIds(tasks, 'alpha'), [2, 1, 4, 3]);
+  assert.deepEqual(sortIds(tasks, 'done-last'), [1, 4, 2, 3]);
+  // Tasks without a priority or due date go last
+  assert.deepEqual(sortIds(tasks, 'priority'), [3, 1, 4, 2]);
+  assert.deepEqual(sortIds(tasks, 'due'), [3, 1, 2, 4]);
+});
+
+test('sorting keeps subtasks under their parent', () => {
+  const tasks = [task(1, {text: 'b'}), task(2, {text: 'z', parentId: 1}), task(3, {text: 'y', parentId: 1}), task(4, {text: 'a'})];
+  assert.deepEqual(sortIds(tasks, 'alpha'), [4, 1, 3, 2]);
+});
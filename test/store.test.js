@@ -0,0 +1,185 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {TaskStore} from '../src/store.js';
+import {saveTasks, loadTasks, StorageError} from '../src/persist.js';
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-store-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return path.join(dir, 'tasks.json');
+}
+
+const texts = tasks => tasks.map(t => t.text);
+
+test('a new store starts empty and saves every change', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  assert.deepEqual(store.tasks, []);
+  const one = store.add('one');
+  const two = store.add('two', {parentId: one.id});
+  store.toggle(two.id);
+  assert.equal(store.edit(one.id, 'one again !1').text, 'one again !1');
+  assert.deepEqual(texts(loadTasks(file)), ['one again !1', 'two']);
+  assert.equal(loadTasks(file)[1].done, true);
+  // A second store reads what the first saved
+  const other = new TaskStore(file);
+  assert.deepEqual(other.tasks, store.tasks);
+  assert.equal(other.history.length, 4);
+});
+
+test('undo and redo go through the journal and are saved', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  store.add('two');
+  store.remove(one.id);
+  assert.equal(store.undo(2), 2);
+  assert.deepEqual(texts(loadTasks(file)), ['one']);
+  assert.equal(store.redo(), 1);
+  assert.deepEqual(texts(store.tasks), ['one', 'two']);
+  // What is left to undo and redo survives reopening
+  const other = new TaskStore(file);
+  assert.deepEqual([other.history.length, other.future.length], [2, 1]);
+  assert.equal(other.redo(), 1);
+  assert.deepEqual(texts(loadTasks(file)), ['two']);
+  assert.equal(other.redo(), 0);
+});
+
+test('changes fire change and save events', t => {
+  const store = new TaskStore(tempFile(t));
+  const events = [];
+  for (const name of ['change', 'save', 'sync', 'unsaved']) store.on(name, () => events.push(name));
+  store.add('one');
+  assert.ok(events.includes('change'));
+  assert.ok(events.includes('save'));
+  assert.ok(!events.includes('unsaved'));
+  // Nothing changed: no journal entry
+  assert.equal(store.change(store.tasks), null);
+});
+
+test('a change made elsewhere is merged in when saving', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  saveTasks([...loadTasks(file), {...one, id: one.id - 1, text: 'theirs'}], file);
+  const syncs = [];
+  store.on('sync', ({result}) => syncs.push(result));
+  store.add('ours');
+  assert.deepEqual(syncs, ['merged']);
+  assert.deepEqual(texts(loadTasks(file)), ['one', 'ours', 'theirs']);
+});
+
+test('no change is taken while a merge conflict waits', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  saveTasks([{...one, text: 'one-theirs'}], file);
+  store.edit(one.id, 'one-ours');
+  assert.equal(store.conflict.conflicts.length, 1);
+  assert.throws(() => store.add('two'), StorageError);
+  assert.throws(() => store.undo(), StorageError);
+  assert.deepEqual(texts(store.tasks), ['one-ours']);
+  store.resolveConflict(store.conflict.conflicts.map(c => ({...c, choice: 'ours'})));
+  assert.equal(store.conflict, null);
+  assert.deepEqual(texts(loadTasks(file)), ['one-ours']);
+  store.add('two');
+  assert.deepEqual(texts(loadTasks(file)), ['one-ours', 'two']);
+});
+
+test('a change that cannot be saved is taken back and throws why', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  // The temporary file the save writes first cannot be created
+  fs.mkdirSync(file + '.' + process.pid + '.tmp');
+  const messages = [];
+  store.on('unsaved', ({message}) => messages.push(message));
+  assert.throws(() => store.add('two'), err => err instanceof StorageError && err.cause.code === 'EISDIR' && err.message.startsWith('Cannot write ' + file));
+  assert.throws(() => store.edit(one.id, 'renamed'), StorageError);
+  assert.equal(messages.length, 2);
+  assert.deepEqual(texts(store.tasks), ['one']);
+  assert.equal(store.history.length, 1);
+  assert.deepEqual(texts(loadTasks(file)), ['one']);
+});
+
+test('reload picks up a change made elsewhere once', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  assert.equal(store.reload(), false); // our own write
+  saveTasks([{...one, text: 'edited elsewhere'}], file);
+  const syncs = [];
+  store.on('sync', ({result}) => syncs.push(result));
+  assert.equal(store.reload(), true);
+  assert.deepEqual(texts(store.tasks), ['edited elsewhere']);
+  assert.equal(store.reload(), false);
+  assert.deepEqual(syncs, ['reloaded']);
+});
+
+test('bulk operations take several tasks as one undo step', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(text => store.add(text));
+  store.move([c.id, d.id], 'top');
+  assert.deepEqual(texts(store.tasks), ['c', 'd', 'a', 'b']);
+  store.setDone([a.id, c.id]);
+  assert.deepEqual(store.tasks.filter(x => x.done).map(x => x.text), ['c', 'a']);
+  assert.deepEqual(texts(store.remove([b.id, d.id])), ['d', 'b']);
+  assert.deepEqual(texts(loadTasks(file)), ['c', 'a']);
+  store.undo();
+  assert.deepEqual(texts(store.tasks), ['c', 'd', 'a', 'b']);
+  // An unknown id changes nothing
+  assert.throws(() => store.remove([a.id, 'nope']), RangeError);
+  assert.equal(store.tasks.length, 4);
+});
+
+test('archiving and restoring are saved and undone as one step', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  store.add('two');
+  store.toggle(one.id);
+  assert.equal(store.archiveDone(), 1);
+  assert.deepEqual(texts(store.tasks), ['two']);
+  assert.deepEqual(texts(new TaskStore(file).archive), ['one']);
+  store.undo();
+  assert.deepEqual([texts(store.tasks), store.archive], [['one', 'two'], []]);
+  store.redo();
+  store.restore(one.id);
+  assert.deepEqual([texts(store.tasks), store.archive], [['two', 'one'], []]);
+  assert.throws(() => store.restore(one.id), RangeError);
+});
+
+test('notes are set, cleared and undone like any change', t => {
+  const file = tempFile(t);
+  const store = new TaskStore(file);
+  const one = store.add('one');
+  store.setNotes(one.id, '- [ ] step\nhttps://example.com\n\n');
+  assert.equal(loadTasks(file)[0].notes, '- [ ] step\nhttps://example.com');
+  assert.equal(store.history.length, 2);
+  // The same notes again change nothing
+  store.setNotes(one.id, '- [ ] step\nhttps://example.com');
+  assert.equal(store.history.length, 2);
+  store.setNotes(one.id, '  ');
+  assert.equal('notes' in loadTasks(file)[0], false);
+  store.undo();
+  assert.equal(store.get(one.id).notes, '- [ ] step\nhttps://example.com');
+});
+
+test('completing a timed task stops its timer', t => {
+  const store = new TaskStore(tempFile(t));
+  const one = store.add('one');
+  const two = store.add('two every:day due:2026-10-18');
+  store.startTimer(one.id);
+  store.startTimer(two.id);
+  assert.equal(store.get(one.id).time[0].end != null, true);
+  const [next] = store.toggle(two.id);
+  assert.equal(store.get(two.id).time.every(i => i.end != null), true);
+  // The time stays with the occurrence it was spent on
+  assert.equal(next.time, undefined);
+  store.stopTimer();
+  assert.equal(store.tasks.some(x => (x.time || []).some(i => i.end == null)), false);
+});
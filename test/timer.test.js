@@ -0,0 +1,63 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {isRunning, runningTask, stopTask, startTimer, stopTimer, trackedMs, parseSince, timeReport, formatClock} from '../src/timer.js';
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const MIN = 60000;
+
+test('starting a timer stops the one that was running', () => {
+  let tasks = [task(1), task(2)];
+  tasks = startTimer(tasks, 1, 0);
+  assert.equal(runningTask(tasks).id, 1);
+  // Starting it again changes nothing
+  assert.equal(startTimer(tasks, 1, 5)[0], tasks[0]);
+  tasks = startTimer(tasks, 2, 10 * MIN);
+  assert.deepEqual(tasks[0].time, [{start: 0, end: 10 * MIN}]);
+  assert.equal(runningTask(tasks).id, 2);
+  tasks = stopTimer(tasks, 15 * MIN);
+  assert.equal(runningTask(tasks), undefined);
+  assert.deepEqual(tasks[1].time, [{start: 10 * MIN, end: 15 * MIN}]);
+  assert.equal(stopTask(tasks[1]), tasks[1]);
+  assert.equal(isRunning(task(3)), false);
+});
+
+test('trackedMs counts from the period start and a running interval up to now', () => {
+  const t = task(1, {time: [{start: 0, end: 10 * MIN}, {start: 20 * MIN, end: null}]});
+  assert.equal(trackedMs(t, 0, 25 * MIN), 15 * MIN);
+  assert.equal(trackedMs(t, 5 * MIN, 25 * MIN), 10 * MIN);
+  assert.equal(trackedMs(t, 30 * MIN, 25 * MIN), 0);
+  assert.equal(trackedMs(task(2), 0, 25 * MIN), 0);
+});
+
+test('parseSince reads periods, dates and spans back from today', () => {
+  const now = new Date(2026, 9, 15, 18); // a Thursday
+  assert.equal(parseSince('all', now), 0);
+  assert.equal(parseSince('Today', now), new Date(2026, 9, 15).getTime());
+  assert.equal(parseSince('yesterday', now), new Date(2026, 9, 14).getTime());
+  assert.equal(parseSince('week', now), new Date(2026, 9, 12).getTime());
+  assert.equal(parseSince('month', now), new Date(2026, 9, 1).getTime());
+  assert.equal(parseSince('2026-10-03', now), new Date(2026, 9, 3).getTime());
+  assert.equal(parseSince('3d', now), new Date(2026, 9, 12).getTime());
+  assert.equal(parseSince('2 weeks', now), new Date(2026, 9, 1).getTime());
+  assert.equal(parseSince('1m', now), new Date(2026, 8, 15).getTime());
+  assert.equal(parseSince('soon', now), null);
+});
+
+test('timeReport sums per task and per tag, biggest first', () => {
+  const tasks = [
+    task(1, {tags: ['ui', 'bug'], time: [{start: 0, end: 10 * MIN}]}),
+    task(2, {tags: ['ui'], time: [{start: 0, end: 30 * MIN}]}),
+    task(3, {time: [{start: 0, end: 5 * MIN}]}),
+    task(4)
+  ];
+  const report = timeReport(tasks, 0, 60 * MIN);
+  assert.equal(report.total, 45 * MIN);
+  assert.deepEqual(report.tasks.map(r => [r.task.id, r.ms]), [[2, 30 * MIN], [1, 10 * MIN], [3, 5 * MIN]]);
+  assert.deepEqual(report.tags, [{tag: '#ui', ms: 40 * MIN}, {tag: '#bug', ms: 10 * MIN}, {tag: '(untagged)', ms: 5 * MIN}]);
+});
+
+test('formatClock shows minutes and seconds, and hours once there are any', () => {
+  assert.equal(formatClock(0), '00:00');
+  assert.equal(formatClock(12 * MIN + 5000), '12:05');
+  assert.equal(formatClock(62 * MIN + 9000), '1:02:09');
+});
@@ -0,0 +1,49 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseTokens, tokenize, stripPriority, addTerm, removeTerm, taskTerms, matchesTerms, collectTerms} from '../src/tokens.js';
+
+test('parseTokens reads priorities, tags, contexts and projects', () => {
+  assert.deepEqual(parseTokens('fix login !1 #backend, @work +site #backend'), {priority: 1, tags: ['backend'], contexts: ['work'], projects: ['site']});
+  assert.equal(parseTokens('(B) call').priority, 2);
+  // A letter priority only counts at the start, a bang one anywhere
+  assert.equal(parseTokens('see (A) later').priority, null);
+  assert.equal(parseTokens('a!1 b').priority, null);
+  assert.deepEqual(parseTokens('mail a@b.com or c#d').tags, []);
+  assert.deepEqual(parseTokens('#café #v1.2.').tags, ['café', 'v1.2']);
+});
+
+test('tokenize marks each token in order', () => {
+  assert.deepEqual(tokenize('(A) ship #v2 @home'), [
+    {text: '(A)', kind: 'priority'},
+    {text: ' ship ', kind: null},
+    {text: '#v2', kind: 'tag'},
+    {text: ' ', kind: null},
+    {text: '@home', kind: 'context'}
+  ]);
+  assert.deepEqual(tokenize('done !3.'), [{text: 'done !3.', kind: null}]);
+});
+
+test('stripPriority, addTerm and removeTerm edit the markers in text', () => {
+  assert.equal(stripPriority('(A) ship it'), 'ship it');
+  assert.equal(stripPriority('ship !2 it'), 'ship it');
+  assert.equal(addTerm('ship', '#v2'), 'ship #v2');
+  assert.equal(addTerm('ship #V2', '#v2'), 'ship #V2');
+  assert.equal(removeTerm('ship #v2, then #v2 again', '#v2'), 'ship then again');
+  assert.equal(removeTerm('ship #v20', '#v2'), 'ship #v20');
+});
+
+test('filter terms match tasks carrying all of them', () => {
+  const a = {priority: 1, tags: ['ui'], contexts: ['work'], projects: []};
+  const b = {priority: null, tags: ['ui', 'bug'], contexts: [], projects: ['site']};
+  assert.deepEqual(taskTerms(a), ['!1', '#ui', '@work']);
+  assert.equal(matchesTerms(a, []), true);
+  assert.equal(matchesTerms(a, ['#UI', '@work']), true);
+  assert.equal(matchesTerms(b, ['#ui', '@work']), false);
+  assert.deepEqual(collectTerms([a, b]), [
+    {term: '!1', count: 1},
+    {term: '#bug', count: 1},
+    {term: '#ui', count: 2},
+    {term: '@work', count: 1},
+    {term: '+site', count: 1}
+  ]);
+});
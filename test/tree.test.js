@@ -0,0 +1,105 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {normalizeTree, depths, subtreeEnd, progress, visibleRows, matchingRows, indentTask, outdentTask, moveTask, moveTasks, sortedOrder, removeTask, takeTasks, insertSibling, insertChild} from '../src/tree.js';
+
+const task = (id, parentId = null, extra = {}) => ({id, text: 'task ' + id, done: false, parentId, ...extra});
+const ids = tasks => tasks.map(t => t.id);
+
+// 1
+//   2
+//     3
+//   4
+// 5
+const sample = () => [task(1), task(2, 1), task(3, 2), task(4, 1), task(5)];
+
+test('normalizeTree keeps a valid list as it is', () => {
+  const tasks = sample();
+  const out = normalizeTree(tasks);
+  assert.deepEqual(ids(out), [1, 2, 3, 4, 5]);
+  out.forEach((t, i) => assert.equal(t, tasks[i]));
+});
+
+test('normalizeTree restores preorder and repairs broken parents', () => {
+  const out = normalizeTree([task(2, 1), task(1), task(3, 99), task(4, 4), task(5, 6), task(6, 5)]);
+  assert.deepEqual(ids(out), [1, 2, 3, 4, 5, 6]);
+  // A cycle is broken at its first task, the rest stays under it
+  assert.deepEqual(out.map(t => t.parentId), [null, 1, null, null, null, 5]);
+});
+
+test('depths, subtreeEnd and progress follow the tree', () => {
+  const tasks = sample();
+  tasks[2].done = true;
+  assert.deepEqual(depths(tasks), [0, 1, 2, 1, 0]);
+  assert.equal(subtreeEnd(tasks, 0), 4);
+  assert.equal(subtreeEnd(tasks, 1), 3);
+  assert.equal(subtreeEnd(tasks, 4), 5);
+  assert.deepEqual(progress(tasks, 0), {done: 1, total: 3});
+  assert.deepEqual(progress(tasks, 4), {done: 0, total: 0});
+});
+
+test('visibleRows hides the subtasks of collapsed tasks', () => {
+  const rows = visibleRows(sample(), new Set(['2']));
+  assert.deepEqual(rows.map(r => r.task.id), [1, 2, 4, 5]);
+  assert.equal(rows[1].collapsed, true);
+  assert.equal(rows[0].hasChildren, true);
+  assert.equal(rows[3].hasChildren, false);
+});
+
+test('matchingRows shows the ancestors of matches as context', () => {
+  const rows = matchingRows(sample(), t => t.id === 3);
+  assert.deepEqual(rows.map(r => [r.task.id, r.context]), [[1, true], [2, true], [3, false]]);
+});
+
+test('indentTask nests under the previous sibling, outdentTask undoes it', () => {
+  const tasks = sample();
+  const indented = indentTask(tasks, 3);
+  assert.equal(indented[3].parentId, 2);
+  assert.equal(indentTask(tasks, 0), tasks);
+  const outdented = outdentTask(tasks, 1);
+  assert.deepEqual(ids(outdented), [1, 4, 2, 3, 5]);
+  assert.equal(outdented[2].parentId, null);
+  assert.equal(outdentTask(tasks, 0), tasks);
+});
+
+test('moveTask moves a task with its subtree among its siblings', () => {
+  const tasks = sample();
+  assert.deepEqual(ids(moveTask(tasks, 1, 'down')), [1, 4, 2, 3, 5]);
+  assert.deepEqual(ids(moveTask(tasks, 4, 'top')), [5, 1, 2, 3, 4]);
+  assert.deepEqual(ids(moveTask(tasks, 0, 'bottom')), [5, 1, 2, 3, 4]);
+  assert.equal(moveTask(tasks, 0, 'up'), tasks);
+});
+
+test('moveTasks keeps a selected group in order at the edge', () => {
+  const tasks = [task(1), task(2), task(3), task(4)];
+  assert.deepEqual(ids(moveTasks(tasks, [1, 2], 'up')), [1, 2, 3, 4]);
+  assert.deepEqual(ids(moveTasks(tasks, [2, 3], 'up')), [2, 3, 1, 4]);
+  assert.deepEqual(ids(moveTasks(tasks, [2, 3], 'down')), [1, 4, 2, 3]);
+  assert.deepEqual(ids(moveTasks(tasks, [2, 4], 'top')), [2, 4, 1, 3]);
+});
+
+test('sortedOrder sorts siblings and keeps subtrees under their parent', () => {
+  const tasks = sample();
+  const order = sortedOrder(tasks, (a, b) => b.id - a.id);
+  assert.deepEqual(order.map(i => tasks[i].id), [5, 1, 4, 2, 3]);
+});
+
+test('removeTask and takeTasks take whole subtrees', () => {
+  const tasks = sample();
+  assert.deepEqual(ids(removeTask(tasks, 1)), [1, 4, 5]);
+  const {taken, rest} = takeTasks(tasks, [2, 5]);
+  assert.deepEqual(ids(taken), [2, 3, 5]);
+  assert.deepEqual(ids(rest), [1, 4]);
+  assert.equal(taken[0].parentId, null);
+  assert.equal(taken[1].parentId, 2);
+});
+
+test('insertSibling and insertChild place new tasks in the tree', () => {
+  const tasks = sample();
+  assert.deepEqual(ids(insertSibling(tasks, 1, task(6))), [1, 2, 3, 6, 4, 5]);
+  assert.equal(insertSibling(tasks, 1, task(6))[3].parentId, 1);
+  assert.deepEqual(ids(insertSibling(tasks, 1, task(6), true)), [1, 6, 2, 3, 4, 5]);
+  const [next, at] = insertChild(tasks, 0, task(6));
+  assert.equal(at, 4);
+  assert.equal(next[4].parentId, 1);
+  assert.deepEqual(insertChild(tasks, null, task(6))[1], 5);
+});
@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {DEFAULT_STATES, parseStates, stateIndex, middleState, setTasksState} from '../src/workflow.js';
+import {parseRecur} from '../src/recur.js';
+import {TaskStore} from '../src/store.js';
+
+const task = (id, extra = {}) => ({id, text: 'task ' + id, done: false, parentId: null, ...extra});
+const states = ['Todo', 'Doing', 'Review', 'Done'];
+
+test('parseStates takes the configured states or reports why not', () => {
+  assert.deepEqual(parseStates({}), {states: DEFAULT_STATES, problem: null});
+  assert.deepEqual(parseStates({states: [' Todo', 'Done ']}), {states: ['Todo', 'Done'], problem: null});
+  for (const bad of [['Todo'], ['Todo', 'Todo'], ['Todo', ''], 'Todo,Done', ['Todo', 3]]) {
+    const {states: used, problem} = parseStates({states: bad});
+    assert.equal(used, DEFAULT_STATES);
+    assert.match(problem, /^"states" must list/);
+  }
+});
+
+test('a task is in the last column when done and in the first when its state is unknown', () => {
+  assert.equal(stateIndex(task(1), states), 0);
+  assert.equal(stateIndex(task(1, {state: 'Review'}), states), 2);
+  assert.equal(stateIndex(task(1, {done: true, state: 'Review'}), states), 3);
+  assert.equal(stateIndex(task(1, {state: 'Blocked'}), states), 0);
+  // The first and last names are not kept in `state`
+  assert.equal(stateIndex(task(1, {state: 'Done'}), states), 0);
+  assert.equal(middleState(task(1, {state: 'Doing'}), states), 'Doing');
+  assert.equal(middleState(task(1, {state: 'Doing', done: true}), states), null);
+  assert.equal(middleState(task(1, {state: 'Blocked'}), states), null);
+});
+
+test('setTasksState moves tasks between columns, completing in the last', () => {
+  const other = task(2);
+  let tasks = setTasksState([task(1), other], [1], 1, states);
+  assert.equal(tasks[0].state, 'Doing');
+  assert.equal(tasks[1], other);
+  tasks = setTasksState(tasks, [1], 3, states);
+  assert.equal(tasks[0].done, true);
+  // Leaving the last column reopens it; the first one drops the name
+  tasks = setTasksState(tasks, [1], 2, states);
+  assert.deepEqual([tasks[0].done, tasks[0].state], [false, 'Review']);
+  tasks = setTasksState(tasks, [1], 0, states);
+  assert.equal('state' in tasks[0], false);
+});
+
+test('completing a recurring task in the last column adds its next occurrence in the first', () => {
+  const tasks = [task(1, {state: 'Doing', due: '2026-10-14', recur: parseRecur('week')})];
+  const next = setTasksState(tasks, [1], 3, states);
+  assert.equal(next.length, 2);
+  assert.equal(next[0].done, true);
+  assert.equal(stateIndex(next[1], states), 0);
+  assert.deepEqual(next[1].recur, {every: 1, unit: 'week'});
+});
+
+test('the store sets states as one undo step and refuses unknown columns', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notex-workflow-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const store = new TaskStore(path.join(dir, 'tasks.json'));
+  const one = store.add('one');
+  const two = store.add('two');
+  store.setState([one.id, two.id], 2, states);
+  assert.deepEqual(store.tasks.map(t => middleState(t, states)), ['Review', 'Review']);
+  store.undo();
+  assert.deepEqual(store.tasks.map(t => stateIndex(t, states)), [0, 0]);
+  assert.throws(() => store.setState(one.id, 4, states), RangeError);
+  assert.throws(() => store.setState(99, 1, states), /99/);
+});